@@ -5,21 +5,50 @@
 
 // ==================== 配置常量 ====================
 
-const RSS_SOURCES = {
-  LET_General: 'https://lowendtalk.com/categories/general/feed.rss',
-  LET_Offers: 'https://lowendtalk.com/categories/offers/feed.rss',
-  LET_Discussions: 'https://talk.lowendspirit.com/discussions/feed.rss',
-  LEB: 'https://lowendbox.com/feed/',
-  LES: 'https://lowendspirit.com/discussions/feed.rss'
-};
-
+// 数据源类型：rss为普通订阅源，vanilla通过Vanilla论坛JSON接口读取分类下的讨论
+const SOURCE_TYPES = ['rss', 'vanilla'];
+
+// 默认数据源，仅在首次初始化数据库时写入sources表，之后通过管理面板维护
+// poll_interval_minutes 为轮询间隔，促销分类更频繁
+const DEFAULT_SOURCES = [
+  { name: 'LET_General', url: 'https://lowendtalk.com/categories/general/feed.rss', emoji: '🔥', forum_group: 'LET', poll_interval_minutes: 30 },
+  { name: 'LET_Offers', url: 'https://lowendtalk.com/categories/offers/feed.rss', emoji: '🔥', forum_group: 'LET', poll_interval_minutes: 5 },
+  { name: 'LET_Discussions', url: 'https://talk.lowendspirit.com/discussions/feed.rss', emoji: '🔥', forum_group: 'LET', poll_interval_minutes: 30 },
+  { name: 'LEB', url: 'https://lowendbox.com/feed/', emoji: '💎', forum_group: 'LEB', poll_interval_minutes: 60 },
+  { name: 'LES', url: 'https://lowendspirit.com/discussions/feed.rss', emoji: '⚡', forum_group: 'LES', poll_interval_minutes: 30 }
+];
+
+// 判断数据源是否到期时的容差，避免cron触发时间的轻微抖动导致错过一个周期
+const POLL_GRACE_MS = 60 * 1000;
+
+// API地址只填写基础地址时拼接endpoint（{model}替换为模型名称），已包含endpoint时直接使用；
+// Workers AI的endpoint为默认模型；maxTemperature为该提供商接受的温度上限，未设置时为AI_MAX_TEMPERATURE
 const AI_PROVIDERS = {
-  openai: { format: 'openai', endpoint: '/v1/chat/completions' },
-  gemini: { format: 'gemini', endpoint: '/v1/models/gemini-pro:generateContent' },
+  openai: { format: 'openai', baseUrl: 'https://api.openai.com', endpoint: '/v1/chat/completions' },
+  gemini: { format: 'gemini', baseUrl: 'https://generativelanguage.googleapis.com', endpoint: '/v1beta/models/{model}:generateContent' },
   openai_like: { format: 'openai', endpoint: '/chat/completions' },
+  anthropic: { format: 'anthropic', baseUrl: 'https://api.anthropic.com', endpoint: '/v1/messages', maxTemperature: 1 },
+  ollama: { format: 'ollama', baseUrl: 'http://localhost:11434', endpoint: '/api/chat' },
   cf_workers: { format: 'cf_workers', endpoint: '@cf/meta/llama-3-8b-instruct' }
 };
 
+const ANTHROPIC_API_VERSION = '2023-06-01';
+const AI_DEFAULT_TEMPERATURE = 0.7;
+const AI_MAX_TEMPERATURE = 2;
+const AI_DEFAULT_MAX_TOKENS = 200;
+
+// AI提供商熔断：连续失败达到阈值后在冷却期内跳过该配置，冷却结束后再试一次，仍失败则重新熔断
+const AI_CIRCUIT_FAILURE_THRESHOLD = 3;
+const AI_CIRCUIT_COOLDOWN_MS = 10 * 60 * 1000;
+const AI_DEFAULT_TIMEOUT_MS = 30000;
+
+// AI结果缓存默认保留时间，与帖子保留期一致；设为0关闭缓存
+const AI_CACHE_DEFAULT_TTL_HOURS = 168;
+
+// AI用量明细保留天数，需覆盖月度预算周期
+const AI_USAGE_RETENTION_DAYS = 90;
+const AI_BUDGET_PERIODS = ['daily', 'monthly'];
+
 const DEFAULT_PROMPT = `请分析以下帖子内容，完成两个任务：
 
 1. 判断帖子类型：如果是VPS/服务器销售、促销、优惠、特价等商业推广内容，回复"促销"；如果是求助、讨论、分享等非商业内容，回复"其他"。
@@ -34,8 +63,130 @@ const DEFAULT_PROMPT = `请分析以下帖子内容，完成两个任务：
 类型：[促销/其他]
 总结：[1-3句话的总结，基于可用信息进行分析]`;
 
+// 分析模式：ai 只用AI；heuristic 只用内置规则；ai_fallback AI不可用或失败时改用内置规则
+const AI_MODES = ['ai', 'heuristic', 'ai_fallback'];
+
+// 结构化输出模式：要求模型按此JSON Schema返回类型和总结
+const AI_OUTPUT_MODES = ['json', 'text'];
+// 此版本及更早（含未记录版本）的数据库升级时默认保持文本输出，新安装默认JSON
+const AI_JSON_OUTPUT_SINCE_VERSION = 13;
+const POST_TYPES = ['促销', '其他'];
+
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: POST_TYPES },
+    summary: { type: 'string' }
+  },
+  required: ['type', 'summary'],
+  additionalProperties: false
+};
+
+// 追加在提示词之后，覆盖提示词中"类型：/总结："的文本格式要求
+const JSON_OUTPUT_INSTRUCTION = `
+
+请忽略上面的回复格式要求，只输出一个JSON对象，不要输出其他文字：
+{"type": "促销或其他", "summary": "1-3句话的总结"}`;
+
+// JSON无效时的修复提示词，只修复一次
+const JSON_REPAIR_PROMPT = `下面的内容应当是一个JSON对象，但存在以下问题：{error}。
+
+要求的格式：{"type": "促销或其他", "summary": "1-3句话的总结"}
+
+原始内容：
+{output}
+
+请修正后只输出JSON对象，不要输出其他文字。`;
+
+// 提示词模板可用的变量，{content} 为"标题+正文"，与旧版提示词兼容
+const PROMPT_VARIABLES = ['content', 'title', 'forum', 'author', 'publish_time', 'link'];
+
+// 促销帖子的套餐结构化提取，一个帖子可能包含多个套餐
+const OFFER_EXTRACTION_PROMPT = `从以下VPS/服务器促销帖子中提取所有套餐的结构化信息。一个帖子可能包含多个套餐，每个套餐输出一个对象。
+
+帖子内容：{content}
+
+只输出JSON数组，不要输出其他文字。每个对象包含以下字段，无法确定的字段填null：
+- provider: 商家名称
+- plan_name: 套餐名称
+- vcpu: CPU核心数（数字）
+- ram_gb: 内存大小，单位GB（数字，512MB填0.5）
+- disk_gb: 硬盘大小，单位GB（数字，1TB填1024）
+- disk_type: 硬盘类型，如NVMe、SSD、HDD
+- bandwidth_gb: 每月流量，单位GB（数字，1TB填1024，不限流量填null）
+- bandwidth_unmetered: 是否不限流量（true/false）
+- port_speed_mbps: 端口速率，单位Mbps（数字，1Gbps填1000）
+- ipv4: IPv4地址数量（数字）
+- ipv6: IPv6配置，如"/64"或"1"
+- locations: 机房位置数组，如["Los Angeles", "Amsterdam"]
+- price: 价格（数字，不含货币符号）
+- currency: 货币代码，如USD、EUR
+- billing_cycle: 付款周期，取值monthly、quarterly、semiannually、annually、biennially、triennially、one-time之一
+
+如果帖子中没有具体套餐，输出 []`;
+
+// 默认汇率（1单位货币折合美元），仅在currency_rates表为空时写入，之后由管理员在面板中维护
+const DEFAULT_CURRENCY_RATES = {
+  USD: 1,
+  EUR: 1.08,
+  GBP: 1.27,
+  CNY: 0.14,
+  CAD: 0.73,
+  AUD: 0.66,
+  JPY: 0.0067
+};
+
+// 识别商家域名时忽略的论坛、图床、测速等第三方域名
+const PROVIDER_DOMAIN_IGNORE = [
+  'lowendtalk.com', 'lowendbox.com', 'lowendspirit.com', 'github.com', 'imgur.com', 'youtube.com', 'youtu.be',
+  'twitter.com', 'x.com', 't.me', 'discord.gg', 'discord.com', 'google.com', 'cloudflare.com', 'bgp.tools',
+  'he.net', 'ipinfo.io', 'speedtest.net', 'paypal.com', 'hetrixtools.com', 'yabs.sh', 'reddit.com',
+  'wikipedia.org', 'trustpilot.com', 'archive.org'
+];
+
+// 商家发帖历史的保留天数，比帖子本身的7天保留期长，用于查看商家近期的发帖频率
+const PROVIDER_HISTORY_DAYS = 180;
+
+// 重复帖子识别：只与最近7天的帖子比较，正文simhash汉明距离不超过阈值视为同一内容
+const DUPLICATE_WINDOW_DAYS = 7;
+const SIMHASH_MAX_DISTANCE = 6;
+// 标题相同或共同链接还需佐证（同一作者、共同商家域名或正文大致相近），正文相近的阈值比直接判重宽松
+const SIMHASH_RELATED_DISTANCE = 16;
+
+// 优惠码识别：关键词后需有分隔符（":"、"="、"is"或"code"）再跟代码，代码需包含数字或为4位以上全大写，
+// 避免把"use code below"、"PROMO ENDS"等普通单词当作优惠码
+//   "Coupon: BF2026" / "promo code SAVE20" / "use code LEB40" / "优惠码：NEWYEAR"  → 识别
+//   "PROMO ENDS FRIDAY" / "COUPON CODE BELOW" / "promo code: see below" / "code: AB" → 忽略
+const COUPON_PATTERNS = [
+  /\b(?:coupon|promo|discount|voucher)(?:\s+code\s*(?:is\s+|[:：=]\s*)?|\s*(?:is\s+|[:：=]\s*))["'“]?([A-Za-z0-9][A-Za-z0-9_-]{2,29})/gi,
+  /\b(?:use|with|apply|enter)\s+(?:the\s+)?(?:coupon\s+|promo\s+)?code\s*[:：]?\s*["'“]?([A-Za-z0-9][A-Za-z0-9_-]{2,29})/gi,
+  /\bcode\s*[:：]\s*["'“]?([A-Za-z0-9][A-Za-z0-9_-]{2,29})/gi,
+  /(?:优惠码|折扣码|优惠券)\s*[:：]?\s*([A-Za-z0-9][A-Za-z0-9_-]{2,29})/g
+];
+const COUPON_STOP_WORDS = [
+  'CODE', 'CODES', 'COUPON', 'COUPONS', 'PROMO', 'PROMOS', 'DISCOUNT', 'VOUCHER',
+  'USD', 'EUR', 'VPS', 'KVM', 'NVME', 'SSD', 'HDD', 'IPV4', 'IPV6', 'DDOS', 'WHMCS',
+  'FREE', 'NEW', 'THE', 'AND', 'FOR', 'OFF', 'AT', 'IS',
+  'ENDS', 'ENDED', 'ENDING', 'EXPIRES', 'EXPIRED', 'VALID', 'ONLY', 'BELOW', 'ABOVE', 'HERE', 'NONE',
+  'LIVE', 'NOW', 'TODAY', 'SOON', 'SALE', 'DEAL', 'DEALS', 'OFFER', 'OFFERS', 'PRICE', 'PRICING',
+  'APPLY', 'APPLIED', 'NEEDED', 'REQUIRED', 'CHECKOUT', 'ORDER', 'LINK', 'WITH', 'THIS', 'THAT'
+];
+
+// 常见计费系统的下单链接：WHMCS（cart.php?a=add、/store/商品）、Blesta（/order/...）、HostBill（cmd=cart）
+const ORDER_LINK_PATTERNS = [
+  /\/cart\.php\?(?:.*&)?(?:a=add|pid=\d+|gid=\d+)/i,
+  /[?&]rp=\/store\/[^&]+/i,
+  /\/store\/[^/?#]+\/[^/?#]+/i,
+  /\/order\/(?:main\/packages|config\/index|forms)\//i,
+  /[?&]cmd=cart\b/i,
+  /\/aff\.php\?(?:.*&)?pid=\d+/i
+];
+
 // ==================== 数据库初始化 ====================
 
+// 表结构变更时递增，init()据此判断是否需要重新执行建表和迁移
+const DB_SCHEMA_VERSION = 19;
+
 const DB_SCHEMA = `
 CREATE TABLE IF NOT EXISTS posts (
   id INTEGER PRIMARY KEY,
@@ -45,6 +196,23 @@ CREATE TABLE IF NOT EXISTS posts (
   publish_time TEXT,
   content TEXT,
   link TEXT UNIQUE,
+  external_id TEXT,
+  category TEXT,
+  author_id TEXT,
+  comment_count INTEGER,
+  closed INTEGER DEFAULT 0,
+  sink INTEGER DEFAULT 0,
+  monthly_usd REAL,
+  price_text TEXT,
+  expires_at TEXT,
+  stock_limit INTEGER,
+  provider_id INTEGER,
+  links TEXT,
+  title_key TEXT,
+  simhash TEXT,
+  cluster_id INTEGER,
+  coupon_codes TEXT,
+  order_links TEXT,
   processed INTEGER DEFAULT 0,
   retry_count INTEGER DEFAULT 0,
   created_at TEXT DEFAULT CURRENT_TIMESTAMP
@@ -56,6 +224,9 @@ CREATE TABLE IF NOT EXISTS summaries (
   summary TEXT,
   post_type TEXT DEFAULT '其他',
   sent_to_telegram INTEGER DEFAULT 0,
+  telegram_message_id INTEGER,
+  ai_profile TEXT,
+  prompt_version TEXT,
   created_at TEXT DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (post_id) REFERENCES posts(id)
 );
@@ -66,11 +237,301 @@ CREATE TABLE IF NOT EXISTS settings (
   updated_at TEXT DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE TABLE IF NOT EXISTS sources (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  url TEXT NOT NULL,
+  type TEXT DEFAULT 'rss',
+  emoji TEXT DEFAULT '📢',
+  enabled INTEGER DEFAULT 1,
+  forum_group TEXT,
+  poll_interval_minutes INTEGER,
+  next_due_at TEXT,
+  etag TEXT,
+  last_modified TEXT,
+  last_checked_at TEXT,
+  last_success_at TEXT,
+  last_error TEXT,
+  last_error_at TEXT,
+  consecutive_failures INTEGER DEFAULT 0,
+  avg_latency_ms INTEGER,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS rules (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  enabled INTEGER DEFAULT 1,
+  priority INTEGER DEFAULT 0,
+  conditions TEXT NOT NULL,
+  actions TEXT NOT NULL,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS offers (
+  id INTEGER PRIMARY KEY,
+  post_id INTEGER NOT NULL,
+  provider TEXT,
+  plan_name TEXT,
+  vcpu REAL,
+  ram_gb REAL,
+  disk_gb REAL,
+  disk_type TEXT,
+  bandwidth_gb REAL,
+  bandwidth_unmetered INTEGER DEFAULT 0,
+  port_speed_mbps INTEGER,
+  ipv4 INTEGER,
+  ipv6 TEXT,
+  locations TEXT,
+  price REAL,
+  currency TEXT,
+  billing_cycle TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (post_id) REFERENCES posts(id)
+);
+
+CREATE TABLE IF NOT EXISTS currency_rates (
+  currency TEXT PRIMARY KEY,
+  usd_rate REAL NOT NULL,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS reminders (
+  id INTEGER PRIMARY KEY,
+  post_id INTEGER NOT NULL,
+  deadline_at TEXT NOT NULL,
+  remind_at TEXT NOT NULL,
+  status TEXT DEFAULT 'pending',
+  sent_at TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (post_id) REFERENCES posts(id)
+);
+
+CREATE TABLE IF NOT EXISTS providers (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  usernames TEXT DEFAULT '[]',
+  domains TEXT DEFAULT '[]',
+  aliases TEXT DEFAULT '[]',
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS provider_posts (
+  id INTEGER PRIMARY KEY,
+  provider_id INTEGER NOT NULL,
+  post_id INTEGER,
+  link TEXT UNIQUE,
+  forum TEXT,
+  title TEXT,
+  author TEXT,
+  publish_time TEXT,
+  post_type TEXT,
+  summary TEXT,
+  monthly_usd REAL,
+  matched_by TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (provider_id) REFERENCES providers(id)
+);
+
+CREATE TABLE IF NOT EXISTS ai_profiles (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  provider TEXT NOT NULL,
+  url TEXT,
+  api_key TEXT,
+  model TEXT,
+  priority INTEGER DEFAULT 0,
+  enabled INTEGER DEFAULT 1,
+  timeout_ms INTEGER DEFAULT 30000,
+  temperature REAL,
+  max_tokens INTEGER,
+  consecutive_failures INTEGER DEFAULT 0,
+  circuit_open_until TEXT,
+  last_error TEXT,
+  last_error_at TEXT,
+  last_success_at TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS prompt_templates (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  forums TEXT,
+  is_default INTEGER DEFAULT 0,
+  active_version INTEGER DEFAULT 1,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS prompt_versions (
+  id INTEGER PRIMARY KEY,
+  template_id INTEGER NOT NULL,
+  version INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  note TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(template_id, version)
+);
+
+CREATE TABLE IF NOT EXISTS ai_cache (
+  cache_key TEXT PRIMARY KEY,
+  model TEXT,
+  post_type TEXT,
+  summary TEXT NOT NULL,
+  ai_profile TEXT,
+  hit_count INTEGER DEFAULT 0,
+  last_hit_at TEXT,
+  expires_at TEXT NOT NULL,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS ai_usage (
+  id INTEGER PRIMARY KEY,
+  ai_profile TEXT,
+  provider TEXT,
+  model TEXT,
+  purpose TEXT,
+  prompt_tokens INTEGER DEFAULT 0,
+  completion_tokens INTEGER DEFAULT 0,
+  cost_usd REAL DEFAULT 0,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS ai_prices (
+  id INTEGER PRIMARY KEY,
+  model TEXT NOT NULL UNIQUE,
+  input_per_1k REAL DEFAULT 0,
+  output_per_1k REAL DEFAULT 0,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS followed_threads (
+  id INTEGER PRIMARY KEY,
+  post_id INTEGER NOT NULL UNIQUE,
+  auto INTEGER DEFAULT 0,
+  status TEXT DEFAULT 'active',
+  since_at TEXT NOT NULL,
+  comment_count INTEGER DEFAULT 0,
+  last_comment_id INTEGER,
+  update_count INTEGER DEFAULT 0,
+  next_check_at TEXT,
+  last_checked_at TEXT,
+  last_error TEXT,
+  expires_at TEXT NOT NULL,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS thread_updates (
+  id INTEGER PRIMARY KEY,
+  thread_id INTEGER NOT NULL,
+  new_comments INTEGER DEFAULT 0,
+  provider_replies INTEGER DEFAULT 0,
+  events TEXT,
+  provider_update TEXT,
+  sentiment TEXT,
+  summary TEXT,
+  ai_profile TEXT,
+  telegram_message_id INTEGER,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS telegram_destinations (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  chat_id TEXT NOT NULL,
+  thread_id INTEGER,
+  forums TEXT,
+  post_types TEXT,
+  enabled INTEGER DEFAULT 1,
+  last_error TEXT,
+  last_error_at TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS telegram_deliveries (
+  id INTEGER PRIMARY KEY,
+  summary_id INTEGER NOT NULL,
+  destination_id INTEGER NOT NULL,
+  chat_id TEXT NOT NULL,
+  thread_id INTEGER,
+  message_id INTEGER,
+  status TEXT DEFAULT 'failed',
+  attempts INTEGER DEFAULT 0,
+  last_error TEXT,
+  sent_at TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(summary_id, destination_id)
+);
+
 CREATE INDEX IF NOT EXISTS idx_posts_processed ON posts(processed);
 CREATE INDEX IF NOT EXISTS idx_posts_created_at ON posts(created_at);
 CREATE INDEX IF NOT EXISTS idx_summaries_sent ON summaries(sent_to_telegram);
+CREATE INDEX IF NOT EXISTS idx_offers_post_id ON offers(post_id);
+CREATE INDEX IF NOT EXISTS idx_reminders_status ON reminders(status, remind_at);
+CREATE INDEX IF NOT EXISTS idx_provider_posts_provider ON provider_posts(provider_id, publish_time);
+CREATE INDEX IF NOT EXISTS idx_ai_cache_expires_at ON ai_cache(expires_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_created_at ON ai_usage(created_at);
+CREATE INDEX IF NOT EXISTS idx_prompt_versions_template ON prompt_versions(template_id, version);
+CREATE INDEX IF NOT EXISTS idx_followed_threads_due ON followed_threads(status, next_check_at);
+CREATE INDEX IF NOT EXISTS idx_thread_updates_thread ON thread_updates(thread_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_telegram_deliveries_destination ON telegram_deliveries(destination_id, status);
 `;
 
+// 已部署数据库的增量迁移（ALTER TABLE等），重复执行时忽略"duplicate column"错误
+// DB_SCHEMA 先于迁移执行，迁移新增列上的索引必须放在这里对应的ALTER之后
+const DB_MIGRATIONS = [
+  // v3: 条件请求和数据源健康状态
+  'ALTER TABLE sources ADD COLUMN etag TEXT',
+  'ALTER TABLE sources ADD COLUMN last_modified TEXT',
+  'ALTER TABLE sources ADD COLUMN last_checked_at TEXT',
+  'ALTER TABLE sources ADD COLUMN last_success_at TEXT',
+  'ALTER TABLE sources ADD COLUMN last_error TEXT',
+  'ALTER TABLE sources ADD COLUMN last_error_at TEXT',
+  'ALTER TABLE sources ADD COLUMN consecutive_failures INTEGER DEFAULT 0',
+  'ALTER TABLE sources ADD COLUMN avg_latency_ms INTEGER',
+  // v4: Vanilla论坛API数据源和帖子元数据
+  "ALTER TABLE sources ADD COLUMN type TEXT DEFAULT 'rss'",
+  'ALTER TABLE posts ADD COLUMN external_id TEXT',
+  'ALTER TABLE posts ADD COLUMN category TEXT',
+  'ALTER TABLE posts ADD COLUMN author_id TEXT',
+  'ALTER TABLE posts ADD COLUMN comment_count INTEGER',
+  'ALTER TABLE posts ADD COLUMN closed INTEGER DEFAULT 0',
+  'ALTER TABLE posts ADD COLUMN sink INTEGER DEFAULT 0',
+  // v5: 数据源独立轮询间隔（NULL表示跟随定时任务，升级后保持原有频率）
+  'ALTER TABLE sources ADD COLUMN poll_interval_minutes INTEGER',
+  'ALTER TABLE sources ADD COLUMN next_due_at TEXT',
+  // v8: 价格归一化
+  'ALTER TABLE posts ADD COLUMN monthly_usd REAL',
+  'ALTER TABLE posts ADD COLUMN price_text TEXT',
+  // v9: 促销截止时间和库存限制
+  'ALTER TABLE posts ADD COLUMN expires_at TEXT',
+  'ALTER TABLE posts ADD COLUMN stock_limit INTEGER',
+  // v10: 商家目录
+  'ALTER TABLE posts ADD COLUMN provider_id INTEGER',
+  // v11: 重复帖子识别
+  'ALTER TABLE posts ADD COLUMN links TEXT',
+  'ALTER TABLE posts ADD COLUMN title_key TEXT',
+  'ALTER TABLE posts ADD COLUMN simhash TEXT',
+  'ALTER TABLE posts ADD COLUMN cluster_id INTEGER',
+  'CREATE INDEX IF NOT EXISTS idx_posts_cluster_id ON posts(cluster_id)',
+  'ALTER TABLE summaries ADD COLUMN telegram_message_id INTEGER',
+  // v12: 优惠码和下单链接
+  'ALTER TABLE posts ADD COLUMN coupon_codes TEXT',
+  'ALTER TABLE posts ADD COLUMN order_links TEXT',
+  // v13: AI提供商链
+  'ALTER TABLE summaries ADD COLUMN ai_profile TEXT',
+  // v16: 模型参数
+  'ALTER TABLE ai_profiles ADD COLUMN temperature REAL',
+  'ALTER TABLE ai_profiles ADD COLUMN max_tokens INTEGER',
+  // v17: 提示词模板库
+  'ALTER TABLE summaries ADD COLUMN prompt_version TEXT'
+];
+
 // ==================== 核心工具类 ====================
 
 class Utils {
@@ -102,21 +563,57 @@ class Utils {
 
   static cleanText(text) {
     if (!text) return '';
-    return text
+    return Utils.decodeEntities(text
       .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
-      .replace(/<[^>]+>/g, '')
-      .replace(/&lt;/g, '<')
-      .replace(/&gt;/g, '>')
-      .replace(/&amp;/g, '&')
-      .replace(/&quot;/g, '"')
-      .replace(/&#39;/g, "'")
+      .replace(/<[^>]+>/g, ''))
       .trim();
   }
 
-  static extractTag(content, tagName) {
-    const regex = new RegExp(`<${tagName}[^>]*>([\\s\\S]*?)<\\/${tagName}>`, 'i');
-    const match = content.match(regex);
-    return match ? match[1] : '';
+  // 将帖子正文HTML转换为纯文本，保留段落换行
+  static htmlToText(html) {
+    if (!html) return '';
+    return Utils.cleanText(html
+      .replace(/<script[\s\S]*?<\/script>/gi, '')
+      .replace(/<style[\s\S]*?<\/style>/gi, '')
+      .replace(/<(br|\/p|\/div|\/li|\/h[1-6])[^>]*>/gi, '\n'))
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\s*\n\s*/g, '\n');
+  }
+
+  // 提取HTML中<a href>指向的外部链接，正文转为纯文本前调用
+  static extractLinks(html) {
+    if (!html) return [];
+    const links = new Set();
+    const hrefRegex = /<a\s[^>]*href\s*=\s*["']([^"']+)["']/gi;
+    let match;
+    while ((match = hrefRegex.exec(html)) !== null) {
+      const href = Utils.decodeEntities(match[1]).trim();
+      if (/^https?:\/\//i.test(href)) links.add(href);
+    }
+    return [...links];
+  }
+
+  // 解码XML/HTML实体，包括数字实体（&#8217; &#x2019;）和常见的HTML命名实体
+  static decodeEntities(text) {
+    if (!text) return '';
+    const namedEntities = {
+      lt: '<', gt: '>', amp: '&', quot: '"', apos: "'", nbsp: ' ',
+      hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’',
+      ldquo: '“', rdquo: '”', euro: '€', pound: '£', yen: '¥', copy: '©', reg: '®', trade: '™'
+    };
+
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const codePoint = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        try {
+          return String.fromCodePoint(codePoint);
+        } catch (error) {
+          return entity;
+        }
+      }
+      const decoded = namedEntities[code.toLowerCase()];
+      return decoded !== undefined ? decoded : entity;
+    });
   }
 
   static formatDateTime(dateString) {
@@ -136,6 +633,42 @@ class Utils {
     }
   }
 
+  // 以最多limit个并发执行worker，单个任务的异常由worker自行处理
+  static async runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        results[index] = await worker(items[index], index);
+      }
+    });
+
+    await Promise.all(runners);
+    return results;
+  }
+
+  static async sha256(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  static escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    return String(text).replace(/&/g, '&amp;')
+                       .replace(/</g, '&lt;')
+                       .replace(/>/g, '&gt;')
+                       .replace(/"/g, '&quot;');
+  }
+
+  static jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+      status,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
   static escapeJsString(str) {
     if (!str) return '';
     return str.replace(/\\/g, '\\\\')
@@ -168,25 +701,29 @@ class DatabaseManager {
         return;
       }
 
-      // 快速检查关键表是否存在
+      // 快速检查数据库结构版本是否为最新
+      let previousVersion = 0;
       try {
-        const tablesExist = await this.db.prepare(`
-          SELECT COUNT(*) as count FROM sqlite_master
-          WHERE type='table' AND name IN ('posts', 'summaries', 'settings')
+        const versionRow = await this.db.prepare(`
+          SELECT value FROM settings WHERE key = 'schema_version'
         `).first();
+        previousVersion = versionRow ? parseInt(versionRow.value) || 0 : 0;
 
-        if (tablesExist.count >= 3) {
+        if (versionRow && parseInt(versionRow.value) >= DB_SCHEMA_VERSION) {
           this.initialized = true;
           this.lastInitTime = now;
-          Utils.log('DEBUG', 'All tables exist, skipping full initialization');
+          Utils.log('DEBUG', 'Database schema is up to date, skipping full initialization');
           return;
         }
       } catch (error) {
-        Utils.log('WARN', 'Failed to check table existence, proceeding with full initialization');
+        Utils.log('WARN', 'Failed to check schema version, proceeding with full initialization');
       }
 
       // 执行完整初始化
       Utils.log('INFO', 'Performing full database initialization');
+      const isUpgrade = !!(await this.db.prepare(`
+        SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'posts'
+      `).first());
       const statements = DB_SCHEMA.split(';').filter(stmt => stmt.trim());
       for (const statement of statements) {
         if (statement.trim()) {
@@ -194,12 +731,116 @@ class DatabaseManager {
         }
       }
 
+      await this.runMigrations();
+      await this.seedDefaultSources();
+      await this.seedDefaultCurrencyRates();
+      await this.seedDefaultDestination();
+      if (isUpgrade && previousVersion <= AI_JSON_OUTPUT_SINCE_VERSION) {
+        await this.seedLegacyOutputMode();
+      }
+
+      await this.db.prepare(`
+        INSERT OR REPLACE INTO settings (key, value, updated_at)
+        VALUES ('schema_version', ?, ?)
+      `).bind(String(DB_SCHEMA_VERSION), Utils.getCurrentTimestamp()).run();
+
       this.initialized = true;
       this.lastInitTime = Date.now();
-      Utils.log('INFO', 'Database initialized successfully');
+      Utils.log('INFO', 'Database initialized successfully', { schemaVersion: DB_SCHEMA_VERSION });
     }, 'DatabaseManager.init');
   }
 
+  async runMigrations() {
+    for (const migration of DB_MIGRATIONS) {
+      try {
+        await this.db.prepare(migration).run();
+      } catch (error) {
+        if (!/duplicate column/i.test(error.message)) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  // 结构化输出之前部署的实例保持文本输出，避免升级后向不支持response_format的接口发送该参数；
+  // 已手动选择过输出格式时不覆盖
+  async seedLegacyOutputMode() {
+    await this.db.prepare(`
+      INSERT OR IGNORE INTO settings (key, value, updated_at)
+      VALUES ('ai_output_mode', 'text', ?)
+    `).bind(Utils.getCurrentTimestamp()).run();
+  }
+
+  // 仅在sources表为空时写入默认数据源，避免重新初始化时恢复已删除的数据源
+  async seedDefaultSources() {
+    const existing = await this.db.prepare('SELECT COUNT(*) as count FROM sources').first();
+    if (existing && existing.count > 0) return;
+
+    const statements = DEFAULT_SOURCES.map(source =>
+      this.db.prepare(`
+        INSERT OR IGNORE INTO sources (name, url, emoji, enabled, forum_group, poll_interval_minutes)
+        VALUES (?, ?, ?, 1, ?, ?)
+      `).bind(source.name, source.url, source.emoji, source.forum_group, source.poll_interval_minutes)
+    );
+    await this.db.batch(statements);
+  }
+
+  async seedDefaultCurrencyRates() {
+    const existing = await this.db.prepare('SELECT COUNT(*) as count FROM currency_rates').first();
+    if (existing && existing.count > 0) return;
+
+    const statements = Object.entries(DEFAULT_CURRENCY_RATES).map(([currency, rate]) =>
+      this.db.prepare(`
+        INSERT OR IGNORE INTO currency_rates (currency, usd_rate, updated_at)
+        VALUES (?, ?, ?)
+      `).bind(currency, rate, Utils.getCurrentTimestamp())
+    );
+    await this.db.batch(statements);
+  }
+
+  // 仅在推送目标为空时把原来的频道ID（tg_channel_id）写入为第一个推送目标，
+  // 并把已推送的总结记为该目标的投递，升级后编辑消息、提醒和讨论更新仍能找到原消息；
+  // 推送目标表有过数据后记下tg_destinations_seeded，之后删光推送目标也不再重新生成
+  async seedDefaultDestination() {
+    const seeded = await this.db.prepare(`
+      SELECT value FROM settings WHERE key = 'tg_destinations_seeded'
+    `).first();
+    if (seeded) return;
+
+    const existing = await this.db.prepare('SELECT COUNT(*) as count FROM telegram_destinations').first();
+    if (existing && existing.count > 0) {
+      await this.markDestinationsSeeded();
+      return;
+    }
+
+    const setting = await this.db.prepare(`
+      SELECT value FROM settings WHERE key = 'tg_channel_id'
+    `).first();
+    const chatId = setting?.value || this.env.DEFAULT_TG_CHANNEL;
+    if (!chatId) return;
+
+    const now = Utils.getCurrentTimestamp();
+    const result = await this.db.prepare(`
+      INSERT INTO telegram_destinations (name, chat_id, enabled, created_at, updated_at)
+      VALUES ('默认频道', ?, 1, ?, ?)
+    `).bind(chatId, now, now).run();
+
+    await this.db.prepare(`
+      INSERT OR IGNORE INTO telegram_deliveries (summary_id, destination_id, chat_id, message_id, status, attempts, sent_at, created_at)
+      SELECT id, ?, ?, telegram_message_id, 'sent', 1, created_at, ?
+      FROM summaries WHERE sent_to_telegram = 1
+    `).bind(result.meta.last_row_id, chatId, now).run();
+
+    await this.markDestinationsSeeded();
+  }
+
+  async markDestinationsSeeded() {
+    await this.db.prepare(`
+      INSERT OR REPLACE INTO settings (key, value, updated_at)
+      VALUES ('tg_destinations_seeded', '1', ?)
+    `).bind(Utils.getCurrentTimestamp()).run();
+  }
+
   // 统一的重试计数更新函数
   async incrementRetryCount(table, idField, id, maxRetries = 3) {
     return Utils.withErrorHandling(async () => {
@@ -273,6 +914,40 @@ class DatabaseManager {
         DELETE FROM summaries WHERE created_at < ?
       `).bind(cutoffDate).run();
 
+      await this.db.prepare(`
+        DELETE FROM offers WHERE post_id NOT IN (SELECT id FROM posts)
+      `).run();
+
+      await this.db.prepare(`
+        DELETE FROM reminders WHERE post_id NOT IN (SELECT id FROM posts)
+      `).run();
+
+      await this.db.prepare(`
+        DELETE FROM followed_threads WHERE post_id NOT IN (SELECT id FROM posts)
+      `).run();
+
+      await this.db.prepare(`
+        DELETE FROM thread_updates WHERE thread_id NOT IN (SELECT id FROM followed_threads)
+      `).run();
+
+      await this.db.prepare(`
+        DELETE FROM telegram_deliveries WHERE summary_id NOT IN (SELECT id FROM summaries)
+      `).run();
+
+      await this.db.prepare(`
+        DELETE FROM ai_cache WHERE expires_at < ?
+      `).bind(Utils.getCurrentTimestamp()).run();
+
+      const usageCutoff = new Date(Date.now() - AI_USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      await this.db.prepare(`
+        DELETE FROM ai_usage WHERE created_at < ?
+      `).bind(usageCutoff).run();
+
+      const historyCutoff = new Date(Date.now() - PROVIDER_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      await this.db.prepare(`
+        DELETE FROM provider_posts WHERE created_at < ?
+      `).bind(historyCutoff).run();
+
       Utils.log('INFO', 'Cleanup completed', {
         deletedPosts: deletePostsResult.changes,
         deletedSummaries: deleteSummariesResult.changes,
@@ -323,14 +998,70 @@ class ConfigManager {
       url: await this.get('ai_url', this.env.DEFAULT_AI_URL || ''),
       apiKey: await this.get('ai_api_key', this.env.DEFAULT_AI_KEY || ''),
       model: await this.get('ai_model', this.env.DEFAULT_AI_MODEL || 'gpt-3.5-turbo'),
-      prompt: await this.get('ai_prompt', DEFAULT_PROMPT)
+      prompt: await this.get('ai_prompt', DEFAULT_PROMPT),
+      mode: await this.get('ai_mode', 'ai'),
+      outputMode: await this.get('ai_output_mode', 'json'),
+      temperature: parseFloat(await this.get('ai_temperature', String(AI_DEFAULT_TEMPERATURE))),
+      maxTokens: parseInt(await this.get('ai_max_tokens', String(AI_DEFAULT_MAX_TOKENS))),
+      timeoutMs: parseInt(await this.get('ai_timeout_ms', String(AI_DEFAULT_TIMEOUT_MS)))
+    };
+  }
+
+  async getSyncConfig() {
+    const concurrency = parseInt(await this.get('rss_concurrency', '3'));
+    const hostDelayMs = parseInt(await this.get('rss_host_delay_ms', '1000'));
+    return {
+      concurrency: concurrency > 0 ? concurrency : 3,
+      hostDelayMs: hostDelayMs >= 0 ? hostDelayMs : 1000
+    };
+  }
+
+  async getAICacheConfig() {
+    const ttlHours = parseInt(await this.get('ai_cache_ttl_hours', String(AI_CACHE_DEFAULT_TTL_HOURS)));
+    return {
+      ttlHours: ttlHours >= 0 ? ttlHours : AI_CACHE_DEFAULT_TTL_HOURS
+    };
+  }
+
+  async getAIBudgetConfig() {
+    const period = await this.get('ai_budget_period', 'daily');
+    const limitUsd = parseFloat(await this.get('ai_budget_usd', '0'));
+    return {
+      period: AI_BUDGET_PERIODS.includes(period) ? period : 'daily',
+      limitUsd: limitUsd > 0 ? limitUsd : 0
+    };
+  }
+
+  async getReminderConfig() {
+    const leadMinutes = parseInt(await this.get('reminder_lead_minutes', '120'));
+    return {
+      leadMinutes: leadMinutes > 0 ? leadMinutes : 120
+    };
+  }
+
+  async getFollowConfig() {
+    const intervalMinutes = parseInt(await this.get('follow_interval_minutes', String(FOLLOW_DEFAULT_INTERVAL_MINUTES)));
+    const days = parseInt(await this.get('follow_days', String(FOLLOW_DEFAULT_DAYS)));
+    return {
+      autoFollow: (await this.get('follow_auto', '1')) === '1',
+      intervalMinutes: intervalMinutes > 0 ? intervalMinutes : FOLLOW_DEFAULT_INTERVAL_MINUTES,
+      days: days > 0 ? days : FOLLOW_DEFAULT_DAYS
     };
   }
 
+  // 推送的频道在telegram_destinations表中管理，tg_channel_id只在升级时用于生成第一个推送目标
   async getTelegramConfig() {
     return {
-      botToken: await this.get('tg_bot_token', this.env.DEFAULT_TG_TOKEN || ''),
-      channelId: await this.get('tg_channel_id', this.env.DEFAULT_TG_CHANNEL || '')
+      botToken: await this.get('tg_bot_token', this.env.DEFAULT_TG_TOKEN || '')
+    };
+  }
+
+  // webhookSecret 用于校验Webhook请求，adminIds 为可以执行管理员命令的Telegram用户ID
+  async getBotConfig() {
+    const adminIds = await this.get('tg_admin_ids', '');
+    return {
+      webhookSecret: await this.get('tg_webhook_secret', ''),
+      adminIds: adminIds.split(',').map(id => id.trim()).filter(Boolean)
     };
   }
 
@@ -358,978 +1089,8388 @@ class ConfigManager {
   }
 }
 
-// ==================== AI服务管理器 ====================
+// ==================== 数据源管理器 ====================
 
-class AIServiceManager {
-  constructor(env, configManager) {
+class SourceManager {
+  constructor(env) {
     this.env = env;
-    this.configManager = configManager;
+    this.db = env.DB;
   }
 
-  async callAI(prompt) {
-    return Utils.withErrorHandling(async () => {
-      const config = await this.configManager.getAIConfig();
+  async listSources() {
+    const result = await this.db.prepare(`
+      SELECT * FROM sources ORDER BY forum_group ASC, name ASC
+    `).all();
+    return result.results || [];
+  }
 
-      let result;
-      switch (config.provider) {
-        case 'openai':
-        case 'openai_like':
-          result = await this.callOpenAILikeAPI(prompt, config);
-          break;
-        case 'gemini':
-          result = await this.callGeminiAPI(prompt, config);
-          break;
-        case 'cf_workers':
-          result = await this.callCFWorkersAI(prompt, config);
-          break;
-        default:
-          throw new Error(`Unsupported AI provider: ${config.provider}`);
-      }
+  async getEnabledSources() {
+    const result = await this.db.prepare(`
+      SELECT * FROM sources WHERE enabled = 1 ORDER BY name ASC
+    `).all();
+    return result.results || [];
+  }
 
-      if (!result) return null;
+  // 已启用且到达下次轮询时间的数据源
+  async getDueSources() {
+    const dueBefore = new Date(Date.now() + POLL_GRACE_MS).toISOString();
+    const result = await this.db.prepare(`
+      SELECT * FROM sources
+      WHERE enabled = 1 AND (next_due_at IS NULL OR next_due_at <= ?)
+      ORDER BY name ASC
+    `).bind(dueBefore).all();
+    return result.results || [];
+  }
 
-      // 解析AI返回的结果
-      return this.parseAIResponse(result);
-    }, 'AIServiceManager.callAI');
+  async scheduleNextPoll(source) {
+    // 未设置间隔的数据源每次定时任务都抓取
+    const nextDueAt = source.poll_interval_minutes > 0
+      ? new Date(Date.now() + source.poll_interval_minutes * 60 * 1000).toISOString()
+      : null;
+    await this.db.prepare(`
+      UPDATE sources SET next_due_at = ? WHERE id = ?
+    `).bind(nextDueAt, source.id).run();
   }
 
-  async callOpenAILikeAPI(prompt, config) {
-    const response = await fetch(config.url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${config.apiKey}`
-      },
-      body: JSON.stringify({
-        model: config.model,
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 200,
-        temperature: 0.7
-      })
-    });
+  async getSource(id) {
+    return await this.db.prepare(`
+      SELECT * FROM sources WHERE id = ?
+    `).bind(id).first();
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`AI API error: ${response.status} ${response.statusText} - ${errorText}`);
+  // 论坛名称 -> emoji 映射，供Telegram消息格式化使用
+  async getEmojiMap() {
+    const sources = await this.listSources();
+    const emojiMap = {};
+    for (const source of sources) {
+      if (source.forum_group && !emojiMap[source.forum_group]) {
+        emojiMap[source.forum_group] = source.emoji;
+      }
+      emojiMap[source.name] = source.emoji;
     }
-
-    const data = await response.json();
-    return data.choices?.[0]?.message?.content?.trim() || null;
+    return emojiMap;
   }
 
-  async callGeminiAPI(prompt, config) {
-    const response = await fetch(`${config.url}?key=${config.apiKey}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: { maxOutputTokens: 200, temperature: 0.7 }
-      })
-    });
+  async recordFetchSuccess(id, feed) {
+    // 平均延迟使用指数移动平均，近期请求权重更高
+    await this.db.prepare(`
+      UPDATE sources SET
+        etag = ?,
+        last_modified = ?,
+        last_checked_at = ?,
+        last_success_at = ?,
+        consecutive_failures = 0,
+        avg_latency_ms = CASE
+          WHEN avg_latency_ms IS NULL THEN ?
+          ELSE CAST(ROUND(avg_latency_ms * 0.8 + ? * 0.2) AS INTEGER)
+        END
+      WHERE id = ?
+    `).bind(
+      feed.etag || null,
+      feed.lastModified || null,
+      Utils.getCurrentTimestamp(),
+      Utils.getCurrentTimestamp(),
+      feed.latencyMs,
+      feed.latencyMs,
+      id
+    ).run();
+  }
 
-    if (!response.ok) {
-      throw new Error(`Gemini API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data.candidates?.[0]?.content?.parts?.[0]?.text?.trim() || null;
+  async recordFetchFailure(id, errorMessage) {
+    try {
+      await this.db.prepare(`
+        UPDATE sources SET
+          last_checked_at = ?,
+          last_error = ?,
+          last_error_at = ?,
+          consecutive_failures = COALESCE(consecutive_failures, 0) + 1
+        WHERE id = ?
+      `).bind(
+        Utils.getCurrentTimestamp(),
+        String(errorMessage).substring(0, 500),
+        Utils.getCurrentTimestamp(),
+        id
+      ).run();
+    } catch (error) {
+      Utils.log('WARN', `Failed to record fetch failure for source ${id}`, { error: error.message });
+    }
   }
 
-  async callCFWorkersAI(prompt, config) {
-    if (!this.env?.AI) {
-      throw new Error('Cloudflare Workers AI not available');
+  validateSource(data, partial = false) {
+    if (!partial || data.name !== undefined) {
+      // 名称同时用作Telegram话题标签，只允许字母、数字和下划线
+      if (!data.name || !/^[A-Za-z0-9_]+$/.test(data.name)) {
+        throw new Error('数据源名称只能包含字母、数字和下划线');
+      }
+    }
+    if (!partial || data.url !== undefined) {
+      if (!data.url || !/^https?:\/\//i.test(data.url)) {
+        throw new Error('RSS地址必须以http://或https://开头');
+      }
+    }
+    if (data.type !== undefined && !SOURCE_TYPES.includes(data.type)) {
+      throw new Error(`不支持的数据源类型: ${data.type}`);
     }
+    if (data.poll_interval_minutes !== undefined && data.poll_interval_minutes !== null &&
+        !(Number.isInteger(data.poll_interval_minutes) && data.poll_interval_minutes > 0)) {
+      throw new Error('轮询间隔必须为正整数（分钟）');
+    }
+  }
 
-    const response = await this.env.AI.run(config.model, {
-      messages: [{ role: 'user', content: prompt }]
-    });
+  async createSource(data) {
+    this.validateSource(data);
 
-    return response?.response?.trim() || null;
+    return Utils.withErrorHandling(async () => {
+      const result = await this.db.prepare(`
+        INSERT INTO sources (name, url, type, emoji, enabled, forum_group, poll_interval_minutes, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        data.name,
+        data.url,
+        data.type || 'rss',
+        data.emoji || '📢',
+        data.enabled === false ? 0 : 1,
+        data.forum_group || data.name.split('_')[0],
+        data.poll_interval_minutes || null,
+        Utils.getCurrentTimestamp(),
+        Utils.getCurrentTimestamp()
+      ).run();
+
+      Utils.log('INFO', `Source created: ${data.name}`, { url: data.url });
+      return result.meta?.last_row_id;
+    }, 'SourceManager.createSource');
   }
 
-  parseAIResponse(aiResult) {
-    try {
-      const typeMatch = aiResult.match(/类型[：:]\s*(促销|其他)/i);
-      const summaryMatch = aiResult.match(/总结[：:]\s*(.+)/is);
-
-      let postType = '其他';
-      let summary = aiResult;
+  async updateSource(id, data) {
+    this.validateSource(data, true);
 
-      if (typeMatch && summaryMatch) {
-        postType = typeMatch[1].trim();
-        summary = summaryMatch[1].trim();
-      } else {
-        const lowerResult = aiResult.toLowerCase();
-        if (lowerResult.includes('促销') || lowerResult.includes('优惠') ||
-            lowerResult.includes('特价') || lowerResult.includes('折扣') ||
-            lowerResult.includes('免费') || lowerResult.includes('赠送') ||
-            lowerResult.includes('price') || lowerResult.includes('offer') ||
-            lowerResult.includes('deal') || lowerResult.includes('discount')) {
-          postType = '促销';
-        }
+    return Utils.withErrorHandling(async () => {
+      const fields = ['name', 'url', 'type', 'emoji', 'enabled', 'forum_group', 'poll_interval_minutes'].filter(field => data[field] !== undefined);
+      if (fields.length === 0) return false;
+
+      const values = fields.map(field => field === 'enabled' ? (data.enabled ? 1 : 0) : data[field]);
+      const assignments = fields.map(field => `${field} = ?`);
+      if (data.url !== undefined) {
+        // 地址变更后旧的缓存校验值不再有效
+        assignments.push('etag = NULL', 'last_modified = NULL');
+      }
+      if (data.poll_interval_minutes !== undefined) {
+        // 修改间隔后按新间隔重新计算，下次cron即检查
+        assignments.push('next_due_at = NULL');
       }
 
-      return { postType, summary };
-    } catch (error) {
-      Utils.log('WARN', 'Failed to parse AI response, using defaults', { error: error.message });
-      return { postType: '其他', summary: aiResult };
-    }
-  }
-}
-
-// ==================== 网络请求管理器 ====================
+      const result = await this.db.prepare(`
+        UPDATE sources SET ${assignments.join(', ')}, updated_at = ?
+        WHERE id = ?
+      `).bind(...values, Utils.getCurrentTimestamp(), id).run();
 
-class NetworkManager {
-  constructor() {
-    this.defaultHeaders = {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
-      'Accept-Language': 'en-US,en;q=0.9,zh-CN;q=0.8,zh;q=0.7',
-      'Accept-Encoding': 'gzip, deflate, br',
-      'DNT': '1',
-      'Connection': 'keep-alive',
-      'Upgrade-Insecure-Requests': '1',
-      'Sec-Fetch-Dest': 'document',
-      'Sec-Fetch-Mode': 'navigate',
-      'Sec-Fetch-Site': 'none',
-      'Sec-Fetch-User': '?1',
-      'Cache-Control': 'max-age=0'
-    };
+      Utils.log('INFO', `Source ${id} updated`, { fields });
+      return result.meta?.changes > 0;
+    }, `SourceManager.updateSource(${id})`);
   }
 
-  async fetchWithRetry(url, options = {}) {
+  async deleteSource(id) {
     return Utils.withErrorHandling(async () => {
-      const maxRetries = options.maxRetries || 3;
-      const retryDelay = options.retryDelay || 5000;
-      let lastError;
+      const result = await this.db.prepare(`
+        DELETE FROM sources WHERE id = ?
+      `).bind(id).run();
 
-      for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-          Utils.log('INFO', `Fetching attempt ${attempt}/${maxRetries}`, { url });
+      Utils.log('INFO', `Source ${id} deleted`);
+      return result.meta?.changes > 0;
+    }, `SourceManager.deleteSource(${id})`);
+  }
+}
 
-          // 添加随机延迟避免被检测
-          if (options.delay !== false) {
-            const delayMs = options.delay || Math.random() * 2000 + 1000;
-            await Utils.delay(delayMs);
-          }
+// ==================== 规则引擎 ====================
 
-          const headers = { ...this.defaultHeaders, ...options.headers };
-          const response = await fetch(url, {
-            method: options.method || 'GET',
-            headers,
-            ...options.fetchOptions
-          });
+// 规则条件字段：forums（数据源名称或论坛分组）、titleRegex、summaryRegex、authors、postType、
+// minPrice/maxPrice（美元）、minRamGB/maxRamGB。数值条件从标题、总结和正文中解析
+// 规则动作：push（额外推送到指定chatId）、tag（追加话题标签）、suppress（不推送）、pin（置顶）
+const RULE_ACTION_TYPES = ['push', 'tag', 'suppress', 'pin'];
 
-          if (!response.ok) {
-            throw new Error(`HTTP ${response.status} ${response.statusText}`);
-          }
+class RuleEngine {
+  constructor(env) {
+    this.env = env;
+    this.db = env.DB;
+  }
 
-          const content = await response.text();
+  async listRules() {
+    const result = await this.db.prepare(`
+      SELECT * FROM rules ORDER BY priority DESC, id ASC
+    `).all();
+    return (result.results || []).map(rule => this.deserializeRule(rule));
+  }
 
-          // 检查是否被Cloudflare拦截
-          if (content.includes('Checking your browser') ||
-              content.includes('cloudflare') ||
-              content.includes('cf-browser-verification')) {
-            throw new Error('Cloudflare protection detected');
-          }
+  async getActiveRules() {
+    const rules = await this.listRules();
+    return rules.filter(rule => rule.enabled);
+  }
 
-          if (attempt > 1) {
-            Utils.log('INFO', `Successfully fetched after ${attempt} attempts`, { url });
-          }
+  deserializeRule(row) {
+    let conditions = {};
+    let actions = [];
+    try {
+      conditions = JSON.parse(row.conditions || '{}');
+      actions = JSON.parse(row.actions || '[]');
+    } catch (error) {
+      Utils.log('WARN', `Invalid JSON in rule ${row.id}`, { error: error.message });
+    }
+    return { ...row, enabled: !!row.enabled, conditions, actions };
+  }
 
-          return content;
+  validateRule(rule) {
+    if (!rule.name) {
+      throw new Error('规则名称不能为空');
+    }
 
+    for (const field of ['titleRegex', 'summaryRegex']) {
+      if (rule.conditions[field]) {
+        try {
+          new RegExp(rule.conditions[field], 'i');
         } catch (error) {
-          lastError = error;
-          Utils.log('WARN', `Fetch attempt ${attempt} failed`, {
-            url,
-            error: error.message,
-            willRetry: attempt < maxRetries
-          });
-
-          if (attempt < maxRetries) {
-            await Utils.delay(retryDelay);
-          }
+          throw new Error(`正则表达式无效（${field}）: ${error.message}`);
         }
       }
+    }
 
-      Utils.log('ERROR', `All ${maxRetries} fetch attempts failed`, { url, lastError: lastError.message });
-      throw lastError;
-    }, `NetworkManager.fetchWithRetry(${url})`);
-  }
-
-  async fetchRSS(url) {
-    return Utils.withErrorHandling(async () => {
-      const response = await fetch(url, {
-        headers: { 'User-Agent': 'TripleLE-Monitor/1.0' }
-      });
+    for (const field of ['minPrice', 'maxPrice', 'minRamGB', 'maxRamGB']) {
+      const value = rule.conditions[field];
+      if (value !== undefined && (typeof value !== 'number' || isNaN(value))) {
+        throw new Error(`数值条件无效（${field}）`);
+      }
+    }
 
-      if (!response.ok) {
-        throw new Error(`Failed to fetch RSS: ${response.status} ${response.statusText}`);
+    if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+      throw new Error('规则至少需要一个动作');
+    }
+    for (const action of rule.actions) {
+      if (!RULE_ACTION_TYPES.includes(action.type)) {
+        throw new Error(`不支持的规则动作: ${action.type}`);
+      }
+      if (action.type === 'push' && !action.chatId) {
+        throw new Error('push动作需要指定chatId');
       }
+      if (action.type === 'tag' && !/^[\p{L}\p{N}_]+$/u.test(action.tag || '')) {
+        throw new Error('标签只能包含文字、数字和下划线');
+      }
+    }
+  }
 
-      return await response.text();
-    }, `NetworkManager.fetchRSS(${url})`);
+  async createRule(rule) {
+    this.validateRule(rule);
+
+    return Utils.withErrorHandling(async () => {
+      const result = await this.db.prepare(`
+        INSERT INTO rules (name, enabled, priority, conditions, actions, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        rule.name,
+        rule.enabled === false ? 0 : 1,
+        rule.priority || 0,
+        JSON.stringify(rule.conditions),
+        JSON.stringify(rule.actions),
+        Utils.getCurrentTimestamp(),
+        Utils.getCurrentTimestamp()
+      ).run();
+
+      Utils.log('INFO', `Rule created: ${rule.name}`);
+      return result.meta?.last_row_id;
+    }, 'RuleEngine.createRule');
   }
 
-  async fetchLETPage(url, options = {}) {
+  async updateRule(id, rule) {
+    this.validateRule(rule);
+
     return Utils.withErrorHandling(async () => {
-      const letOptions = {
-        ...options,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5',
-          'Accept-Encoding': 'gzip, deflate, br',
-          'Referer': 'https://lowendtalk.com/',
-          'DNT': '1',
-          'Connection': 'keep-alive',
-          'Upgrade-Insecure-Requests': '1',
-          ...options.headers
-        },
-        maxRetries: 3,
-        retryDelay: 3000,
-        delay: 2000
-      };
+      const result = await this.db.prepare(`
+        UPDATE rules SET name = ?, priority = ?, conditions = ?, actions = ?, updated_at = ?
+        WHERE id = ?
+      `).bind(
+        rule.name,
+        rule.priority || 0,
+        JSON.stringify(rule.conditions),
+        JSON.stringify(rule.actions),
+        Utils.getCurrentTimestamp(),
+        id
+      ).run();
+
+      return result.meta?.changes > 0;
+    }, `RuleEngine.updateRule(${id})`);
+  }
 
-      Utils.log('INFO', `Fetching LET page: ${url}`);
-      const content = await this.fetchWithRetry(url, letOptions);
+  async setRuleEnabled(id, enabled) {
+    const result = await this.db.prepare(`
+      UPDATE rules SET enabled = ?, updated_at = ? WHERE id = ?
+    `).bind(enabled ? 1 : 0, Utils.getCurrentTimestamp(), id).run();
+    return result.meta?.changes > 0;
+  }
 
-      if (!content || content.length < 1000) {
-        throw new Error('Page content too short, possibly blocked');
-      }
+  async deleteRule(id) {
+    const result = await this.db.prepare(`
+      DELETE FROM rules WHERE id = ?
+    `).bind(id).run();
+    return result.meta?.changes > 0;
+  }
 
-      if (!content.includes('lowendtalk') && !content.includes('Vanilla')) {
-        Utils.log('WARN', 'Page does not appear to be a valid LET page', { url });
-      }
+  // 从文本中解析价格（美元）和内存（GB），供数值条件使用
+  extractMetrics(text) {
+    const prices = [];
+    const priceRegex = /(?:\$\s?(\d+(?:\.\d+)?)|(\d+(?:\.\d+)?)\s?(?:USD|美元|刀))/gi;
+    let match;
+    while ((match = priceRegex.exec(text)) !== null) {
+      prices.push(parseFloat(match[1] || match[2]));
+    }
 
-      Utils.log('INFO', `Successfully fetched LET page: ${url}`, {
-        contentLength: content.length
-      });
+    const ramValues = [];
+    const ramRegex = /(\d+(?:\.\d+)?)\s?(GB|G|MB|M)\s?(?:of\s)?(?:DDR\d\s?)?(?:RAM|内存|memory)|(?:RAM|内存|memory)[:：]?\s?(\d+(?:\.\d+)?)\s?(GB|G|MB|M)/gi;
+    while ((match = ramRegex.exec(text)) !== null) {
+      const value = parseFloat(match[1] || match[3]);
+      const unit = (match[2] || match[4]).toUpperCase();
+      ramValues.push(unit.startsWith('M') ? value / 1024 : value);
+    }
 
-      return content;
-    }, `NetworkManager.fetchLETPage(${url})`);
+    return { prices, ramValues };
   }
 
-  // 内容提取函数
-  extractPostContent(htmlContent) {
-    try {
-      const patterns = [
-        /<div[^>]*class="[^"]*Message[^"]*"[^>]*>([\s\S]*?)<\/div>/i,
-        /<div[^>]*class="[^"]*UserContent[^"]*"[^>]*>([\s\S]*?)<\/div>/i,
-        /<div[^>]*class="[^"]*Content[^"]*"[^>]*>([\s\S]*?)<\/div>/i,
-        /<article[^>]*>([\s\S]*?)<\/article>/i,
-        /<main[^>]*>([\s\S]*?)<\/main>/i
-      ];
+  matchesRule(rule, summary, metrics) {
+    const conditions = rule.conditions;
 
-      for (const pattern of patterns) {
-        const match = htmlContent.match(pattern);
-        if (match && match[1]) {
-          let content = match[1]
-            .replace(/<script[\s\S]*?<\/script>/gi, '')
-            .replace(/<style[\s\S]*?<\/style>/gi, '')
-            .replace(/<[^>]+>/g, ' ')
-            .replace(/\s+/g, ' ')
-            .replace(/&nbsp;/g, ' ')
-            .replace(/&amp;/g, '&')
-            .replace(/&lt;/g, '<')
-            .replace(/&gt;/g, '>')
-            .replace(/&quot;/g, '"')
-            .trim();
-
-          if (content.length > 50) {
-            return content.length > 1000 ? content.substring(0, 1000) + '...' : content;
-          }
-        }
-      }
+    if (conditions.forums?.length) {
+      const forum = summary.forum || '';
+      const matched = conditions.forums.some(name => forum === name || forum.startsWith(`${name}_`));
+      if (!matched) return false;
+    }
 
-      const titleMatch = htmlContent.match(/<title[^>]*>([^<]+)<\/title>/i);
-      if (titleMatch) {
-        return `页面标题: ${titleMatch[1].trim()}`;
-      }
+    if (conditions.titleRegex && !new RegExp(conditions.titleRegex, 'i').test(summary.title || '')) {
+      return false;
+    }
 
-      return null;
-    } catch (error) {
-      Utils.log('WARN', 'Failed to extract post content from HTML', { error: error.message });
-      return null;
+    if (conditions.summaryRegex && !new RegExp(conditions.summaryRegex, 'i').test(summary.summary || '')) {
+      return false;
     }
-  }
-}
 
-// ==================== RSS解析器 ====================
+    if (conditions.authors?.length) {
+      const author = (summary.author || '').toLowerCase();
+      if (!conditions.authors.some(name => name.toLowerCase() === author)) return false;
+    }
 
-class RSSParser {
-  constructor(networkManager) {
-    this.networkManager = networkManager;
+    if (conditions.postType && conditions.postType !== summary.post_type) {
+      return false;
+    }
+
+    // 数值条件：文本中任意一个数值满足即可，未解析到数值时视为不匹配
+    if (conditions.minPrice !== undefined || conditions.maxPrice !== undefined) {
+      const matched = metrics.prices.some(price =>
+        (conditions.minPrice === undefined || price >= conditions.minPrice) &&
+        (conditions.maxPrice === undefined || price <= conditions.maxPrice)
+      );
+      if (!matched) return false;
+    }
+
+    if (conditions.minRamGB !== undefined || conditions.maxRamGB !== undefined) {
+      const matched = metrics.ramValues.some(ram =>
+        (conditions.minRamGB === undefined || ram >= conditions.minRamGB) &&
+        (conditions.maxRamGB === undefined || ram <= conditions.maxRamGB)
+      );
+      if (!matched) return false;
+    }
+
+    return true;
   }
 
-  async parseRSSContent(rssContent) {
-    return Utils.withErrorHandling(async () => {
-      const items = [];
-      const itemRegex = /<item>([\s\S]*?)<\/item>/gi;
-      let match;
+  // 对一条待发送的总结执行所有规则，合并匹配规则的动作
+  evaluate(summary, rules) {
+    const decision = { suppress: false, pin: false, tags: [], chatIds: [], matchedRules: [] };
+    const metrics = this.extractMetrics(`${summary.title || ''}\n${summary.summary || ''}\n${summary.content || ''}`);
 
-      while ((match = itemRegex.exec(rssContent)) !== null) {
-        const itemContent = match[1];
-
-        const title = Utils.extractTag(itemContent, 'title');
-        const link = Utils.extractTag(itemContent, 'link');
-        const description = Utils.extractTag(itemContent, 'description');
-        const pubDate = Utils.extractTag(itemContent, 'pubDate');
-        const author = Utils.extractTag(itemContent, 'author') || Utils.extractTag(itemContent, 'dc:creator');
-
-        if (title && link) {
-          items.push({
-            title: Utils.cleanText(title),
-            link: Utils.cleanText(link),
-            content: Utils.cleanText(description),
-            publishTime: pubDate ? new Date(pubDate).toISOString() : Utils.getCurrentTimestamp(),
-            author: Utils.cleanText(author)
-          });
+    for (const rule of rules) {
+      try {
+        if (!this.matchesRule(rule, summary, metrics)) continue;
+      } catch (error) {
+        Utils.log('WARN', `Failed to evaluate rule ${rule.id}`, { error: error.message });
+        continue;
+      }
+
+      decision.matchedRules.push(rule.name);
+      for (const action of rule.actions) {
+        switch (action.type) {
+          case 'suppress':
+            decision.suppress = true;
+            break;
+          case 'pin':
+            decision.pin = true;
+            break;
+          case 'tag':
+            if (!decision.tags.includes(action.tag)) decision.tags.push(action.tag);
+            break;
+          case 'push':
+            if (!decision.chatIds.includes(action.chatId)) decision.chatIds.push(action.chatId);
+            break;
         }
       }
+    }
 
-      return items;
-    }, 'RSSParser.parseRSSContent');
+    return decision;
   }
+}
 
-  async syncAllRSS(env, dbManager) {
-    return Utils.withErrorHandling(async () => {
-      const allPosts = [];
+// ==================== 提示词模板库 ====================
 
-      for (const [forumName, rssUrl] of Object.entries(RSS_SOURCES)) {
-        try {
-          Utils.log('INFO', `Syncing RSS for ${forumName}`, { url: rssUrl });
+// 模板按数据源名称或论坛分组分配，每次修改内容生成新版本，可回滚到任一历史版本
+class PromptLibrary {
+  constructor(env, configManager) {
+    this.env = env;
+    this.db = env.DB;
+    this.configManager = configManager;
+  }
 
-          const rssContent = await this.networkManager.fetchRSS(rssUrl);
-          const posts = await this.parseRSSContent(rssContent);
+  parseTemplate(row) {
+    return { ...row, forums: row.forums ? JSON.parse(row.forums) : [] };
+  }
 
-          // 为每个帖子添加论坛标识
-          const forumPosts = posts.map(post => ({
-            ...post,
-            forum: forumName
-          }));
+  // 附带当前版本内容和版本数量
+  async listTemplates() {
+    const result = await this.db.prepare(`
+      SELECT t.*, v.content, v.note,
+        (SELECT COUNT(*) FROM prompt_versions WHERE template_id = t.id) AS version_count
+      FROM prompt_templates t
+      LEFT JOIN prompt_versions v ON v.template_id = t.id AND v.version = t.active_version
+      ORDER BY t.is_default DESC, t.name ASC
+    `).all();
+    return (result.results || []).map(row => this.parseTemplate(row));
+  }
 
-          allPosts.push(...forumPosts);
-          Utils.log('INFO', `Fetched ${posts.length} posts from ${forumName}`);
+  async getTemplate(id) {
+    const row = await this.db.prepare(`
+      SELECT t.*, v.content, v.note
+      FROM prompt_templates t
+      LEFT JOIN prompt_versions v ON v.template_id = t.id AND v.version = t.active_version
+      WHERE t.id = ?
+    `).bind(id).first();
+    return row ? this.parseTemplate(row) : null;
+  }
 
-          // 避免请求过于频繁
-          await Utils.delay(1000);
+  async getVersion(templateId, version) {
+    return await this.db.prepare(`
+      SELECT v.*, t.name FROM prompt_versions v
+      JOIN prompt_templates t ON t.id = v.template_id
+      WHERE v.template_id = ? AND v.version = ?
+    `).bind(templateId, version).first();
+  }
 
-        } catch (error) {
-          Utils.log('ERROR', `Failed to sync RSS for ${forumName}`, {
-            url: rssUrl,
-            error: error.message
-          });
-        }
+  async listVersions(templateId) {
+    const result = await this.db.prepare(`
+      SELECT * FROM prompt_versions WHERE template_id = ? ORDER BY version DESC
+    `).bind(templateId).all();
+    return result.results || [];
+  }
+
+  validateTemplate(data, partial = false) {
+    if (!partial || data.name !== undefined) {
+      if (!data.name || data.name.length > 50) {
+        throw new Error('模板名称不能为空且不超过50个字符');
+      }
+    }
+    if (!partial || data.content !== undefined) {
+      if (!data.content || !data.content.trim()) {
+        throw new Error('提示词内容不能为空');
       }
+      const unknown = [...data.content.matchAll(/\{([a-z_]+)\}/g)]
+        .map(match => match[1])
+        .filter(name => !PROMPT_VARIABLES.includes(name));
+      if (unknown.length > 0) {
+        throw new Error(`不支持的变量: ${[...new Set(unknown)].map(name => `{${name}}`).join(', ')}`);
+      }
+    }
+  }
 
-      // 批量插入所有帖子（过滤7天内的帖子）
-      if (allPosts.length > 0) {
-        const sevenDaysAgo = new Date();
-        sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+  async createTemplate(data) {
+    this.validateTemplate(data);
 
-        const recentPosts = allPosts.filter(post => {
-          if (!post.publishTime) return true;
+    return Utils.withErrorHandling(async () => {
+      const now = Utils.getCurrentTimestamp();
+      if (data.is_default) {
+        await this.clearDefault();
+      }
 
-          try {
-            const publishDate = new Date(post.publishTime);
-            const isRecent = publishDate >= sevenDaysAgo;
+      const result = await this.db.prepare(`
+        INSERT INTO prompt_templates (name, forums, is_default, active_version, created_at, updated_at)
+        VALUES (?, ?, ?, 1, ?, ?)
+      `).bind(data.name, JSON.stringify(data.forums || []), data.is_default ? 1 : 0, now, now).run();
 
-            if (!isRecent) {
-              Utils.log('DEBUG', `Filtered out old post: ${post.title}`, {
-                publishTime: post.publishTime,
-                daysOld: Math.floor((new Date() - publishDate) / (1000 * 60 * 60 * 24))
-              });
-            }
+      const id = result.meta?.last_row_id;
+      await this.db.prepare(`
+        INSERT INTO prompt_versions (template_id, version, content, note, created_at)
+        VALUES (?, 1, ?, ?, ?)
+      `).bind(id, data.content, data.note || null, now).run();
 
-            return isRecent;
-          } catch (error) {
-            Utils.log('WARN', `Invalid publish time format: ${post.publishTime}`, { title: post.title });
-            return true;
-          }
-        });
+      Utils.log('INFO', `Prompt template created: ${data.name}`);
+      return id;
+    }, 'PromptLibrary.createTemplate');
+  }
 
-        if (recentPosts.length > 0) {
-          const records = recentPosts.map(post => ({
-            forum: post.forum,
-            title: post.title,
-            author: post.author || '',
-            publish_time: post.publishTime || '',
-            content: post.content || '',
-            link: post.link,
-            created_at: Utils.getCurrentTimestamp()
-          }));
+  // 内容有变化时保存为新版本并设为当前版本，名称、论坛和默认标记直接修改
+  async updateTemplate(id, data) {
+    this.validateTemplate(data, true);
 
-          await dbManager.batchInsert('posts', records, 'IGNORE');
-        }
+    return Utils.withErrorHandling(async () => {
+      const template = await this.getTemplate(id);
+      if (!template) return false;
+
+      const now = Utils.getCurrentTimestamp();
+      let activeVersion = template.active_version;
+
+      if (data.content !== undefined && data.content !== template.content) {
+        const latest = await this.db.prepare(`
+          SELECT MAX(version) AS version FROM prompt_versions WHERE template_id = ?
+        `).bind(id).first();
+        activeVersion = (latest?.version || 0) + 1;
+
+        await this.db.prepare(`
+          INSERT INTO prompt_versions (template_id, version, content, note, created_at)
+          VALUES (?, ?, ?, ?, ?)
+        `).bind(id, activeVersion, data.content, data.note || null, now).run();
+      }
 
-        Utils.log('INFO', `RSS sync completed, processed ${recentPosts.length} recent posts from ${allPosts.length} total posts`);
+      if (data.is_default) {
+        await this.clearDefault();
       }
-    }, 'RSSParser.syncAllRSS');
-  }
-}
 
-// ==================== Telegram管理器 ====================
+      await this.db.prepare(`
+        UPDATE prompt_templates SET name = ?, forums = ?, is_default = ?, active_version = ?, updated_at = ?
+        WHERE id = ?
+      `).bind(
+        data.name ?? template.name,
+        JSON.stringify(data.forums ?? template.forums),
+        (data.is_default ?? !!template.is_default) ? 1 : 0,
+        activeVersion,
+        now,
+        id
+      ).run();
 
-class TelegramManager {
-  constructor(configManager) {
-    this.configManager = configManager;
-    this.forumEmoji = {
-      'LET': '🔥',
-      'LES': '⚡',
-      'LEB': '💎'
-    };
+      return true;
+    }, `PromptLibrary.updateTemplate(${id})`);
   }
 
-  formatTelegramMessage(summary) {
-    const emoji = this.forumEmoji[summary.forum] || '📢';
-    const postType = summary.post_type || '其他';
+  async rollback(id, version) {
+    return Utils.withErrorHandling(async () => {
+      const exists = await this.db.prepare(`
+        SELECT id FROM prompt_versions WHERE template_id = ? AND version = ?
+      `).bind(id, version).first();
+      if (!exists) return false;
 
-    // 生成标签，基于论坛来源和帖子类型
-    const tag = this.generateHashTag(summary.forum, postType);
+      await this.db.prepare(`
+        UPDATE prompt_templates SET active_version = ?, updated_at = ? WHERE id = ?
+      `).bind(version, Utils.getCurrentTimestamp(), id).run();
 
-    // HTML转义函数
-    const escapeHtml = (text) => {
-      if (!text) return '';
-      return text.replace(/&/g, '&amp;')
-                 .replace(/</g, '&lt;')
-                 .replace(/>/g, '&gt;');
-    };
+      Utils.log('INFO', `Prompt template ${id} rolled back to v${version}`);
+      return true;
+    }, `PromptLibrary.rollback(${id}, ${version})`);
+  }
 
-    return `${emoji} ${summary.forum} ${postType}
-📝 标题：${escapeHtml(summary.title)}
-👤 作者：${escapeHtml(summary.author || '未知')}
-⏰ 发布时间：${Utils.formatDateTime(summary.publish_time)}
-📋 总结：${escapeHtml(summary.summary)}
-🔗 <a href="${summary.link}">查看原文</a>
+  async deleteTemplate(id) {
+    return Utils.withErrorHandling(async () => {
+      const result = await this.db.prepare(`
+        DELETE FROM prompt_templates WHERE id = ?
+      `).bind(id).run();
+      await this.db.prepare(`
+        DELETE FROM prompt_versions WHERE template_id = ?
+      `).bind(id).run();
+      return result.meta?.changes > 0;
+    }, `PromptLibrary.deleteTemplate(${id})`);
+  }
 
-${tag}`;
+  async clearDefault() {
+    await this.db.prepare(`
+      UPDATE prompt_templates SET is_default = 0 WHERE is_default = 1
+    `).run();
   }
 
-  generateHashTag(forum, postType) {
-    // 根据论坛来源生成对应的标签，保持完整的RSS名称
-    let tags = [];
+  // 匹配顺序：指定了该数据源的模板、指定了所在分组的模板、默认模板、AI设置中的提示词
+  async resolve(forum) {
+    const templates = await this.listTemplates();
+    const name = forum || '';
 
-    if (forum) {
-      tags.push(`#${forum}`);
-    } else {
-      tags.push('#Unknown');
-    }
+    const match = templates.find(template => template.forums.includes(name))
+      || templates.find(template => template.forums.some(group => name.startsWith(`${group}_`)))
+      || templates.find(template => template.is_default);
 
-    // 根据帖子类型添加标签
-    if (postType) {
-      tags.push(`#${postType}`);
+    if (match?.content) {
+      return { content: match.content, label: `${match.name} v${match.active_version}` };
     }
 
-    return tags.join(' ');
+    const { prompt } = await this.configManager.getAIConfig();
+    return { content: prompt, label: null };
   }
 
-  async sendMessage(config, message) {
-    return Utils.withErrorHandling(async () => {
-      const url = `https://api.telegram.org/bot${config.botToken}/sendMessage`;
+  // 未知变量在保存时已拒绝，这里只替换已支持的变量
+  // 渲染结果也是AI结果缓存的键，不同论坛使用同一模板时按各自的变量取值分别缓存
+  render(template, post, content) {
+    const values = {
+      content: `标题: ${post.title || ''}\n内容: ${content || ''}`,
+      title: post.title || '',
+      forum: post.forum || '',
+      author: post.author || '',
+      publish_time: post.publish_time ? Utils.formatDateTime(post.publish_time) : '',
+      link: post.link || ''
+    };
+    return template.replace(/\{([a-z_]+)\}/g, (placeholder, name) =>
+      Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder);
+  }
+}
 
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          chat_id: config.channelId,
-          text: message,
-          parse_mode: 'HTML',
-          disable_web_page_preview: true
-        })
-      });
+// ==================== AI提供商配置管理器 ====================
 
-      const data = await response.json();
+// 按优先级排列的AI提供商配置，AIServiceManager依次尝试。熔断状态保存在D1中，跨Worker调用共享
+class AIProfileManager {
+  constructor(env) {
+    this.env = env;
+    this.db = env.DB;
+  }
 
-      if (!response.ok || !data.ok) {
-        Utils.log('ERROR', 'Telegram API error', {
-          status: response.status,
-          data: data
-        });
-        return false;
-      }
+  async listProfiles() {
+    const result = await this.db.prepare(`
+      SELECT * FROM ai_profiles ORDER BY priority ASC, id ASC
+    `).all();
+    return result.results || [];
+  }
 
-      return true;
-    }, 'TelegramManager.sendMessage');
+  async getActiveProfiles() {
+    const result = await this.db.prepare(`
+      SELECT * FROM ai_profiles WHERE enabled = 1 ORDER BY priority ASC, id ASC
+    `).all();
+    return result.results || [];
   }
 
-  async testConnection(config) {
-    return Utils.withErrorHandling(async () => {
-      const testMessage = `🤖 TripleLE监控系统测试消息
+  async getProfile(id) {
+    return await this.db.prepare(`
+      SELECT * FROM ai_profiles WHERE id = ?
+    `).bind(id).first();
+  }
 
-⏰ 测试时间：${Utils.formatDateTime(Utils.getCurrentTimestamp())}
+  // 返回给管理面板和API时不包含密钥
+  toPublic(profile) {
+    const { api_key, ...rest } = profile;
+    return { ...rest, has_api_key: !!api_key, circuit_open: this.isCircuitOpen(profile) };
+  }
 
-✅ 如果您看到这条消息，说明Telegram配置正确！`;
+  isCircuitOpen(profile) {
+    return !!profile.circuit_open_until && new Date(profile.circuit_open_until).getTime() > Date.now();
+  }
 
-      return await this.sendMessage(config, testMessage);
-    }, 'TelegramManager.testConnection');
+  validateProfile(data, partial = false) {
+    if (!partial || data.name !== undefined) {
+      if (!data.name || data.name.length > 50) {
+        throw new Error('配置名称不能为空且不超过50个字符');
+      }
+    }
+    if (!partial || data.provider !== undefined) {
+      if (!AI_PROVIDERS[data.provider]) {
+        throw new Error(`不支持的AI提供商: ${data.provider}`);
+      }
+    }
+    if (data.url && !/^https?:\/\//i.test(data.url)) {
+      throw new Error('API地址必须以http://或https://开头');
+    }
+    if (data.priority !== undefined && !Number.isInteger(data.priority)) {
+      throw new Error('优先级必须为整数');
+    }
+    if (data.timeout_ms !== undefined && !(Number.isInteger(data.timeout_ms) && data.timeout_ms > 0)) {
+      throw new Error('超时时间必须为正整数（毫秒）');
+    }
+    const maxTemperature = AI_PROVIDERS[data.provider]?.maxTemperature ?? AI_MAX_TEMPERATURE;
+    if (data.temperature !== undefined && data.temperature !== null && !(data.temperature >= 0 && data.temperature <= maxTemperature)) {
+      throw new Error(`温度必须在0到${maxTemperature}之间`);
+    }
+    if (data.max_tokens !== undefined && data.max_tokens !== null && !(Number.isInteger(data.max_tokens) && data.max_tokens > 0)) {
+      throw new Error('最大token数必须为正整数');
+    }
   }
 
-  async sendPendingMessages(env, dbManager) {
+  async createProfile(data) {
+    this.validateProfile(data);
+
     return Utils.withErrorHandling(async () => {
-      // 获取未发送的帖子总结
-      const unsentSummaries = await this.getUnsentSummaries(env.DB, 3);
+      const result = await this.db.prepare(`
+        INSERT INTO ai_profiles (name, provider, url, api_key, model, priority, enabled, timeout_ms, temperature, max_tokens, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        data.name,
+        data.provider,
+        data.url || '',
+        data.api_key || '',
+        data.model || '',
+        data.priority ?? 0,
+        data.enabled === false ? 0 : 1,
+        data.timeout_ms || AI_DEFAULT_TIMEOUT_MS,
+        data.temperature ?? null,
+        data.max_tokens ?? null,
+        Utils.getCurrentTimestamp(),
+        Utils.getCurrentTimestamp()
+      ).run();
+
+      Utils.log('INFO', `AI profile created: ${data.name}`, { provider: data.provider });
+      return result.meta?.last_row_id;
+    }, 'AIProfileManager.createProfile');
+  }
 
-      if (unsentSummaries.length === 0) {
-        Utils.log('INFO', 'No unsent summaries found');
-        return;
+  // api_key 为空时保留原密钥；修改API地址或提供商时必须重新填写密钥，避免把已保存的密钥发到新地址
+  async updateProfile(id, data) {
+    const current = await this.getProfile(id);
+    // 温度范围取决于提供商，部分更新时用已保存的提供商和温度补齐后再校验
+    this.validateProfile({
+      ...data,
+      provider: data.provider ?? current?.provider,
+      temperature: data.temperature !== undefined ? data.temperature : current?.temperature
+    }, true);
+    if (!data.api_key && (data.url !== undefined || data.provider !== undefined)) {
+      const urlChanged = data.url !== undefined && data.url !== current?.url;
+      const providerChanged = data.provider !== undefined && data.provider !== current?.provider;
+      if (current?.api_key && (urlChanged || providerChanged)) {
+        throw new Error('修改API地址或提供商时需要重新填写API密钥');
       }
+    }
 
-      const tgConfig = await this.configManager.getTelegramConfig();
-
-      if (!tgConfig.botToken || !tgConfig.channelId) {
-        Utils.log('WARN', 'Telegram configuration incomplete');
-        return;
-      }
+    return Utils.withErrorHandling(async () => {
+      const fields = ['name', 'provider', 'url', 'api_key', 'model', 'priority', 'enabled', 'timeout_ms', 'temperature', 'max_tokens']
+        .filter(field => data[field] !== undefined && !(field === 'api_key' && !data.api_key));
+      if (fields.length === 0) return false;
 
-      // 发送帖子总结
-      for (const summary of unsentSummaries) {
-        try {
-          Utils.log('INFO', `Sending post summary ${summary.id} to Telegram`);
+      const values = fields.map(field => field === 'enabled' ? (data.enabled ? 1 : 0) : data[field]);
+      const result = await this.db.prepare(`
+        UPDATE ai_profiles SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = ?
+        WHERE id = ?
+      `).bind(...values, Utils.getCurrentTimestamp(), id).run();
 
-          const message = this.formatTelegramMessage(summary);
-          const success = await this.sendMessage(tgConfig, message);
+      Utils.log('INFO', `AI profile ${id} updated`, { fields });
+      return result.meta?.changes > 0;
+    }, `AIProfileManager.updateProfile(${id})`);
+  }
 
-          if (success) {
-            await this.markSummaryAsSent(env.DB, summary.id);
-            Utils.log('INFO', `Successfully sent post summary ${summary.id}`);
-          } else {
-            Utils.log('WARN', `Failed to send post summary ${summary.id}`);
-          }
+  async deleteProfile(id) {
+    return Utils.withErrorHandling(async () => {
+      const result = await this.db.prepare(`
+        DELETE FROM ai_profiles WHERE id = ?
+      `).bind(id).run();
 
-          await Utils.delay(2000);
+      Utils.log('INFO', `AI profile ${id} deleted`);
+      return result.meta?.changes > 0;
+    }, `AIProfileManager.deleteProfile(${id})`);
+  }
 
-        } catch (error) {
-          Utils.log('ERROR', `Error sending post summary ${summary.id}`, {
-            error: error.message
-          });
-        }
-      }
-    }, 'TelegramManager.sendPendingMessages');
+  async recordSuccess(id) {
+    await this.db.prepare(`
+      UPDATE ai_profiles SET consecutive_failures = 0, circuit_open_until = NULL, last_success_at = ?
+      WHERE id = ?
+    `).bind(Utils.getCurrentTimestamp(), id).run();
   }
 
-  async getUnsentSummaries(db, limit = 5) {
-    const result = await db.prepare(`
-      SELECT s.*, p.forum, p.title, p.author, p.publish_time, p.link
-      FROM summaries s
-      JOIN posts p ON s.post_id = p.id
-      WHERE s.sent_to_telegram = 0
-      ORDER BY s.created_at ASC
-      LIMIT ?
-    `).bind(limit).all();
+  async recordFailure(id, errorMessage) {
+    const now = Date.now();
+    await this.db.prepare(`
+      UPDATE ai_profiles SET
+        consecutive_failures = COALESCE(consecutive_failures, 0) + 1,
+        last_error = ?,
+        last_error_at = ?,
+        circuit_open_until = CASE WHEN COALESCE(consecutive_failures, 0) + 1 >= ? THEN ? ELSE circuit_open_until END
+      WHERE id = ?
+    `).bind(
+      String(errorMessage).substring(0, 500),
+      new Date(now).toISOString(),
+      AI_CIRCUIT_FAILURE_THRESHOLD,
+      new Date(now + AI_CIRCUIT_COOLDOWN_MS).toISOString(),
+      id
+    ).run();
+  }
 
-    return result.results || [];
+  async resetCircuit(id) {
+    const result = await this.db.prepare(`
+      UPDATE ai_profiles SET consecutive_failures = 0, circuit_open_until = NULL WHERE id = ?
+    `).bind(id).run();
+    return result.meta?.changes > 0;
   }
 
-  async markSummaryAsSent(db, summaryId) {
-    await db.prepare(`
-      UPDATE summaries SET sent_to_telegram = 1 WHERE id = ?
-    `).bind(summaryId).run();
+  // 各配置生成的总结数量，按summaries.ai_profile统计
+  async getSummaryCounts() {
+    const result = await this.db.prepare(`
+      SELECT ai_profile, COUNT(*) AS count FROM summaries WHERE ai_profile IS NOT NULL GROUP BY ai_profile
+    `).all();
+    return Object.fromEntries((result.results || []).map(row => [row.ai_profile, row.count]));
   }
 }
 
-// ==================== 业务逻辑管理器 ====================
+// ==================== AI服务管理器 ====================
 
-class BusinessLogicManager {
-  constructor(env) {
+class AIServiceManager {
+  constructor(env, configManager, profileManager, usageTracker) {
     this.env = env;
-    this.dbManager = new DatabaseManager(env);
-    this.configManager = new ConfigManager(env);
-    this.aiManager = new AIServiceManager(env, this.configManager);
-    this.networkManager = new NetworkManager();
-    this.rssParser = new RSSParser(this.networkManager);
-    this.telegramManager = new TelegramManager(this.configManager);
-  }
-
-  async init() {
-    await this.dbManager.init();
+    this.configManager = configManager;
+    this.profileManager = profileManager;
+    this.usageTracker = usageTracker;
   }
 
-  // RSS同步和AI处理
-  async processRSSAndAI() {
+  // 返回 { postType, summary, profile, model }，profile 为生成该总结的配置名称
+  async callAI(prompt) {
     return Utils.withErrorHandling(async () => {
-      // 1. 同步RSS
-      await this.rssParser.syncAllRSS(this.env, this.dbManager);
+      const { outputMode } = await this.configManager.getAIConfig();
+      if (outputMode === 'json') {
+        return await this.callAIStructured(prompt);
+      }
 
-      // 2. 处理未处理的帖子
-      await this.processUnprocessedPosts();
+      const result = await this.generateWithFailover(prompt, { purpose: 'summary' });
 
-      // 3. 发送Telegram消息
-      await this.telegramManager.sendPendingMessages(this.env, this.dbManager);
+      // 解析AI返回的结果
+      return { ...this.parseAIResponse(result.text), profile: result.profile, model: result.model };
+    }, 'AIServiceManager.callAI');
+  }
 
-      // 4. 清理过期数据（每次都检查，但只在需要时执行）
-      const lastCleanup = await this.configManager.get('last_cleanup');
-      const now = Date.now();
-      const twoDaysMs = 2 * 24 * 60 * 60 * 1000;
+  // JSON模式：按Schema校验，无效时让模型修复一次，仍无效才退回文本解析
+  async callAIStructured(prompt) {
+    const options = { schema: SUMMARY_SCHEMA };
+    const result = await this.generateWithFailover(prompt + JSON_OUTPUT_INSTRUCTION, { ...options, purpose: 'summary' });
 
-      if (!lastCleanup || (now - parseInt(lastCleanup)) > twoDaysMs) {
-        await this.dbManager.cleanupOldData();
-        await this.configManager.set('last_cleanup', now.toString());
-      }
+    try {
+      return { ...this.parseStructuredResponse(result.text), profile: result.profile, model: result.model };
+    } catch (error) {
+      Utils.log('WARN', 'Invalid JSON from AI, attempting repair', { error: error.message, profile: result.profile });
 
-    }, 'BusinessLogicManager.processRSSAndAI');
+      const repairPrompt = JSON_REPAIR_PROMPT
+        .replace('{error}', error.message)
+        .replace('{output}', result.text.substring(0, 2000));
+
+      try {
+        const repaired = await this.generateWithFailover(repairPrompt, { ...options, purpose: 'repair' });
+        return { ...this.parseStructuredResponse(repaired.text), profile: repaired.profile, model: repaired.model };
+      } catch (repairError) {
+        Utils.log('WARN', 'JSON repair failed, falling back to text parser', { error: repairError.message });
+        return { ...this.parseAIResponse(result.text), profile: result.profile, model: result.model };
+      }
+    }
   }
 
-  async processUnprocessedPosts() {
-    return Utils.withErrorHandling(async () => {
-      const unprocessedPosts = await this.getUnprocessedPosts(5);
+  // 模型可能在JSON外包裹代码块，截取第一个 { 到最后一个 } 之间的内容
+  parseStructuredResponse(output) {
+    const start = output.indexOf('{');
+    const end = output.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error('未找到JSON对象');
+    }
 
-      for (const post of unprocessedPosts) {
-        try {
-          Utils.log('INFO', `Processing post ${post.id}: ${post.title}`);
+    let parsed;
+    try {
+      parsed = JSON.parse(output.slice(start, end + 1));
+    } catch (error) {
+      throw new Error(`JSON解析失败（${error.message}）`);
+    }
 
-          // 获取帖子内容
-          let content = post.content || '';
-          if (!content || content.length < 50) {
-            content = await this.fetchPostContent(post.link);
-          }
+    const errors = this.validateSummary(parsed);
+    if (errors.length > 0) {
+      throw new Error(errors.join('；'));
+    }
 
-          if (!content) {
-            Utils.log('WARN', `No content found for post ${post.id}, marking as processed`);
-            await this.dbManager.markAsProcessed('posts', 'id', post.id);
-            continue;
-          }
+    return { postType: parsed.type.trim(), summary: parsed.summary.trim() };
+  }
 
-          // AI分析
-          const prompt = (await this.configManager.getAIConfig()).prompt.replace('{content}',
-            `标题: ${post.title}\n内容: ${content.substring(0, 1000)}`);
+  validateSummary(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return ['内容不是JSON对象'];
+    }
 
-          const aiResult = await this.aiManager.callAI(prompt);
+    const errors = [];
+    if (typeof value.type !== 'string' || !POST_TYPES.includes(value.type.trim())) {
+      errors.push(`type 必须是 ${POST_TYPES.join(' 或 ')}`);
+    }
+    if (typeof value.summary !== 'string' || !value.summary.trim()) {
+      errors.push('summary 必须是非空字符串');
+    }
+    return errors;
+  }
 
-          if (aiResult) {
-            // 保存AI总结
-            await this.saveSummary(post.id, aiResult.summary, aiResult.postType);
-            Utils.log('INFO', `AI analysis completed for post ${post.id}`, {
-              postType: aiResult.postType,
-              summaryLength: aiResult.summary.length
-            });
-          }
+  // Gemini的responseSchema是OpenAPI子集：类型名大写，不支持additionalProperties
+  toGeminiSchema(schema) {
+    const { additionalProperties, ...rest } = schema;
+    const converted = { ...rest, type: schema.type.toUpperCase() };
+    if (schema.properties) {
+      converted.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([key, value]) => [key, this.toGeminiSchema(value)])
+      );
+    }
+    if (schema.items) {
+      converted.items = this.toGeminiSchema(schema.items);
+    }
+    return converted;
+  }
 
-          // 标记为已处理
-          await this.dbManager.markAsProcessed('posts', 'id', post.id);
+  // 返回模型的原始文本输出
+  async generateText(prompt, options = {}) {
+    const result = await this.generateWithFailover(prompt, options);
+    return result.text;
+  }
 
-          // 避免请求过于频繁
-          await Utils.delay(3000);
+  // 未配置提供商链时沿用AI设置中的单一配置（不参与熔断）
+  async getProfileChain() {
+    const profiles = await this.profileManager.getActiveProfiles();
+    if (profiles.length > 0) return profiles;
 
-        } catch (error) {
-          Utils.log('ERROR', `Failed to process post ${post.id}`, {
-            error: error.message,
-            title: post.title
-          });
+    return [await this.getDefaultProfile()];
+  }
 
-          // 增加重试计数
-          const retryResult = await this.dbManager.incrementRetryCount('posts', 'id', post.id);
-          if (retryResult.reachedMaxRetries) {
-            Utils.log('WARN', `Post ${post.id} reached max retries, marked as processed`);
-          }
-        }
-      }
-    }, 'BusinessLogicManager.processUnprocessedPosts');
+  // AI设置中的单一配置，转换成与 ai_profiles 行相同的结构
+  async getDefaultProfile() {
+    const config = await this.configManager.getAIConfig();
+    return {
+      id: null,
+      name: 'default',
+      provider: config.provider,
+      url: config.url,
+      api_key: config.apiKey,
+      model: config.model,
+      timeout_ms: config.timeoutMs > 0 ? config.timeoutMs : AI_DEFAULT_TIMEOUT_MS,
+      temperature: config.temperature >= 0 ? config.temperature : null,
+      max_tokens: config.maxTokens > 0 ? config.maxTokens : null
+    };
   }
 
-  // 数据库查询方法
-  async getUnprocessedPosts(limit = 5) {
-    const result = await this.env.DB.prepare(`
-      SELECT * FROM posts
-      WHERE processed = 0 AND retry_count < 3
-      ORDER BY created_at ASC
-      LIMIT ?
-    `).bind(limit).all();
-
-    return result.results || [];
+  // 未填写密钥（或地址）的配置不会被调用
+  isConfigured(profile) {
+    switch (profile.provider) {
+      case 'cf_workers':
+        return !!this.env?.AI;
+      case 'ollama':
+        return true;
+      case 'openai_like':
+        return !!profile.url;
+      default:
+        return !!profile.api_key;
+    }
   }
 
-  async fetchPostContent(url) {
-    try {
-      const htmlContent = await this.networkManager.fetchLETPage(url);
-      return this.networkManager.extractPostContent(htmlContent);
-    } catch (error) {
-      Utils.log('WARN', `Failed to fetch post content from ${url}`, { error: error.message });
-      return null;
-    }
+  // 提供商链中当前会最先应答的配置（已配置且未熔断），没有时返回null
+  async getNextProfile() {
+    const chain = await this.getProfileChain();
+    return chain.find(profile => this.isConfigured(profile) && (!profile.id || !this.profileManager.isCircuitOpen(profile))) || null;
   }
 
-  async saveSummary(postId, summary, postType) {
-    await this.env.DB.prepare(`
-      INSERT INTO summaries (post_id, summary, post_type, created_at)
-      VALUES (?, ?, ?, ?)
-    `).bind(postId, summary, postType, Utils.getCurrentTimestamp()).run();
+  // 没有可用配置（未配置或都处于熔断期）时返回false，此时不处理帖子，避免白白消耗重试次数
+  async isAvailable() {
+    return !!(await this.getNextProfile());
   }
-}
 
-// ==================== 路由管理器 ====================
+  // 按优先级依次尝试，出错、超时或返回空内容时切换到下一个配置
+  async generateWithFailover(prompt, options = {}) {
+    const chain = await this.getProfileChain();
+    const attempts = [];
 
-class Router {
-  constructor() {
-    this.routes = new Map();
-    this.middlewares = [];
-  }
+    for (const profile of chain) {
+      if (!this.isConfigured(profile)) {
+        attempts.push({ profile: profile.name, error: 'not configured' });
+        continue;
+      }
+      if (profile.id && this.profileManager.isCircuitOpen(profile)) {
+        attempts.push({ profile: profile.name, error: 'circuit open' });
+        continue;
+      }
 
-  use(middleware) {
-    this.middlewares.push(middleware);
+      try {
+        let output;
+        try {
+          output = await this.callProfile(profile, prompt, options);
+        } catch (error) {
+          // 旧接口不支持response_format等结构化输出参数时返回400，去掉该参数重试一次，结果仍按JSON解析和修复
+          if (!options.schema || error.status !== 400) throw error;
+          Utils.log('WARN', `AI profile ${profile.name} rejected structured output, retrying without schema`, { error: error.message });
+          output = await this.callProfile(profile, prompt, { ...options, schema: null });
+        }
+        const { text, usage } = output;
+        await this.usageTracker.record(profile, usage, options.purpose);
+        if (!text) {
+          throw new Error('Empty response');
+        }
+
+        if (profile.id) await this.profileManager.recordSuccess(profile.id);
+        return { text, profile: profile.name, model: profile.model };
+      } catch (error) {
+        attempts.push({ profile: profile.name, error: error.message });
+        Utils.log('WARN', `AI profile ${profile.name} failed`, { error: error.message, remaining: chain.length - attempts.length });
+        if (profile.id) await this.profileManager.recordFailure(profile.id, error.message);
+      }
+    }
+
+    // attempts 附在错误上，供测试接口逐个显示各配置的失败原因
+    const error = new Error(`All AI profiles failed: ${attempts.map(item => `${item.profile}: ${item.error}`).join('; ')}`);
+    error.attempts = attempts;
+    throw error;
   }
 
-  get(path, handler) {
-    this.addRoute('GET', path, handler);
+  // 单个配置的调用，超过 timeout_ms 时中止请求，返回 { text, usage }
+  // options.maxTokens 为任务所需的输出长度，优先于配置中的最大token数
+  async callProfile(profile, prompt, options = {}) {
+    const config = {
+      provider: profile.provider,
+      url: profile.url,
+      apiKey: profile.api_key,
+      model: profile.model || (profile.provider === 'cf_workers' ? AI_PROVIDERS.cf_workers.endpoint : ''),
+      temperature: profile.temperature ?? AI_DEFAULT_TEMPERATURE,
+      maxTokens: options.maxTokens || profile.max_tokens || AI_DEFAULT_MAX_TOKENS
+    };
+    const timeoutMs = profile.timeout_ms || AI_DEFAULT_TIMEOUT_MS;
+    const controller = new AbortController();
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`Timeout after ${timeoutMs}ms`));
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([
+        this.callProvider(config, prompt, { ...options, signal: controller.signal }),
+        timeout
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
-  post(path, handler) {
-    this.addRoute('POST', path, handler);
+  // 错误附带HTTP状态码，供故障转移判断接口是否不支持结构化输出参数
+  apiError(label, response, errorText = '') {
+    const error = new Error(`${label} API error: ${response.status} ${response.statusText}${errorText ? ` - ${errorText}` : ''}`);
+    error.status = response.status;
+    return error;
   }
 
-  addRoute(method, path, handler) {
-    const key = `${method}:${path}`;
-    this.routes.set(key, handler);
+  async callProvider(config, prompt, options = {}) {
+    switch (AI_PROVIDERS[config.provider]?.format) {
+      case 'openai':
+        return await this.callOpenAILikeAPI(prompt, config, options);
+      case 'gemini':
+        return await this.callGeminiAPI(prompt, config, options);
+      case 'anthropic':
+        return await this.callAnthropicAPI(prompt, config, options);
+      case 'ollama':
+        return await this.callOllamaAPI(prompt, config, options);
+      case 'cf_workers':
+        return await this.callCFWorkersAI(prompt, config, options);
+      default:
+        throw new Error(`Unsupported AI provider: ${config.provider}`);
+    }
   }
 
-  async handle(request, env, ctx) {
-    const url = new URL(request.url);
-    const path = url.pathname;
-    const method = request.method;
-    const key = `${method}:${path}`;
+  // 根据提供商的endpoint补全API地址，未填写地址时使用官方地址
+  resolveEndpoint(config) {
+    const provider = AI_PROVIDERS[config.provider];
+    const base = (config.url || provider.baseUrl || '').replace(/\/+$/, '');
+    const endpoint = provider.endpoint.replace('{model}', encodeURIComponent(config.model || ''));
+    const suffix = provider.endpoint.split('{model}').pop();
 
-    // 执行中间件
-    for (const middleware of this.middlewares) {
-      const result = await middleware(request, env, ctx);
-      if (result) return result;
+    if (!base) {
+      throw new Error(`API URL is required for provider ${config.provider}`);
     }
+    return base.endsWith(suffix) ? base : base + endpoint;
+  }
 
-    // 查找路由处理器
-    const handler = this.routes.get(key);
-    if (handler) {
-      return await handler(request, env, ctx);
+  async callOpenAILikeAPI(prompt, config, options = {}) {
+    const response = await fetch(this.resolveEndpoint(config), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${config.apiKey}`
+      },
+      signal: options.signal,
+      body: JSON.stringify({
+        model: config.model,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: config.maxTokens,
+        temperature: config.temperature,
+        ...(options.schema ? { response_format: this.openAIResponseFormat(config, options.schema) } : {})
+      })
+    });
+
+    if (!response.ok) {
+      throw this.apiError('AI', response, await response.text());
     }
 
-    return new Response('Not Found', { status: 404 });
+    const data = await response.json();
+    return {
+      text: data.choices?.[0]?.message?.content?.trim() || null,
+      usage: {
+        promptTokens: data.usage?.prompt_tokens || 0,
+        completionTokens: data.usage?.completion_tokens || 0
+      }
+    };
   }
-}
 
-// ==================== 主要处理函数 ====================
+  // OpenAI支持严格的json_schema；兼容接口大多只实现了json_object
+  openAIResponseFormat(config, schema) {
+    if (config.provider === 'openai') {
+      return { type: 'json_schema', json_schema: { name: 'post_summary', strict: true, schema } };
+    }
+    return { type: 'json_object' };
+  }
 
-// 认证中间件
-async function authMiddleware(request, env, ctx) {
-  const url = new URL(request.url);
-  const path = url.pathname;
+  // 密钥放在请求头中，避免出现在地址和日志里
+  async callGeminiAPI(prompt, config, options = {}) {
+    const response = await fetch(this.resolveEndpoint(config), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': config.apiKey
+      },
+      signal: options.signal,
+      body: JSON.stringify({
+        contents: [{ parts: [{ text: prompt }] }],
+        generationConfig: {
+          maxOutputTokens: config.maxTokens,
+          temperature: config.temperature,
+          ...(options.schema ? { responseMimeType: 'application/json', responseSchema: this.toGeminiSchema(options.schema) } : {})
+        }
+      })
+    });
 
-  // 跳过API路由的认证检查
-  if (path.startsWith('/api/')) {
-    return null;
-  }
+    if (!response.ok) {
+      throw this.apiError('Gemini', response);
+    }
 
-  const password = url.searchParams.get('password') || request.headers.get('Authorization');
-  const adminPassword = env.ADMIN_PASSWORD || 'admin123';
+    const data = await response.json();
+    return {
+      text: data.candidates?.[0]?.content?.parts?.[0]?.text?.trim() || null,
+      usage: {
+        promptTokens: data.usageMetadata?.promptTokenCount || 0,
+        completionTokens: data.usageMetadata?.candidatesTokenCount || 0
+      }
+    };
+  }
 
-  if (password !== adminPassword) {
-    return new Response(getLoginPage(), {
-      headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  // Messages API没有JSON模式，结构化输出依靠提示词和校验修复
+  async callAnthropicAPI(prompt, config, options = {}) {
+    const response = await fetch(this.resolveEndpoint(config), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': config.apiKey,
+        'anthropic-version': ANTHROPIC_API_VERSION
+      },
+      signal: options.signal,
+      body: JSON.stringify({
+        model: config.model,
+        max_tokens: config.maxTokens,
+        temperature: config.temperature,
+        messages: [{ role: 'user', content: prompt }]
+      })
     });
-  }
 
-  return null;
-}
+    if (!response.ok) {
+      throw this.apiError('Anthropic', response, await response.text());
+    }
 
-// 主页处理
-async function handleHomePage(request, env, ctx) {
-  return Utils.withErrorHandling(async () => {
-    const businessLogic = new BusinessLogicManager(env);
-    await businessLogic.init();
+    const data = await response.json();
+    const text = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('')
+      .trim();
 
-    const stats = await getSystemStatus(env.DB);
-    return new Response(getAdminPage(stats), {
-      headers: { 'Content-Type': 'text/html; charset=utf-8' }
+    return {
+      text: text || null,
+      usage: {
+        promptTokens: data.usage?.input_tokens || 0,
+        completionTokens: data.usage?.output_tokens || 0
+      }
+    };
+  }
+
+  // 自建Ollama通常不需要密钥，填写时按Bearer发送以便经过反向代理鉴权
+  async callOllamaAPI(prompt, config, options = {}) {
+    const response = await fetch(this.resolveEndpoint(config), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {})
+      },
+      signal: options.signal,
+      body: JSON.stringify({
+        model: config.model,
+        messages: [{ role: 'user', content: prompt }],
+        stream: false,
+        options: {
+          temperature: config.temperature,
+          num_predict: config.maxTokens
+        },
+        ...(options.schema ? { format: options.schema } : {})
+      })
     });
-  }, 'handleHomePage');
-}
 
-// 手动同步处理
-async function handleManualSync(request, env, ctx) {
-  return Utils.withErrorHandling(async () => {
-    const businessLogic = new BusinessLogicManager(env);
-    await businessLogic.init();
+    if (!response.ok) {
+      throw this.apiError('Ollama', response, await response.text());
+    }
 
-    Utils.log('INFO', 'Manual sync triggered');
-    await businessLogic.processRSSAndAI();
+    const data = await response.json();
+    return {
+      text: data.message?.content?.trim() || null,
+      usage: {
+        promptTokens: data.prompt_eval_count || 0,
+        completionTokens: data.eval_count || 0
+      }
+    };
+  }
 
-    return new Response(JSON.stringify({
-      success: true,
-      message: 'RSS同步和AI处理已完成'
-    }), {
-      headers: { 'Content-Type': 'application/json' }
+  async callCFWorkersAI(prompt, config, options = {}) {
+    if (!this.env?.AI) {
+      throw new Error('Cloudflare Workers AI not available');
+    }
+
+    const response = await this.env.AI.run(config.model, {
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: config.maxTokens,
+      temperature: config.temperature,
+      ...(options.schema ? { response_format: { type: 'json_schema', json_schema: options.schema } } : {})
     });
-  }, 'handleManualSync');
-}
 
-// 系统状态处理
-async function handleStatus(request, env, ctx) {
-  return Utils.withErrorHandling(async () => {
-    const businessLogic = new BusinessLogicManager(env);
-    await businessLogic.init();
+    const usage = {
+      promptTokens: response?.usage?.prompt_tokens || 0,
+      completionTokens: response?.usage?.completion_tokens || 0
+    };
 
-    const stats = await getSystemStatus(env.DB);
-    return new Response(JSON.stringify(stats), {
-      headers: { 'Content-Type': 'application/json' }
-    });
-  }, 'handleStatus');
-}
+    // JSON模式下部分模型直接返回解析后的对象
+    if (response?.response && typeof response.response === 'object') {
+      return { text: JSON.stringify(response.response), usage };
+    }
+    return { text: response?.response?.trim() || null, usage };
+  }
 
-// 配置处理函数
-async function handleAISettings(request, env, ctx) {
-  return Utils.withErrorHandling(async () => {
-    const businessLogic = new BusinessLogicManager(env);
-    await businessLogic.init();
+  parseAIResponse(aiResult) {
+    try {
+      const typeMatch = aiResult.match(/类型[：:]\s*(促销|其他)/i);
+      const summaryMatch = aiResult.match(/总结[：:]\s*(.+)/is);
 
-    if (request.method === 'POST') {
-      const formData = await request.formData();
-      const settings = {
-        ai_provider: formData.get('ai_provider'),
-        ai_url: formData.get('ai_url'),
-        ai_api_key: formData.get('ai_api_key'),
-        ai_model: formData.get('ai_model'),
-        ai_prompt: formData.get('ai_prompt')
-      };
+      let postType = '其他';
+      let summary = aiResult;
 
-      for (const [key, value] of Object.entries(settings)) {
-        if (value) {
-          await businessLogic.configManager.set(key, value);
+      if (typeMatch && summaryMatch) {
+        postType = typeMatch[1].trim();
+        summary = summaryMatch[1].trim();
+      } else {
+        const lowerResult = aiResult.toLowerCase();
+        if (lowerResult.includes('促销') || lowerResult.includes('优惠') ||
+            lowerResult.includes('特价') || lowerResult.includes('折扣') ||
+            lowerResult.includes('免费') || lowerResult.includes('赠送') ||
+            lowerResult.includes('price') || lowerResult.includes('offer') ||
+            lowerResult.includes('deal') || lowerResult.includes('discount')) {
+          postType = '促销';
         }
       }
 
-      return new Response(JSON.stringify({ success: true, message: 'AI配置已保存' }), {
-        headers: { 'Content-Type': 'application/json' }
-      });
+      return { postType, summary };
+    } catch (error) {
+      Utils.log('WARN', 'Failed to parse AI response, using defaults', { error: error.message });
+      return { postType: '其他', summary: aiResult };
     }
+  }
+}
 
-    const config = await businessLogic.configManager.getAIConfig();
-    return new Response(JSON.stringify(config), {
-      headers: { 'Content-Type': 'application/json' }
-    });
-  }, 'handleAISettings');
+// ==================== AI结果缓存 ====================
+
+// 按渲染后的完整提示词、输出格式和实际应答的模型缓存总结，提示词完全相同（如重新排队）时直接复用；
+// 模板中的论坛、作者、链接等变量取值不同时提示词不同，不会共用缓存
+class AIResultCache {
+  constructor(env, configManager) {
+    this.env = env;
+    this.db = env.DB;
+    this.configManager = configManager;
+  }
+
+  // input: { prompt, outputMode }，提示词只合并空白
+  async buildKey(input, model) {
+    const prompt = (input.prompt || '').replace(/\s+/g, ' ').trim();
+    return Utils.sha256(`${model || ''}\n${input.outputMode || ''}\n${prompt}`);
+  }
+
+  // model 为提供商链中当前会最先应答的配置的模型
+  async lookup(input, model) {
+    try {
+      const { ttlHours } = await this.configManager.getAICacheConfig();
+      if (ttlHours === 0) return null;
+
+      const key = await this.buildKey(input, model);
+      const now = Utils.getCurrentTimestamp();
+      const entry = await this.db.prepare(`
+        SELECT * FROM ai_cache
+        WHERE cache_key = ? AND expires_at > ?
+      `).bind(key, now).first();
+
+      if (!entry) {
+        await this.incrementCounter('ai_cache_misses');
+        return null;
+      }
+
+      await this.db.prepare(`
+        UPDATE ai_cache SET hit_count = hit_count + 1, last_hit_at = ? WHERE cache_key = ?
+      `).bind(now, entry.cache_key).run();
+      await this.incrementCounter('ai_cache_hits');
+
+      return {
+        postType: entry.post_type,
+        summary: entry.summary,
+        profile: entry.ai_profile,
+        model: entry.model,
+        cached: true
+      };
+    } catch (error) {
+      Utils.log('WARN', 'AI cache lookup failed', { error: error.message });
+      return null;
+    }
+  }
+
+  async store(input, result) {
+    try {
+      const { ttlHours } = await this.configManager.getAICacheConfig();
+      if (ttlHours === 0 || !result?.summary) return;
+
+      const key = await this.buildKey(input, result.model);
+      const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000).toISOString();
+      await this.db.prepare(`
+        INSERT OR REPLACE INTO ai_cache (cache_key, model, post_type, summary, ai_profile, expires_at, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).bind(key, result.model || null, result.postType, result.summary, result.profile || null,
+        expiresAt, Utils.getCurrentTimestamp()).run();
+    } catch (error) {
+      Utils.log('WARN', 'AI cache store failed', { error: error.message });
+    }
+  }
+
+  // 命中和未命中次数累计在settings表中，清空缓存时一并重置
+  async incrementCounter(key) {
+    await this.db.prepare(`
+      INSERT INTO settings (key, value, updated_at) VALUES (?, '1', ?)
+      ON CONFLICT(key) DO UPDATE SET value = CAST(value AS INTEGER) + 1, updated_at = excluded.updated_at
+    `).bind(key, Utils.getCurrentTimestamp()).run();
+  }
+
+  async getStats() {
+    return Utils.withErrorHandling(async () => {
+      const [entries, counters] = await Promise.all([
+        this.db.prepare(`
+          SELECT COUNT(*) AS entries, COALESCE(SUM(hit_count), 0) AS entry_hits
+          FROM ai_cache WHERE expires_at > ?
+        `).bind(Utils.getCurrentTimestamp()).first(),
+        this.db.prepare(`
+          SELECT key, value FROM settings WHERE key IN ('ai_cache_hits', 'ai_cache_misses')
+        `).all()
+      ]);
+
+      const values = Object.fromEntries((counters.results || []).map(row => [row.key, parseInt(row.value) || 0]));
+      const hits = values.ai_cache_hits || 0;
+      const misses = values.ai_cache_misses || 0;
+
+      return {
+        entries: entries?.entries || 0,
+        hits,
+        misses,
+        hitRate: hits + misses > 0 ? Math.round(hits / (hits + misses) * 1000) / 10 : 0
+      };
+    }, 'AIResultCache.getStats');
+  }
+
+  async purge() {
+    return Utils.withErrorHandling(async () => {
+      const result = await this.db.prepare('DELETE FROM ai_cache').run();
+      await this.db.prepare(`
+        DELETE FROM settings WHERE key IN ('ai_cache_hits', 'ai_cache_misses')
+      `).run();
+
+      const purged = result.meta?.changes || 0;
+      Utils.log('INFO', 'AI cache purged', { purged });
+      return purged;
+    }, 'AIResultCache.purge');
+  }
+}
+
+// ==================== AI用量统计 ====================
+
+// 按调用记录token用量，费用按ai_prices中模型的每1K token价格计算
+class AIUsageTracker {
+  constructor(env, configManager) {
+    this.env = env;
+    this.db = env.DB;
+    this.configManager = configManager;
+  }
+
+  async listPrices() {
+    const result = await this.db.prepare(`
+      SELECT * FROM ai_prices ORDER BY model ASC
+    `).all();
+    return result.results || [];
+  }
+
+  async setPrice(model, inputPer1k, outputPer1k) {
+    if (!model) {
+      throw new Error('模型名称不能为空');
+    }
+    if (!(inputPer1k >= 0) || !(outputPer1k >= 0)) {
+      throw new Error('价格必须为非负数');
+    }
+
+    await this.db.prepare(`
+      INSERT INTO ai_prices (model, input_per_1k, output_per_1k, updated_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(model) DO UPDATE SET
+        input_per_1k = excluded.input_per_1k,
+        output_per_1k = excluded.output_per_1k,
+        updated_at = excluded.updated_at
+    `).bind(model, inputPer1k, outputPer1k, Utils.getCurrentTimestamp()).run();
+  }
+
+  async deletePrice(id) {
+    const result = await this.db.prepare(`
+      DELETE FROM ai_prices WHERE id = ?
+    `).bind(id).run();
+    return result.meta?.changes > 0;
+  }
+
+  // 记录失败不影响AI调用结果，返回本次调用的费用（美元）
+  async record(profile, usage, purpose = 'summary') {
+    try {
+      const promptTokens = usage?.promptTokens || 0;
+      const completionTokens = usage?.completionTokens || 0;
+      if (promptTokens === 0 && completionTokens === 0) return 0;
+
+      const price = await this.db.prepare(`
+        SELECT input_per_1k, output_per_1k FROM ai_prices WHERE model = ?
+      `).bind(profile.model || '').first();
+      const cost = price
+        ? (promptTokens * price.input_per_1k + completionTokens * price.output_per_1k) / 1000
+        : 0;
+
+      await this.db.prepare(`
+        INSERT INTO ai_usage (ai_profile, provider, model, purpose, prompt_tokens, completion_tokens, cost_usd, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(profile.name, profile.provider, profile.model || null, purpose || 'summary',
+        promptTokens, completionTokens, cost, Utils.getCurrentTimestamp()).run();
+      return cost;
+    } catch (error) {
+      Utils.log('WARN', 'Failed to record AI usage', { error: error.message });
+      return 0;
+    }
+  }
+
+  // 预算周期按UTC计算：daily为当天0点，monthly为当月1日0点
+  getPeriodStart(period, now = new Date()) {
+    return period === 'monthly'
+      ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  }
+
+  async getTotals(since) {
+    const row = await this.db.prepare(`
+      SELECT COUNT(*) AS calls,
+             COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+             COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+             COALESCE(SUM(cost_usd), 0) AS cost_usd
+      FROM ai_usage WHERE created_at >= ?
+    `).bind(since.toISOString()).first();
+    return row || { calls: 0, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 };
+  }
+
+  async getBreakdown(since) {
+    const result = await this.db.prepare(`
+      SELECT ai_profile, provider, model, COUNT(*) AS calls,
+             SUM(prompt_tokens) AS prompt_tokens,
+             SUM(completion_tokens) AS completion_tokens,
+             SUM(cost_usd) AS cost_usd
+      FROM ai_usage WHERE created_at >= ?
+      GROUP BY ai_profile, provider, model
+      ORDER BY cost_usd DESC, calls DESC
+    `).bind(since.toISOString()).all();
+    return result.results || [];
+  }
+
+  async getBudgetStatus() {
+    const { period, limitUsd } = await this.configManager.getAIBudgetConfig();
+    const periodStart = this.getPeriodStart(period);
+    const totals = await this.getTotals(periodStart);
+
+    return {
+      period,
+      periodKey: periodStart.toISOString().substring(0, period === 'monthly' ? 7 : 10),
+      limitUsd,
+      spentUsd: totals.cost_usd,
+      exceeded: limitUsd > 0 && totals.cost_usd >= limitUsd
+    };
+  }
+
+  async getUsageReport() {
+    return Utils.withErrorHandling(async () => {
+      const monthStart = this.getPeriodStart('monthly');
+      return {
+        today: await this.getTotals(this.getPeriodStart('daily')),
+        month: await this.getTotals(monthStart),
+        breakdown: await this.getBreakdown(monthStart),
+        budget: await this.getBudgetStatus()
+      };
+    }, 'AIUsageTracker.getUsageReport');
+  }
+}
+
+// ==================== AI调试台 ====================
+
+const PLAYGROUND_RECENT_POSTS = 50;
+
+// 对单个帖子直接调用指定的提示词和AI配置，不经过缓存、不触发修复、不影响熔断状态
+class AIPlayground {
+  constructor(env, aiManager, profileManager, promptLibrary, usageTracker) {
+    this.env = env;
+    this.db = env.DB;
+    this.aiManager = aiManager;
+    this.profileManager = profileManager;
+    this.promptLibrary = promptLibrary;
+    this.usageTracker = usageTracker;
+  }
+
+  async listRecentPosts(limit = PLAYGROUND_RECENT_POSTS) {
+    const result = await this.db.prepare(`
+      SELECT id, forum, title, publish_time FROM posts ORDER BY id DESC LIMIT ?
+    `).bind(limit).all();
+    return result.results || [];
+  }
+
+  async getPost(id) {
+    return await this.db.prepare(`
+      SELECT * FROM posts WHERE id = ?
+    `).bind(id).first();
+  }
+
+  // template 为空时按论坛匹配，"custom" 使用自定义内容，"模板ID:版本号" 使用指定的历史版本
+  async resolvePrompt(template, customPrompt, forum) {
+    if (template === 'custom') {
+      this.promptLibrary.validateTemplate({ name: 'playground', content: customPrompt });
+      return { content: customPrompt, label: '自定义提示词' };
+    }
+
+    if (template) {
+      const [templateId, version] = template.split(':').map(value => parseInt(value));
+      const row = await this.promptLibrary.getVersion(templateId, version);
+      if (!row) {
+        throw new Error('提示词版本不存在');
+      }
+      return { content: row.content, label: `${row.name} v${row.version}` };
+    }
+
+    const resolved = await this.promptLibrary.resolve(forum);
+    return { content: resolved.content, label: resolved.label || 'AI配置' };
+  }
+
+  // profileId 为空时使用AI设置中的单一配置
+  async resolveProfile(profileId) {
+    if (!profileId) {
+      return await this.aiManager.getDefaultProfile();
+    }
+
+    const profile = await this.profileManager.getProfile(profileId);
+    if (!profile) {
+      throw new Error('AI配置不存在');
+    }
+    return profile;
+  }
+
+  // 返回实际发送的提示词、原始输出、解析结果、耗时和token用量；调用失败时返回 error 而不抛出
+  async run({ post, content, prompt, profile, outputMode }) {
+    const json = outputMode === 'json';
+    const rendered = this.promptLibrary.render(prompt.content, post, content.substring(0, 1000));
+    const result = {
+      template: prompt.label,
+      profile: profile.name,
+      provider: profile.provider,
+      model: profile.model,
+      outputMode,
+      prompt: json ? rendered + JSON_OUTPUT_INSTRUCTION : rendered
+    };
+
+    if (!this.aiManager.isConfigured(profile)) {
+      return { ...result, error: '该配置未填写密钥或API地址' };
+    }
+
+    const startTime = Date.now();
+    try {
+      const output = await this.aiManager.callProfile(profile, result.prompt, json ? { schema: SUMMARY_SCHEMA } : {});
+      result.latencyMs = Date.now() - startTime;
+      result.usage = output.usage;
+      result.costUsd = await this.usageTracker.record(profile, output.usage, 'playground');
+      result.raw = output.text;
+    } catch (error) {
+      return { ...result, latencyMs: Date.now() - startTime, error: error.message };
+    }
+
+    if (!result.raw) {
+      return { ...result, error: 'Empty response' };
+    }
+
+    if (json) {
+      try {
+        return { ...result, ...this.aiManager.parseStructuredResponse(result.raw), parsedBy: 'json' };
+      } catch (error) {
+        result.parseError = error.message;
+      }
+    }
+    return { ...result, ...this.aiManager.parseAIResponse(result.raw), parsedBy: 'text' };
+  }
+}
+
+// ==================== 启发式分类器 ====================
+
+// 标题中的促销标签，如 [VPS]、[Dedicated]、[Black Friday]
+const OFFER_TAG_REGEX = /\[(?:vps|kvm|openvz|lxc|vds|nat|dedicated|dedi|dedis|servers?|offers?|deals?|promo|sale|flash\s*sale|black\s*friday|cyber\s*monday|shared|hosting|reseller|storage|gpu|ipv4|colo(?:cation)?|seedbox|cdn|email)\]/i;
+// 求助、讨论类标题和措辞
+const REQUEST_REGEX = /\[(?:request|wtb|lf|help|question|q|review|discussion|news)\]|\b(?:looking\s+for|recommend(?:ation)?s?\??|anyone\s+(?:know|use|using|tried)|wtb|help\s+needed|how\s+(?:to|do|can))\b|求推荐|求助|请问/i;
+const OFFER_KEYWORD_REGEX = /\b(?:order\s+now|coupon|promo\s*code|discount|limited\s+stock|special\s+offer|flash\s+sale)\b|cart\.php|优惠码|促销|特价|限量|折扣/i;
+const OFFER_CATEGORY_REGEX = /offer|deal|promo|促销|优惠/i;
+
+const DISK_TYPE_LABELS = { nvme: 'NVMe', ssd: 'SSD', hdd: 'HDD' };
+
+// 配置项识别，按顺序拼成总结
+const SPEC_PATTERNS = [
+  [/(\d+(?:\.\d+)?)\s*x?\s*(?:v?cpus?|vcores?|cores?|核)(?![a-z])/i, match => `${match[1]}核CPU`],
+  [/(\d+(?:\.\d+)?)\s*(gb|mb|g|m)\s*(?:of\s+)?(?:ddr\d\s+)?(?:ram|memory|内存)/i, match => `${match[1]}${match[2].toUpperCase().replace(/^([GM])$/, '$1B')}内存`],
+  [/(\d+(?:\.\d+)?)\s*(gb|tb|g|t)\s*(?:of\s+)?(nvme|ssd|hdd|raid\s*10|disk|storage|硬盘)/i, match => `${match[1]}${match[2].toUpperCase().replace(/^([GT])$/, '$1B')} ${DISK_TYPE_LABELS[match[3].toLowerCase()] || '硬盘'}`],
+  [/(\d+(?:\.\d+)?)\s*(tb|gb|t|g)\s*(?:of\s+)?(?:monthly\s+)?(?:bandwidth|transfer|traffic|流量)/i, match => `${match[1]}${match[2].toUpperCase().replace(/^([GT])$/, '$1B')}流量`],
+  [/\bunmetered\b|unlimited\s+(?:bandwidth|traffic)|不限流量/i, () => '不限流量'],
+  [/(\d+(?:\.\d+)?)\s*(gbps|mbps|gbit\/s|mbit\/s)/i, match => `${match[1]}${/^g/i.test(match[2]) ? 'Gbps' : 'Mbps'}端口`]
+];
+
+// 不依赖AI的分类和模板总结，用于未配置AI或AI全部失败的情况
+class HeuristicClassifier {
+  constructor(priceNormalizer) {
+    this.priceNormalizer = priceNormalizer;
+  }
+
+  // 返回 { postType, summary, profile, heuristic }，与AI结果的格式一致
+  classify(post, content) {
+    const text = `${post.title || ''}\n${content || ''}`;
+    const prices = this.priceNormalizer.findPriceMentions(text);
+    const specs = this.extractSpecs(text);
+
+    let score = 0;
+    if (OFFER_TAG_REGEX.test(post.title || '')) score += 3;
+    if (OFFER_CATEGORY_REGEX.test(`${post.category || ''} ${post.forum || ''}`)) score += 3;
+    if (prices.length > 0) score += 2;
+    if (OFFER_KEYWORD_REGEX.test(text)) score += 1;
+    if (specs.length >= 2) score += 1;
+    if (REQUEST_REGEX.test(post.title || '')) score -= 4;
+
+    const postType = score >= 3 ? '促销' : '其他';
+    const summary = postType === '促销'
+      ? this.summarizeOffer(post, specs, prices)
+      : this.summarizeOther(post, content);
+
+    return { postType, summary, profile: 'heuristic', model: null, heuristic: true };
+  }
+
+  extractSpecs(text) {
+    const specs = [];
+    for (const [pattern, format] of SPEC_PATTERNS) {
+      const match = text.match(pattern);
+      if (match) specs.push(format(match));
+    }
+    return specs;
+  }
+
+  cleanTitle(title) {
+    const cleaned = (title || '').replace(/^\s*(?:\[[^\]]*\]\s*)+/, '').trim();
+    return cleaned || (title || '').trim();
+  }
+
+  // 已有结尾标点时不再追加句号
+  endSentence(text) {
+    return /[.!?。！？]$/.test(text) ? text : `${text}。`;
+  }
+
+  summarizeOffer(post, specs, prices) {
+    const parts = [...specs];
+    const priceTexts = [...new Set(prices.map(price => price.raw))];
+    if (priceTexts.length > 0) {
+      parts.push(`价格${priceTexts[0]}${priceTexts.length > 1 ? `（共${priceTexts.length}个价格）` : ''}`);
+    }
+    return parts.length > 0
+      ? `${this.cleanTitle(post.title)}：${parts.join('，')}。`
+      : this.endSentence(this.cleanTitle(post.title));
+  }
+
+  // 标题加正文第一句
+  summarizeOther(post, content) {
+    const firstSentence = (content || '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .split(/(?<=[.!?。！？])\s/)[0]
+      .substring(0, 120);
+    const title = this.endSentence(this.cleanTitle(post.title));
+    return firstSentence ? `${title}${/[.!?]$/.test(title) ? ' ' : ''}${firstSentence}` : title;
+  }
+}
+
+// ==================== 套餐提取器 ====================
+
+const BILLING_CYCLES = ['monthly', 'quarterly', 'semiannually', 'annually', 'biennially', 'triennially', 'one-time'];
+
+// 模型偶尔不按约定取值，常见写法映射到标准周期
+const BILLING_CYCLE_ALIASES = {
+  month: 'monthly', mo: 'monthly',
+  quarter: 'quarterly',
+  'semi-annually': 'semiannually', semiannual: 'semiannually',
+  year: 'annually', yearly: 'annually', annual: 'annually', yr: 'annually',
+  biennial: 'biennially', triennial: 'triennially',
+  onetime: 'one-time', lifetime: 'one-time'
+};
+
+class OfferExtractor {
+  constructor(env, aiManager) {
+    this.env = env;
+    this.db = env.DB;
+    this.aiManager = aiManager;
+  }
+
+  async extractOffers(post, content) {
+    return Utils.withErrorHandling(async () => {
+      const prompt = OFFER_EXTRACTION_PROMPT.replace('{content}',
+        `标题: ${post.title}\n内容: ${content.substring(0, 3000)}`);
+
+      const output = await this.aiManager.generateText(prompt, { maxTokens: 1500, purpose: 'offers' });
+      if (!output) return [];
+
+      return this.parseOfferResponse(output);
+    }, `OfferExtractor.extractOffers(${post.id})`);
+  }
+
+  // 模型可能在JSON外包裹代码块或说明文字，截取第一个 [ 到最后一个 ] 之间的内容
+  parseOfferResponse(output) {
+    const start = output.indexOf('[');
+    const end = output.lastIndexOf(']');
+    if (start === -1 || end <= start) {
+      throw new Error('No JSON array found in offer extraction output');
+    }
+
+    const parsed = JSON.parse(output.slice(start, end + 1));
+    if (!Array.isArray(parsed)) {
+      throw new Error('Offer extraction output is not an array');
+    }
+
+    return parsed
+      .filter(item => item && typeof item === 'object')
+      .map(item => this.normalizeOffer(item))
+      .filter(offer => offer.plan_name || offer.price !== null || offer.ram_gb !== null);
+  }
+
+  normalizeOffer(raw) {
+    const number = value => {
+      if (value === null || value === undefined || value === '') return null;
+      if (typeof value === 'number') return value;
+      let cleaned = String(value).replace(/[^\d.,]/g, '');
+      // 末尾逗号后只有一到两位数字时视为小数点（€3,50 / 1.299,00），其余逗号为千位分隔符
+      cleaned = /,\d{1,2}$/.test(cleaned)
+        ? cleaned.replace(/\./g, '').replace(',', '.')
+        : cleaned.replace(/,/g, '');
+      const parsed = parseFloat(cleaned);
+      return isNaN(parsed) ? null : parsed;
+    };
+    const text = value => (value === null || value === undefined || value === '') ? null : String(value).trim();
+
+    const rawCycle = text(raw.billing_cycle)?.toLowerCase();
+    const billingCycle = BILLING_CYCLE_ALIASES[rawCycle] || rawCycle;
+    const locations = Array.isArray(raw.locations)
+      ? raw.locations.map(location => String(location).trim()).filter(Boolean).join(', ')
+      : text(raw.locations);
+
+    return {
+      provider: text(raw.provider),
+      plan_name: text(raw.plan_name),
+      vcpu: number(raw.vcpu),
+      ram_gb: number(raw.ram_gb),
+      disk_gb: number(raw.disk_gb),
+      disk_type: text(raw.disk_type),
+      bandwidth_gb: number(raw.bandwidth_gb),
+      bandwidth_unmetered: raw.bandwidth_unmetered === true || raw.bandwidth_unmetered === 'true' ? 1 : 0,
+      port_speed_mbps: number(raw.port_speed_mbps),
+      ipv4: number(raw.ipv4),
+      ipv6: text(raw.ipv6),
+      locations: locations || null,
+      price: number(raw.price),
+      currency: text(raw.currency)?.toUpperCase() || null,
+      billing_cycle: BILLING_CYCLES.includes(billingCycle) ? billingCycle : null
+    };
+  }
+
+  // 重新提取时先删除旧记录，保证一个帖子的套餐只有一份
+  async saveOffers(postId, offers) {
+    return Utils.withErrorHandling(async () => {
+      const statements = [
+        this.db.prepare('DELETE FROM offers WHERE post_id = ?').bind(postId)
+      ];
+
+      for (const offer of offers) {
+        const columns = ['post_id', ...Object.keys(offer), 'created_at'];
+        const values = [postId, ...Object.values(offer), Utils.getCurrentTimestamp()];
+        statements.push(
+          this.db.prepare(`
+            INSERT INTO offers (${columns.join(', ')})
+            VALUES (${columns.map(() => '?').join(', ')})
+          `).bind(...values)
+        );
+      }
+
+      await this.db.batch(statements);
+      Utils.log('INFO', `Saved ${offers.length} offers for post ${postId}`);
+    }, `OfferExtractor.saveOffers(${postId})`);
+  }
+}
+
+// ==================== 价格识别 ====================
+
+// 付款周期对应的月数
+const CYCLE_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  semiannually: 6,
+  annually: 12,
+  biennially: 24,
+  triennially: 36
+};
+
+const CURRENCY_SYMBOLS = {
+  'US$': 'USD', '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'CNY', '元': 'CNY',
+  RMB: 'CNY', '美元': 'USD', '欧元': 'EUR', '英镑': 'GBP'
+};
+
+// 价格后面的周期写法，按顺序匹配（多年周期需在年付之前）
+const CYCLE_SUFFIX_PATTERNS = [
+  ['triennially', /^\s*(?:\/\s*|per\s+|every\s+)?(?:3\s*-?\s*y(?:ea)?rs?\b|triennial(?:ly)?)|^\s*triennial/i],
+  ['biennially', /^\s*(?:\/\s*|per\s+|every\s+)?(?:2\s*-?\s*y(?:ea)?rs?\b|biennial(?:ly)?)|^\s*biennial/i],
+  ['semiannually', /^\s*(?:\/\s*|per\s+|every\s+)?(?:6\s*-?\s*mo(?:nth)?s?\b|semi-?annual(?:ly)?|half\s*-?\s*year(?:ly)?)/i],
+  ['quarterly', /^\s*(?:\/\s*|per\s+|a\s+|every\s+)?(?:3\s*-?\s*mo(?:nth)?s?\b|quarter(?:ly)?\b|qtr\b|季)/i],
+  ['annually', /^\s*(?:\/\s*|per\s+|a\s+|every\s+)?(?:y(?:ea)?r\b|years?\b|yearly|annual(?:ly)?|p\.?a\.?\b|年)/i],
+  ['monthly', /^\s*(?:\/\s*|per\s+|a\s+|every\s+)?(?:mo(?:nth)?s?\b|monthly|m\b|月)/i]
+];
+
+// 中文写法的周期在价格前面，如"年付$50"
+const CYCLE_PREFIX_PATTERNS = [
+  ['triennially', /三年付\s*[:：]?\s*$/],
+  ['biennially', /两年付\s*[:：]?\s*$/],
+  ['semiannually', /半年付\s*[:：]?\s*$/],
+  ['quarterly', /季付\s*[:：]?\s*$/],
+  ['annually', /年付\s*[:：]?\s*$/],
+  ['monthly', /月付\s*[:：]?\s*$/]
+];
+
+class PriceNormalizer {
+  constructor(env) {
+    this.env = env;
+    this.db = env.DB;
+  }
+
+  async listRates() {
+    const result = await this.db.prepare(`
+      SELECT * FROM currency_rates ORDER BY currency ASC
+    `).all();
+    return result.results || [];
+  }
+
+  async getRates() {
+    const rates = { USD: 1 };
+    for (const row of await this.listRates()) {
+      rates[row.currency] = row.usd_rate;
+    }
+    return rates;
+  }
+
+  async setRate(currency, usdRate) {
+    if (!/^[A-Z]{3}$/.test(currency || '')) {
+      throw new Error('货币代码必须为3位大写字母，如EUR');
+    }
+    if (!(usdRate > 0)) {
+      throw new Error('汇率必须为正数');
+    }
+
+    await this.db.prepare(`
+      INSERT OR REPLACE INTO currency_rates (currency, usd_rate, updated_at)
+      VALUES (?, ?, ?)
+    `).bind(currency, usdRate, Utils.getCurrentTimestamp()).run();
+  }
+
+  async deleteRate(currency) {
+    const result = await this.db.prepare(`
+      DELETE FROM currency_rates WHERE currency = ?
+    `).bind(currency).run();
+    return result.meta?.changes > 0;
+  }
+
+  parseAmount(value) {
+    // 1,000.50 为千分位；3,50 为欧洲写法的小数
+    if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(value)) {
+      return parseFloat(value.replace(/,/g, ''));
+    }
+    return parseFloat(value.replace(',', '.'));
+  }
+
+  // 返回 { cycle, prefix, suffix }，prefix/suffix 为原文中的周期写法
+  detectCycle(before, after) {
+    for (const [cycle, pattern] of CYCLE_SUFFIX_PATTERNS) {
+      const match = after.match(pattern);
+      if (match) return { cycle, prefix: '', suffix: match[0].replace(/\s+$/, '') };
+    }
+    for (const [cycle, pattern] of CYCLE_PREFIX_PATTERNS) {
+      const match = before.match(pattern);
+      if (match) return { cycle, prefix: match[0], suffix: '' };
+    }
+    return null;
+  }
+
+  // 查找文本中带付款周期的价格，如 "$12/yr"、"€3.50/mo"、"$25 triennially"、"年付$50"
+  findPriceMentions(text) {
+    if (!text) return [];
+
+    const amount = '(\\d{1,3}(?:,\\d{3})+(?:\\.\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?)';
+    const prefixCurrency = '(US\\$|\\$|€|£|¥|USD|EUR|GBP|CNY|RMB|CAD|AUD|JPY)';
+    const suffixCurrency = '(USD|EUR|GBP|CNY|RMB|CAD|AUD|JPY|€|元|美元|欧元|英镑)';
+    const priceRegex = new RegExp(`${prefixCurrency}\\s?${amount}|${amount}\\s?${suffixCurrency}(?![A-Za-z])`, 'gi');
+
+    const mentions = [];
+    let match;
+    while ((match = priceRegex.exec(text)) !== null) {
+      const symbol = (match[1] || match[4]).toUpperCase();
+      const currency = CURRENCY_SYMBOLS[symbol] || CURRENCY_SYMBOLS[match[1] || match[4]] || symbol;
+      const value = this.parseAmount(match[2] || match[3]);
+      if (isNaN(value) || value <= 0) continue;
+
+      const before = text.slice(Math.max(0, match.index - 8), match.index);
+      const after = text.slice(match.index + match[0].length, match.index + match[0].length + 20);
+      const detected = this.detectCycle(before, after);
+      if (!detected) continue;
+
+      mentions.push({
+        amount: value,
+        currency,
+        cycle: detected.cycle,
+        raw: `${detected.prefix}${match[0].trim()}${detected.suffix}`
+      });
+    }
+
+    return mentions;
+  }
+
+  toMonthly(amount, cycle) {
+    const months = CYCLE_MONTHS[cycle];
+    return months ? amount / months : null;
+  }
+
+  // 返回最低的月付美元价格及其原文，没有可识别的价格时返回null
+  normalize(text, rates) {
+    let best = null;
+
+    for (const mention of this.findPriceMentions(text)) {
+      const rate = rates[mention.currency];
+      if (!rate) continue;
+
+      const monthly = this.toMonthly(mention.amount, mention.cycle);
+      if (monthly === null) continue;
+
+      const monthlyUsd = Math.round(monthly * rate * 100) / 100;
+      if (!best || monthlyUsd < best.monthlyUsd) {
+        best = { monthlyUsd, priceText: mention.raw };
+      }
+    }
+
+    return best;
+  }
+
+  async normalizePost(post, content) {
+    return Utils.withErrorHandling(async () => {
+      const rates = await this.getRates();
+      const result = this.normalize(`${post.title}\n${content || ''}`, rates);
+
+      await this.db.prepare(`
+        UPDATE posts SET monthly_usd = ?, price_text = ? WHERE id = ?
+      `).bind(result?.monthlyUsd ?? null, result?.priceText ?? null, post.id).run();
+
+      return result;
+    }, `PriceNormalizer.normalizePost(${post.id})`);
+  }
+
+  static formatMonthlyUsd(value) {
+    return `≈ $${Number(value).toFixed(2)}/mo`;
+  }
+}
+
+// ==================== 截止时间识别 ====================
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// 只在这些关键词之后查找日期，避免把机房上线日期等误判为截止时间
+const DEADLINE_KEYWORD_REGEX = /\b(?:valid\s+(?:until|till|through|thru)|until|till|through|thru|ends?|ending|expires?|expiring|expiry|deadline|last\s+day|offer\s+ends|sale\s+ends)\b|截止|有效期|结束/gi;
+
+// 帖子中的日期通常不带时区，统一按UTC当天23:59计算
+class DealDeadlineDetector {
+  // baseTime 为帖子发布时间，用于推算"周五"、"48小时内"等相对时间
+  detect(text, baseTime = new Date()) {
+    const base = new Date(baseTime);
+    const reference = isNaN(base.getTime()) ? new Date() : base;
+
+    return {
+      expiresAt: this.detectDeadline(text || '', reference),
+      stockLimit: this.detectStockLimit(text || '')
+    };
+  }
+
+  detectDeadline(text, base) {
+    const candidates = [];
+
+    // 相对时间自带关键词，直接在全文中查找
+    const relativeRegex = /(?:ends?|expires?|valid|available|only)\s+(?:in|for)\s+(?:the\s+next\s+)?(\d{1,3})\s*(hours?|hrs?|h|days?|d)\b|(\d{1,3})\s*(hours?|hrs?|days?)\s+only\b|限时\s*(\d{1,3})\s*(小时|天)/gi;
+    let match;
+    while ((match = relativeRegex.exec(text)) !== null) {
+      const amount = parseInt(match[1] || match[3] || match[5]);
+      const unit = (match[2] || match[4] || match[6]).toLowerCase();
+      const hours = unit.startsWith('h') || unit === '小时' ? amount : amount * 24;
+      candidates.push(new Date(base.getTime() + hours * 60 * 60 * 1000));
+    }
+
+    let keyword;
+    DEADLINE_KEYWORD_REGEX.lastIndex = 0;
+    while ((keyword = DEADLINE_KEYWORD_REGEX.exec(text)) !== null) {
+      const window = text.slice(keyword.index + keyword[0].length, keyword.index + keyword[0].length + 40);
+      const date = this.parseDateInWindow(window, base);
+      if (date) candidates.push(date);
+    }
+
+    // 只接受发布之后60天内的截止时间
+    const maxTime = base.getTime() + 60 * 24 * 60 * 60 * 1000;
+    const valid = candidates.filter(date => date.getTime() > base.getTime() && date.getTime() <= maxTime);
+    if (valid.length === 0) return null;
+
+    valid.sort((a, b) => a - b);
+    return valid[0].toISOString();
+  }
+
+  endOfDay(year, month, day) {
+    const date = new Date(Date.UTC(year, month, day, 23, 59, 0));
+    return date.getUTCMonth() === month ? date : null;
+  }
+
+  // 未写年份时取发布时间所在年份，早于发布时间则视为下一年
+  withInferredYear(month, day, year, base) {
+    if (year) return this.endOfDay(year < 100 ? 2000 + year : year, month, day);
+    let date = this.endOfDay(base.getUTCFullYear(), month, day);
+    if (date && date.getTime() < base.getTime() - 24 * 60 * 60 * 1000) {
+      date = this.endOfDay(base.getUTCFullYear() + 1, month, day);
+    }
+    return date;
+  }
+
+  parseDateInWindow(window, base) {
+    let match;
+
+    if (/^\W{0,3}(?:tonight|today|end\s+of\s+(?:the\s+)?day)\b|^\s*(?:今天|今晚)/i.test(window)) {
+      return this.endOfDay(base.getUTCFullYear(), base.getUTCMonth(), base.getUTCDate());
+    }
+
+    if (/^\W{0,3}tomorrow\b|^\s*明天/i.test(window)) {
+      return this.endOfDay(base.getUTCFullYear(), base.getUTCMonth(), base.getUTCDate() + 1);
+    }
+
+    if ((match = window.match(/^\D{0,10}(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/))) {
+      return this.endOfDay(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+    }
+
+    // 论坛以美国用户为主，数字日期按 月/日/年 解析
+    if ((match = window.match(/^\D{0,10}(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/))) {
+      return this.withInferredYear(parseInt(match[1]) - 1, parseInt(match[2]), match[3] ? parseInt(match[3]) : null, base);
+    }
+
+    if ((match = window.match(/^[^a-z0-9]{0,10}(?:on\s+)?(?:[a-z]+day,?\s+)?(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?/i))) {
+      return this.withInferredYear(MONTH_NAMES.indexOf(match[1].toLowerCase()), parseInt(match[2]), match[3] ? parseInt(match[3]) : null, base);
+    }
+
+    if ((match = window.match(/^[^a-z0-9]{0,10}(?:on\s+)?(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?(?:,?\s+(\d{4}))?/i))) {
+      return this.withInferredYear(MONTH_NAMES.indexOf(match[2].toLowerCase()), parseInt(match[1]), match[3] ? parseInt(match[3]) : null, base);
+    }
+
+    if ((match = window.match(/^\D{0,5}(\d{1,2})月(\d{1,2})[日号]/))) {
+      return this.withInferredYear(parseInt(match[1]) - 1, parseInt(match[2]), null, base);
+    }
+
+    // "until Friday"：发布时间之后的第一个该星期几（当天发布则取下周）
+    if ((match = window.match(/^[^a-z0-9]{0,10}(?:this\s+|next\s+|on\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/i))) {
+      const target = WEEKDAY_NAMES.indexOf(match[1].toLowerCase());
+      const daysAhead = ((target - base.getUTCDay()) + 7) % 7 || 7;
+      return this.endOfDay(base.getUTCFullYear(), base.getUTCMonth(), base.getUTCDate() + daysAhead);
+    }
+
+    return null;
+  }
+
+  // 识别"first 50 units"、"only 20 available"、"限量30台"等库存限制
+  detectStockLimit(text) {
+    const patterns = [
+      /\bfirst\s+(\d{1,5})\s+(?:units?|orders?|customers?|servers?|vps|boxes|people|buyers|slots?|clients?)\b/gi,
+      /\b(?:only|limited\s+to|just)\s+(\d{1,5})\s+(?:units?|slots?|servers?|vps|boxes|available|in\s+stock)\b/gi,
+      /\b(\d{1,5})\s+(?:units?|slots?|servers?)\s+(?:only|available|left|in\s+stock)\b/gi,
+      /\bstock[:：]\s*(\d{1,5})\b/gi,
+      /限量\s*(\d{1,5})/g
+    ];
+
+    const limits = [];
+    for (const pattern of patterns) {
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        const limit = parseInt(match[1]);
+        if (limit > 0) limits.push(limit);
+      }
+    }
+
+    return limits.length > 0 ? Math.min(...limits) : null;
+  }
+}
+
+// ==================== 商家目录 ====================
+
+// 按论坛用户名、帖子中的域名和标题中的商家名称将帖子关联到商家
+// usernames/domains/aliases 以JSON数组保存，比较时不区分大小写
+class ProviderDirectory {
+  constructor(env) {
+    this.env = env;
+    this.db = env.DB;
+  }
+
+  deserializeProvider(row) {
+    const parseList = value => {
+      try {
+        const list = JSON.parse(value || '[]');
+        return Array.isArray(list) ? list : [];
+      } catch (error) {
+        return [];
+      }
+    };
+
+    return {
+      ...row,
+      usernames: parseList(row.usernames),
+      domains: parseList(row.domains),
+      aliases: parseList(row.aliases)
+    };
+  }
+
+  // 列表带最近发帖统计，query 按名称、别名、用户名和域名模糊搜索
+  async listProviders(query = '', limit = 100) {
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+    const pattern = `%${query.trim().toLowerCase()}%`;
+
+    const result = await this.db.prepare(`
+      SELECT pr.*,
+        COUNT(pp.id) AS post_count,
+        SUM(CASE WHEN COALESCE(pp.publish_time, pp.created_at) >= ? THEN 1 ELSE 0 END) AS recent_posts,
+        MAX(COALESCE(pp.publish_time, pp.created_at)) AS last_post_at,
+        GROUP_CONCAT(DISTINCT pp.forum) AS forums
+      FROM providers pr
+      LEFT JOIN provider_posts pp ON pp.provider_id = pr.id
+      WHERE LOWER(pr.name) LIKE ? OR LOWER(pr.aliases) LIKE ? OR LOWER(pr.usernames) LIKE ? OR LOWER(pr.domains) LIKE ?
+      GROUP BY pr.id
+      ORDER BY last_post_at IS NULL, last_post_at DESC
+      LIMIT ?
+    `).bind(since, pattern, pattern, pattern, pattern, limit).all();
+
+    return (result.results || []).map(row => ({
+      ...this.deserializeProvider(row),
+      recent_posts: row.recent_posts || 0,
+      forums: row.forums ? row.forums.split(',') : []
+    }));
+  }
+
+  // 帖子浏览和搜索，附带所属商家及其近30天发帖频率和论坛分布
+  // query 匹配标题、总结和商家名称，多个关键词需同时匹配
+  async listPosts({ query = '', forum = '', providerId = null, limit = 50 } = {}) {
+    const days = 30;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const keywords = query.toLowerCase().split(/\s+/).filter(Boolean).slice(0, 5);
+    const conditions = keywords.map(() => `(LOWER(p.title) LIKE ? OR LOWER(s.summary) LIKE ? OR LOWER(pr.name) LIKE ?)`);
+    const values = keywords.flatMap(keyword => [`%${keyword}%`, `%${keyword}%`, `%${keyword}%`]);
+    if (forum) {
+      conditions.push('p.forum = ?');
+      values.push(forum);
+    }
+    if (providerId) {
+      conditions.push('p.provider_id = ?');
+      values.push(providerId);
+    }
+
+    const result = await this.db.prepare(`
+      SELECT p.id, p.forum, p.title, p.author, p.link, p.publish_time, p.monthly_usd,
+        s.summary, s.post_type,
+        pr.id AS provider_id, pr.name AS provider_name,
+        stats.recent_posts AS provider_recent_posts, stats.forums AS provider_forums
+      FROM posts p
+      LEFT JOIN summaries s ON s.post_id = p.id
+      LEFT JOIN providers pr ON pr.id = p.provider_id
+      LEFT JOIN (
+        SELECT provider_id,
+          SUM(CASE WHEN COALESCE(NULLIF(publish_time, ''), created_at) >= ? THEN 1 ELSE 0 END) AS recent_posts,
+          GROUP_CONCAT(DISTINCT forum) AS forums
+        FROM provider_posts
+        GROUP BY provider_id
+      ) stats ON stats.provider_id = pr.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY COALESCE(NULLIF(p.publish_time, ''), p.created_at) DESC
+      LIMIT ?
+    `).bind(since, ...values, limit).all();
+
+    return (result.results || []).map(({ provider_id, provider_name, provider_recent_posts, provider_forums, ...post }) => ({
+      ...post,
+      provider: provider_id ? {
+        id: provider_id,
+        name: provider_name,
+        recentPosts: provider_recent_posts || 0,
+        postsPerWeek: Math.round((provider_recent_posts || 0) / (days / 7) * 10) / 10,
+        forums: provider_forums ? provider_forums.split(',') : []
+      } : null
+    }));
+  }
+
+  async getProvider(id) {
+    const row = await this.db.prepare(`
+      SELECT * FROM providers WHERE id = ?
+    `).bind(id).first();
+    return row ? this.deserializeProvider(row) : null;
+  }
+
+  // 商家详情：发帖时间线、论坛分布和发帖频率
+  async getProviderDetail(id, days = 30) {
+    const provider = await this.getProvider(id);
+    if (!provider) return null;
+
+    const result = await this.db.prepare(`
+      SELECT * FROM provider_posts
+      WHERE provider_id = ?
+      ORDER BY COALESCE(NULLIF(publish_time, ''), created_at) DESC
+      LIMIT 200
+    `).bind(id).all();
+    const timeline = result.results || [];
+
+    const since = Date.now() - days * 24 * 60 * 60 * 1000;
+    const timeOf = item => new Date(item.publish_time || item.created_at).getTime();
+    const recent = timeline.filter(item => timeOf(item) >= since);
+
+    const forums = {};
+    for (const item of timeline) {
+      forums[item.forum] = (forums[item.forum] || 0) + 1;
+    }
+
+    // 平均发帖间隔按时间线中相邻两帖计算
+    const times = timeline.map(timeOf).filter(time => !isNaN(time)).sort((a, b) => a - b);
+    const gaps = times.slice(1).map((time, index) => time - times[index]);
+    const avgGapDays = gaps.length > 0
+      ? Math.round(gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length / (24 * 60 * 60 * 1000) * 10) / 10
+      : null;
+
+    return {
+      provider,
+      timeline,
+      stats: {
+        totalPosts: timeline.length,
+        recentPosts: recent.length,
+        recentOffers: recent.filter(item => item.post_type === '促销').length,
+        postsPerWeek: Math.round(recent.length / (days / 7) * 10) / 10,
+        avgGapDays,
+        forums,
+        firstSeen: times.length > 0 ? new Date(times[0]).toISOString() : null,
+        lastSeen: times.length > 0 ? new Date(times[times.length - 1]).toISOString() : null
+      }
+    };
+  }
+
+  normalizeList(value, normalizeItem = item => item.toLowerCase()) {
+    const items = Array.isArray(value) ? value : String(value || '').split(/[,，\n]/);
+    return [...new Set(items.map(item => normalizeItem(String(item).trim())).filter(Boolean))];
+  }
+
+  validateProvider(data, partial = false) {
+    if (!partial || data.name !== undefined) {
+      if (!data.name || data.name.length > 100) {
+        throw new Error('商家名称不能为空且不超过100个字符');
+      }
+    }
+  }
+
+  async createProvider(data) {
+    this.validateProvider(data);
+
+    return Utils.withErrorHandling(async () => {
+      const result = await this.db.prepare(`
+        INSERT INTO providers (name, usernames, domains, aliases, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).bind(
+        data.name,
+        JSON.stringify(this.normalizeList(data.usernames)),
+        JSON.stringify(this.normalizeList(data.domains, item => this.normalizeDomain(item))),
+        JSON.stringify(this.normalizeList(data.aliases, item => item)),
+        Utils.getCurrentTimestamp(),
+        Utils.getCurrentTimestamp()
+      ).run();
+
+      Utils.log('INFO', `Provider created: ${data.name}`);
+      return result.meta?.last_row_id;
+    }, 'ProviderDirectory.createProvider');
+  }
+
+  async updateProvider(id, data) {
+    this.validateProvider(data, true);
+
+    return Utils.withErrorHandling(async () => {
+      const fields = ['name', 'usernames', 'domains', 'aliases'].filter(field => data[field] !== undefined);
+      if (fields.length === 0) return false;
+
+      const values = fields.map(field => {
+        if (field === 'name') return data.name;
+        if (field === 'domains') return JSON.stringify(this.normalizeList(data.domains, item => this.normalizeDomain(item)));
+        if (field === 'aliases') return JSON.stringify(this.normalizeList(data.aliases, item => item));
+        return JSON.stringify(this.normalizeList(data[field]));
+      });
+
+      const result = await this.db.prepare(`
+        UPDATE providers SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = ?
+        WHERE id = ?
+      `).bind(...values, Utils.getCurrentTimestamp(), id).run();
+
+      Utils.log('INFO', `Provider ${id} updated`, { fields });
+      return result.meta?.changes > 0;
+    }, `ProviderDirectory.updateProvider(${id})`);
+  }
+
+  async deleteProvider(id) {
+    return Utils.withErrorHandling(async () => {
+      const results = await this.db.batch([
+        this.db.prepare(`DELETE FROM provider_posts WHERE provider_id = ?`).bind(id),
+        this.db.prepare(`UPDATE posts SET provider_id = NULL WHERE provider_id = ?`).bind(id),
+        this.db.prepare(`DELETE FROM providers WHERE id = ?`).bind(id)
+      ]);
+
+      Utils.log('INFO', `Provider ${id} deleted`);
+      return results[2].meta?.changes > 0;
+    }, `ProviderDirectory.deleteProvider(${id})`);
+  }
+
+  // 归一化为主域名：去掉协议、端口和子域名（my.racknerd.com → racknerd.com，x.co.uk 保留三段）
+  normalizeDomain(host) {
+    const labels = host.toLowerCase().replace(/^[a-z]+:\/\//, '').split(/[/:?#]/)[0].replace(/\.$/, '').split('.').filter(Boolean);
+    if (labels.length < 2) return '';
+    const keep = labels.length > 2 && /^(co|com|net|org|ac|gov)$/.test(labels[labels.length - 2]) && labels[labels.length - 1].length === 2 ? 3 : 2;
+    return labels.slice(-keep).join('.');
+  }
+
+  extractDomains(text) {
+    const domains = new Set();
+    const hostRegex = /\bhttps?:\/\/([^\s/"'<>)\]]+)|\b((?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+(?:com|net|org|io|host|hosting|cloud|co|uk|de|nl|us|eu|xyz|me|cc|vip|pro|dev|app|tech|services|online|network|systems|ca|fr|jp|sg|hk|au|ru|pl|ro|se|ch|at|in|tw|kr))\b/gi;
+
+    let match;
+    while ((match = hostRegex.exec(text || '')) !== null) {
+      const domain = this.normalizeDomain(match[1] || match[2]);
+      if (domain && !PROVIDER_DOMAIN_IGNORE.includes(domain)) {
+        domains.add(domain);
+      }
+    }
+
+    return [...domains];
+  }
+
+  // 两个字符的简称（如 RN）区分大小写匹配，避免误中普通单词
+  nameInTitle(name, title) {
+    if (!name || name.length < 2) return false;
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^A-Za-z0-9])${escaped}($|[^A-Za-z0-9])`, name.length < 3 ? '' : 'i').test(title || '');
+  }
+
+  // 依次按论坛用户名、域名、标题中的商家名称匹配，返回 { provider, matchedBy } 或 null
+  resolve(providers, post, domains, nameHint = null) {
+    const author = (post.author || '').trim().toLowerCase();
+    if (author) {
+      const provider = providers.find(item => item.usernames.includes(author));
+      if (provider) return { provider, matchedBy: 'username' };
+    }
+
+    for (const domain of domains) {
+      const provider = providers.find(item => item.domains.includes(domain));
+      if (provider) return { provider, matchedBy: 'domain' };
+    }
+
+    const namesOf = item => [item.name, ...item.aliases];
+    const byTitle = providers.find(item => namesOf(item).some(name => this.nameInTitle(name, post.title)));
+    if (byTitle) return { provider: byTitle, matchedBy: 'title' };
+
+    if (nameHint) {
+      const hint = nameHint.trim().toLowerCase();
+      const byHint = providers.find(item => namesOf(item).some(name => name.toLowerCase() === hint));
+      if (byHint) return { provider: byHint, matchedBy: 'name' };
+    }
+
+    return null;
+  }
+
+  // options: postType/summary 为AI结果，nameHint 为套餐提取出的商家名称，
+  // isForumPost 表示作者是论坛账号（LEB等博客文章的作者是编辑，不能当作商家账号）
+  async linkPost(post, content, options = {}) {
+    return Utils.withErrorHandling(async () => {
+      const providers = ((await this.db.prepare(`SELECT * FROM providers`).all()).results || []).map(row => this.deserializeProvider(row));
+      const domains = this.extractDomains(`${post.title}\n${content || ''}`);
+      let match = this.resolve(providers, post, domains, options.nameHint);
+
+      // 未知商家的促销帖自动建档，名称优先取套餐提取结果；同名商家已存在时直接关联
+      if (!match && options.postType === '促销') {
+        const name = (options.nameHint || (options.isForumPost ? post.author : '') || '').trim();
+        const existing = name && providers.find(item => item.name.toLowerCase() === name.toLowerCase());
+        if (existing) {
+          match = { provider: existing, matchedBy: 'name' };
+        } else if (name) {
+          const id = await this.createProvider({
+            name,
+            usernames: options.isForumPost && post.author ? [post.author] : [],
+            domains
+          });
+          match = { provider: { id, name }, matchedBy: 'created' };
+        }
+      }
+
+      if (!match) return null;
+
+      await this.recordPost(match.provider.id, post, options, match.matchedBy);
+      return match;
+    }, `ProviderDirectory.linkPost(${post.id})`);
+  }
+
+  // 发帖历史单独保存，帖子被7天清理后仍可查看商家的历史促销
+  async recordPost(providerId, post, options, matchedBy) {
+    await this.db.batch([
+      this.db.prepare(`
+        INSERT OR REPLACE INTO provider_posts
+          (provider_id, post_id, link, forum, title, author, publish_time, post_type, summary, monthly_usd, matched_by, created_at)
+        SELECT ?, id, link, forum, title, author, publish_time, ?, ?, monthly_usd, ?, ?
+        FROM posts WHERE id = ?
+      `).bind(providerId, options.postType || null, options.summary || null, matchedBy, Utils.getCurrentTimestamp(), post.id),
+      this.db.prepare(`
+        UPDATE posts SET provider_id = ? WHERE id = ?
+      `).bind(providerId, post.id)
+    ]);
+  }
+}
+
+// ==================== 重复帖子识别 ====================
+
+// 同一促销常在LET、LEB重复出现，或以[RESTOCK]等前缀重发。
+// 按归一化标题、正文simhash和共同的外部链接识别，重复帖归入首帖的cluster_id，不再单独调用AI和推送
+class DuplicateDetector {
+  constructor(env, providerDirectory) {
+    this.env = env;
+    this.db = env.DB;
+    this.providerDirectory = providerDirectory;
+  }
+
+  // 去掉[VPS]等方括号标签、RESTOCK/REPOST等重发前缀和标点
+  normalizeTitle(title) {
+    return (title || '')
+      .toLowerCase()
+      .replace(/\[[^\]]*\]|【[^】]*】|\([^)]*\)/g, ' ')
+      .replace(/^\s*(?:(?:re|fwd|fw)\s*:|(?:restock(?:ed)?|re-?post(?:ed)?|updated?|back in stock|again|new)\b\s*[:\-–—!]*)\s*/g, '')
+      .replace(/[^\p{L}\p{N}$€£¥.]+/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  tokenize(text) {
+    return (text || '').toLowerCase().match(/[\p{Script=Han}]|[\p{L}\p{N}$€£¥.]+/gu) || [];
+  }
+
+  // 两个32位FNV-1a哈希拼成64位
+  hash64(text) {
+    const fnv = seed => {
+      let hash = seed;
+      for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+      }
+      return hash;
+    };
+    return [fnv(0x811c9dc5), fnv(0x050c5d1f)];
+  }
+
+  // 二词shingle的simhash，正文过短时返回null（短文本的simhash不可靠）
+  simhash(text) {
+    const tokens = this.tokenize(text);
+    if (tokens.length < 20) return null;
+
+    const weights = new Array(64).fill(0);
+    for (let i = 0; i + 2 <= tokens.length; i++) {
+      const [high, low] = this.hash64(tokens.slice(i, i + 2).join(' '));
+      for (let bit = 0; bit < 32; bit++) {
+        weights[bit] += (high >>> bit) & 1 ? 1 : -1;
+        weights[bit + 32] += (low >>> bit) & 1 ? 1 : -1;
+      }
+    }
+
+    let high = 0;
+    let low = 0;
+    for (let bit = 0; bit < 32; bit++) {
+      if (weights[bit] > 0) high |= (1 << bit);
+      if (weights[bit + 32] > 0) low |= (1 << bit);
+    }
+    return (high >>> 0).toString(16).padStart(8, '0') + (low >>> 0).toString(16).padStart(8, '0');
+  }
+
+  hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+      while (diff) {
+        distance += diff & 1;
+        diff >>= 1;
+      }
+    }
+    return distance;
+  }
+
+  // 链接归一化：去掉协议、www、锚点和推广参数（aff、ref、utm_*），只保留带路径的链接
+  normalizeLink(url) {
+    try {
+      const parsed = new URL(url);
+      for (const key of [...parsed.searchParams.keys()]) {
+        if (/^(aff|ref|utm_.*)$/i.test(key)) parsed.searchParams.delete(key);
+      }
+      const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+      const path = parsed.pathname.replace(/\/+$/, '');
+      if (!path && !parsed.search) return null;
+      return `${host}${path}${parsed.search}`;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  collectLinks(post, content) {
+    let links = [];
+    try {
+      links = JSON.parse(post.links || '[]');
+    } catch (error) {
+      links = [];
+    }
+    links.push(...((content || '').match(/https?:\/\/[^\s<>"')\]]+/g) || []));
+    return [...new Set(links.map(link => this.normalizeLink(link)).filter(Boolean))];
+  }
+
+  // 链接中的商家主域名，忽略论坛、图床等第三方域名
+  collectDomains(links) {
+    const domains = links
+      .map(link => this.providerDirectory.normalizeDomain(link.split('/')[0]))
+      .filter(domain => domain && !PROVIDER_DOMAIN_IGNORE.includes(domain));
+    return [...new Set(domains)];
+  }
+
+  // 同一作者、正文大致相近，或（checkDomains时）链接到同一商家域名
+  isCorroborated(fingerprint, candidate, candidateLinks, checkDomains) {
+    if (fingerprint.author && fingerprint.author === (candidate.author || '').trim().toLowerCase()) return true;
+    if (fingerprint.simhash && candidate.simhash &&
+        this.hammingDistance(fingerprint.simhash, candidate.simhash) <= SIMHASH_RELATED_DISTANCE) return true;
+    if (!checkDomains) return false;
+    const candidateDomains = this.collectDomains(candidateLinks);
+    return fingerprint.domains.some(domain => candidateDomains.includes(domain));
+  }
+
+  // 依次比较：正文simhash相近、链接指向对方、归一化标题相同或标题词重合度高、共同的外部链接。
+  // 标题和共同链接需要佐证，避免"black friday sale"等通用标题、状态页或签名链接把不同商家的帖子合并；
+  // 共同链接本身就意味着共同域名，所以单个共同链接只接受作者或正文佐证，两个以上共同链接直接判重
+  findMatch(fingerprint, candidates) {
+    const titleTokens = new Set(this.tokenize(fingerprint.titleKey));
+
+    for (const candidate of candidates) {
+      if (fingerprint.simhash && candidate.simhash &&
+          this.hammingDistance(fingerprint.simhash, candidate.simhash) <= SIMHASH_MAX_DISTANCE) {
+        return { candidate, reason: 'content' };
+      }
+
+      const candidateLink = this.normalizeLink(candidate.link);
+      if (candidateLink && fingerprint.links.includes(candidateLink)) {
+        return { candidate, reason: 'link' };
+      }
+
+      const candidateLinks = this.collectLinks(candidate, '');
+      let sameTitle = fingerprint.titleKey.length >= 12 && candidate.title_key === fingerprint.titleKey;
+      const candidateTokens = new Set(this.tokenize(candidate.title_key));
+      if (!sameTitle && titleTokens.size >= 5 && candidateTokens.size >= 5) {
+        const shared = [...titleTokens].filter(token => candidateTokens.has(token)).length;
+        sameTitle = shared / (titleTokens.size + candidateTokens.size - shared) >= 0.8;
+      }
+      if (sameTitle && this.isCorroborated(fingerprint, candidate, candidateLinks, true)) {
+        return { candidate, reason: 'title' };
+      }
+
+      const sharedLinks = fingerprint.links.filter(link => candidateLinks.includes(link) && !this.isForumLink(link));
+      if (sharedLinks.length >= 2 ||
+          (sharedLinks.length === 1 && this.isCorroborated(fingerprint, candidate, candidateLinks, false))) {
+        return { candidate, reason: 'link' };
+      }
+    }
+
+    return null;
+  }
+
+  // 论坛内部链接（个人主页、分类页等）不作为共同链接的判断依据
+  isForumLink(link) {
+    return PROVIDER_DOMAIN_IGNORE.some(domain => link === domain || link.startsWith(`${domain}/`) || link.includes(`.${domain}/`));
+  }
+
+  // 保存指纹并查找重复，重复时返回 { clusterId, matchedPostId, reason }
+  async checkPost(post, content) {
+    return Utils.withErrorHandling(async () => {
+      const links = this.collectLinks(post, content);
+      const fingerprint = {
+        titleKey: this.normalizeTitle(post.title),
+        simhash: this.simhash(content),
+        links,
+        domains: this.collectDomains(links),
+        author: (post.author || '').trim().toLowerCase()
+      };
+
+      await this.db.prepare(`
+        UPDATE posts SET title_key = ?, simhash = ? WHERE id = ?
+      `).bind(fingerprint.titleKey, fingerprint.simhash, post.id).run();
+
+      // 只和已有总结的帖子或已归类的重复帖比较
+      // created_at 可能是ISO格式或SQLite默认的"YYYY-MM-DD HH:MM:SS"，统一用datetime()比较
+      const result = await this.db.prepare(`
+        SELECT p.id, p.forum, p.author, p.link, p.links, p.title_key, p.simhash, p.cluster_id
+        FROM posts p
+        WHERE p.id != ? AND datetime(p.created_at) >= datetime('now', ?) AND p.title_key IS NOT NULL
+          AND (p.cluster_id IS NOT NULL OR EXISTS (SELECT 1 FROM summaries s WHERE s.post_id = p.id))
+        ORDER BY p.created_at ASC
+        LIMIT 500
+      `).bind(post.id, `-${DUPLICATE_WINDOW_DAYS} days`).all();
+
+      const match = this.findMatch(fingerprint, result.results || []);
+      if (!match) return null;
+
+      const clusterId = match.candidate.cluster_id || match.candidate.id;
+      await this.db.batch([
+        this.db.prepare(`UPDATE posts SET cluster_id = ? WHERE id = ? AND cluster_id IS NULL`).bind(clusterId, clusterId),
+        this.db.prepare(`UPDATE posts SET cluster_id = ? WHERE id = ?`).bind(clusterId, post.id)
+      ]);
+
+      return { clusterId, matchedPostId: match.candidate.id, reason: match.reason };
+    }, `DuplicateDetector.checkPost(${post.id})`);
+  }
+
+  // 同一cluster中除指定帖子外的其他帖子，用于推送消息中的"同时发布于"
+  async getClusterMembers(clusterId, excludePostId) {
+    const result = await this.db.prepare(`
+      SELECT id, forum, title, link FROM posts
+      WHERE cluster_id = ? AND id != ?
+      ORDER BY created_at ASC
+    `).bind(clusterId, excludePostId).all();
+    return result.results || [];
+  }
+}
+
+// ==================== 优惠码和下单链接 ====================
+
+// 优惠码和下单链接是促销帖中最直接可用的信息，AI总结常会遗漏，单独从正文和链接中提取
+class DealLinkExtractor {
+  extractCoupons(text) {
+    const codes = new Set();
+    for (const pattern of COUPON_PATTERNS) {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(text || '')) !== null) {
+        const code = match[1].replace(/[-_]+$/, '');
+        if (this.isLikelyCoupon(code)) codes.add(code);
+      }
+    }
+    return [...codes].slice(0, 5);
+  }
+
+  isLikelyCoupon(code) {
+    if (code.length < 3 || /^\d+$/.test(code)) return false;
+    if (COUPON_STOP_WORDS.includes(code.toUpperCase())) return false;
+    return /\d/.test(code) || (code.length >= 4 && /^[A-Z_-]+$/.test(code));
+  }
+
+  // links 为正文HTML中的链接，另外补充正文纯文本中出现的URL
+  extractOrderLinks(links, text) {
+    const candidates = [...(links || []), ...((text || '').match(/https?:\/\/[^\s<>"')\]]+/g) || [])];
+    const orderLinks = [];
+    for (const url of candidates) {
+      const cleaned = url.replace(/[.,;!]+$/, '');
+      if (ORDER_LINK_PATTERNS.some(pattern => pattern.test(cleaned)) && !orderLinks.includes(cleaned)) {
+        orderLinks.push(cleaned);
+      }
+    }
+    return orderLinks.slice(0, 10);
+  }
+
+  extract(post, content) {
+    let links = [];
+    try {
+      links = JSON.parse(post.links || '[]');
+    } catch (error) {
+      links = [];
+    }
+
+    return {
+      couponCodes: this.extractCoupons(`${post.title}\n${content || ''}`),
+      orderLinks: this.extractOrderLinks(links, content)
+    };
+  }
+}
+
+// ==================== 网络请求管理器 ====================
+
+class NetworkManager {
+  constructor() {
+    this.defaultHeaders = {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.9,zh-CN;q=0.8,zh;q=0.7',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'DNT': '1',
+      'Connection': 'keep-alive',
+      'Upgrade-Insecure-Requests': '1',
+      'Sec-Fetch-Dest': 'document',
+      'Sec-Fetch-Mode': 'navigate',
+      'Sec-Fetch-Site': 'none',
+      'Sec-Fetch-User': '?1',
+      'Cache-Control': 'max-age=0'
+    };
+  }
+
+  async fetchWithRetry(url, options = {}) {
+    return Utils.withErrorHandling(async () => {
+      const maxRetries = options.maxRetries || 3;
+      const retryDelay = options.retryDelay || 5000;
+      let lastError;
+
+      for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+          Utils.log('INFO', `Fetching attempt ${attempt}/${maxRetries}`, { url });
+
+          // 添加随机延迟避免被检测
+          if (options.delay !== false) {
+            const delayMs = options.delay || Math.random() * 2000 + 1000;
+            await Utils.delay(delayMs);
+          }
+
+          const headers = { ...this.defaultHeaders, ...options.headers };
+          const response = await fetch(url, {
+            method: options.method || 'GET',
+            headers,
+            ...options.fetchOptions
+          });
+
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status} ${response.statusText}`);
+          }
+
+          const content = await response.text();
+
+          // 检查是否被Cloudflare拦截
+          if (content.includes('Checking your browser') ||
+              content.includes('cloudflare') ||
+              content.includes('cf-browser-verification')) {
+            throw new Error('Cloudflare protection detected');
+          }
+
+          if (attempt > 1) {
+            Utils.log('INFO', `Successfully fetched after ${attempt} attempts`, { url });
+          }
+
+          return content;
+
+        } catch (error) {
+          lastError = error;
+          Utils.log('WARN', `Fetch attempt ${attempt} failed`, {
+            url,
+            error: error.message,
+            willRetry: attempt < maxRetries
+          });
+
+          if (attempt < maxRetries) {
+            await Utils.delay(retryDelay);
+          }
+        }
+      }
+
+      Utils.log('ERROR', `All ${maxRetries} fetch attempts failed`, { url, lastError: lastError.message });
+      throw lastError;
+    }, `NetworkManager.fetchWithRetry(${url})`);
+  }
+
+  // 支持条件请求：传入上次的ETag/Last-Modified，304时返回 notModified
+  async fetchRSS(url, validators = {}) {
+    return Utils.withErrorHandling(async () => {
+      const headers = { 'User-Agent': 'TripleLE-Monitor/1.0' };
+      if (validators.etag) headers['If-None-Match'] = validators.etag;
+      if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+      const startTime = Date.now();
+      const response = await fetch(url, { headers });
+      const latencyMs = Date.now() - startTime;
+
+      if (response.status === 304) {
+        return {
+          notModified: true,
+          content: null,
+          etag: validators.etag || null,
+          lastModified: validators.lastModified || null,
+          latencyMs
+        };
+      }
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch RSS: ${response.status} ${response.statusText}`);
+      }
+
+      return {
+        notModified: false,
+        content: await response.text(),
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified'),
+        latencyMs: Date.now() - startTime
+      };
+    }, `NetworkManager.fetchRSS(${url})`);
+  }
+
+  async fetchJSON(url) {
+    return Utils.withErrorHandling(async () => {
+      const response = await fetch(url, {
+        headers: {
+          'User-Agent': 'TripleLE-Monitor/1.0',
+          'Accept': 'application/json'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch JSON: ${response.status} ${response.statusText}`);
+      }
+
+      return await response.json();
+    }, `NetworkManager.fetchJSON(${url})`);
+  }
+
+  async fetchLETPage(url, options = {}) {
+    return Utils.withErrorHandling(async () => {
+      const letOptions = {
+        ...options,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+          'Accept-Language': 'en-US,en;q=0.5',
+          'Accept-Encoding': 'gzip, deflate, br',
+          'Referer': 'https://lowendtalk.com/',
+          'DNT': '1',
+          'Connection': 'keep-alive',
+          'Upgrade-Insecure-Requests': '1',
+          ...options.headers
+        },
+        maxRetries: 3,
+        retryDelay: 3000,
+        delay: 2000
+      };
+
+      Utils.log('INFO', `Fetching LET page: ${url}`);
+      const content = await this.fetchWithRetry(url, letOptions);
+
+      if (!content || content.length < 1000) {
+        throw new Error('Page content too short, possibly blocked');
+      }
+
+      if (!content.includes('lowendtalk') && !content.includes('Vanilla')) {
+        Utils.log('WARN', 'Page does not appear to be a valid LET page', { url });
+      }
+
+      Utils.log('INFO', `Successfully fetched LET page: ${url}`, {
+        contentLength: content.length
+      });
+
+      return content;
+    }, `NetworkManager.fetchLETPage(${url})`);
+  }
+
+  // 内容提取函数
+  // 依次尝试常见的正文容器，返回第一个匹配的HTML片段
+  findPostBodies(htmlContent) {
+    const patterns = [
+      /<div[^>]*class="[^"]*Message[^"]*"[^>]*>([\s\S]*?)<\/div>/i,
+      /<div[^>]*class="[^"]*UserContent[^"]*"[^>]*>([\s\S]*?)<\/div>/i,
+      /<div[^>]*class="[^"]*Content[^"]*"[^>]*>([\s\S]*?)<\/div>/i,
+      /<article[^>]*>([\s\S]*?)<\/article>/i,
+      /<main[^>]*>([\s\S]*?)<\/main>/i
+    ];
+
+    return patterns
+      .map(pattern => htmlContent.match(pattern))
+      .filter(match => match && match[1])
+      .map(match => match[1]);
+  }
+
+  // 正文转为纯文本会丢掉链接，下单链接需单独从正文HTML中提取
+  extractPostLinks(htmlContent) {
+    const [body] = this.findPostBodies(htmlContent || '');
+    return Utils.extractLinks(body || '');
+  }
+
+  extractPostContent(htmlContent) {
+    try {
+      for (const body of this.findPostBodies(htmlContent)) {
+        // 去掉标签后只解码一次实体，避免 &amp;lt; 被解码成 <
+        const content = Utils.decodeEntities(body
+          .replace(/<script[\s\S]*?<\/script>/gi, '')
+          .replace(/<style[\s\S]*?<\/style>/gi, '')
+          .replace(/<[^>]+>/g, ' '))
+          .replace(/\s+/g, ' ')
+          .trim();
+
+        if (content.length > 50) {
+          return content.length > 1000 ? content.substring(0, 1000) + '...' : content;
+        }
+      }
+
+      const titleMatch = htmlContent.match(/<title[^>]*>([^<]+)<\/title>/i);
+      if (titleMatch) {
+        return `页面标题: ${Utils.decodeEntities(titleMatch[1]).trim()}`;
+      }
+
+      return null;
+    } catch (error) {
+      Utils.log('WARN', 'Failed to extract post content from HTML', { error: error.message });
+      return null;
+    }
+  }
+}
+
+// ==================== Vanilla论坛适配器 ====================
+
+// LET/LES基于Vanilla论坛，直接读取JSON接口获取完整首帖内容和帖子元数据。
+// 优先使用API v2，论坛关闭匿名API访问时退回到旧版的 .json 页面
+class VanillaForumAdapter {
+  constructor(networkManager) {
+    this.networkManager = networkManager;
+  }
+
+  // 分类代码 -> 分类信息，在Worker实例生命周期内缓存
+  static categoryCache = new Map();
+
+  // 数据源地址为分类页，如 https://lowendtalk.com/categories/offers
+  parseCategoryUrl(url) {
+    const parsed = new URL(url);
+    const match = parsed.pathname.match(/\/categories\/([^/.]+)/);
+    return {
+      origin: parsed.origin,
+      categoryCode: match ? match[1] : null
+    };
+  }
+
+  isDiscussionUrl(url) {
+    return /\/discussion\/\d+/.test(url || '');
+  }
+
+  async resolveCategory(origin, categoryCode) {
+    const cacheKey = `${origin}/${categoryCode}`;
+    if (VanillaForumAdapter.categoryCache.has(cacheKey)) {
+      return VanillaForumAdapter.categoryCache.get(cacheKey);
+    }
+
+    const data = await this.networkManager.fetchJSON(`${origin}/categories/${categoryCode}.json`);
+    if (!data.Category) {
+      throw new Error(`Vanilla category not found: ${categoryCode}`);
+    }
+
+    const category = { id: data.Category.CategoryID, name: data.Category.Name };
+    VanillaForumAdapter.categoryCache.set(cacheKey, category);
+    return category;
+  }
+
+  async fetchDiscussions(source, limit = 30) {
+    return Utils.withErrorHandling(async () => {
+      const { origin, categoryCode } = this.parseCategoryUrl(source.url);
+      const startTime = Date.now();
+      let posts;
+
+      try {
+        const category = categoryCode ? await this.resolveCategory(origin, categoryCode) : null;
+        const params = new URLSearchParams({ limit: String(limit), sort: '-dateInserted', expand: 'insertUser' });
+        if (category) params.set('categoryID', String(category.id));
+
+        const discussions = await this.networkManager.fetchJSON(`${origin}/api/v2/discussions?${params}`);
+        posts = discussions.map(discussion => this.normalizeDiscussion(discussion, origin, category?.name));
+      } catch (error) {
+        Utils.log('WARN', 'Vanilla API v2 unavailable, falling back to legacy JSON', {
+          source: source.name,
+          error: error.message
+        });
+
+        const path = categoryCode ? `/categories/${categoryCode}.json` : '/discussions.json';
+        const data = await this.networkManager.fetchJSON(`${origin}${path}`);
+        posts = (data.Discussions || []).map(discussion =>
+          this.normalizeLegacyDiscussion(discussion, origin, data.Category?.Name)
+        );
+      }
+
+      return {
+        posts: posts.filter(post => post.title && post.link),
+        feed: {
+          notModified: false,
+          etag: null,
+          lastModified: null,
+          latencyMs: Date.now() - startTime
+        }
+      };
+    }, `VanillaForumAdapter.fetchDiscussions(${source.name})`);
+  }
+
+  // 按帖子链接获取单个讨论的完整首帖
+  async fetchDiscussion(url) {
+    return Utils.withErrorHandling(async () => {
+      const origin = new URL(url).origin;
+      const discussionId = url.match(/\/discussion\/(\d+)/)[1];
+
+      try {
+        const discussion = await this.networkManager.fetchJSON(`${origin}/api/v2/discussions/${discussionId}?expand=insertUser`);
+        return this.normalizeDiscussion(discussion, origin, discussion.category?.name);
+      } catch (error) {
+        const data = await this.networkManager.fetchJSON(`${origin}/discussions/${discussionId}.json`);
+        if (!data.Discussion) {
+          throw new Error(`Vanilla discussion not found: ${discussionId}`);
+        }
+        return this.normalizeLegacyDiscussion(data.Discussion, origin, data.Discussion.Category);
+      }
+    }, `VanillaForumAdapter.fetchDiscussion(${url})`);
+  }
+
+  // 获取第 offset 条（从0开始）之后的回复，最多读取 FOLLOW_MAX_COMMENT_PAGES 页
+  // API v2 每页100条，旧版 .json 页面每页30条，按各自的分页计算起始页
+  async fetchCommentsSince(url, offset = 0) {
+    return Utils.withErrorHandling(async () => {
+      const origin = new URL(url).origin;
+      const discussionId = url.match(/\/discussion\/(\d+)/)[1];
+
+      try {
+        return await this.fetchCommentPages(offset, 100, async (page, limit) => {
+          const params = new URLSearchParams({ discussionID: discussionId, page: String(page), limit: String(limit), expand: 'insertUser' });
+          const comments = await this.networkManager.fetchJSON(`${origin}/api/v2/comments?${params}`);
+          return comments.map(comment => this.normalizeComment(comment, origin));
+        });
+      } catch (error) {
+        Utils.log('WARN', 'Vanilla comments API unavailable, falling back to legacy JSON', { url, error: error.message });
+        return await this.fetchCommentPages(offset, 30, async (page) => {
+          const data = await this.networkManager.fetchJSON(`${origin}/discussion/${discussionId}/p${page}.json`);
+          return (data.Comments || []).map(comment => this.normalizeLegacyComment(comment, origin));
+        });
+      }
+    }, `VanillaForumAdapter.fetchCommentsSince(${url}, ${offset})`);
+  }
+
+  async fetchCommentPages(offset, pageSize, fetchPage) {
+    const comments = [];
+    let page = Math.floor(offset / pageSize) + 1;
+
+    for (let i = 0; i < FOLLOW_MAX_COMMENT_PAGES; i++, page++) {
+      const pageComments = await fetchPage(page, pageSize);
+      comments.push(...pageComments);
+      if (pageComments.length < pageSize) break;
+    }
+    return comments;
+  }
+
+  normalizeComment(comment, origin) {
+    return {
+      id: comment.commentID,
+      body: Utils.htmlToText(comment.body),
+      author: comment.insertUser?.name || '',
+      authorId: comment.insertUserID !== undefined ? String(comment.insertUserID) : '',
+      publishTime: this.parseDate(comment.dateInserted),
+      url: comment.url || `${origin}/discussion/comment/${comment.commentID}/#Comment_${comment.commentID}`
+    };
+  }
+
+  normalizeLegacyComment(comment, origin) {
+    return {
+      id: parseInt(comment.CommentID),
+      body: Utils.htmlToText(comment.Body),
+      author: comment.InsertName || '',
+      authorId: comment.InsertUserID !== undefined ? String(comment.InsertUserID) : '',
+      publishTime: this.parseDate(comment.DateInserted),
+      url: `${origin}/discussion/comment/${comment.CommentID}/#Comment_${comment.CommentID}`
+    };
+  }
+
+  // API v2 格式（camelCase）
+  normalizeDiscussion(discussion, origin, categoryName) {
+    return {
+      title: Utils.cleanText(discussion.name),
+      link: discussion.url || `${origin}/discussion/${discussion.discussionID}`,
+      content: Utils.htmlToText(discussion.body),
+      links: Utils.extractLinks(discussion.body),
+      publishTime: this.parseDate(discussion.dateInserted),
+      author: discussion.insertUser?.name || '',
+      externalId: String(discussion.discussionID),
+      category: categoryName || '',
+      authorId: discussion.insertUserID !== undefined ? String(discussion.insertUserID) : '',
+      commentCount: discussion.countComments || 0,
+      closed: discussion.closed ? 1 : 0,
+      sink: discussion.sink ? 1 : 0
+    };
+  }
+
+  // 旧版 .json 页面格式（PascalCase）
+  normalizeLegacyDiscussion(discussion, origin, categoryName) {
+    return {
+      title: Utils.cleanText(discussion.Name),
+      link: discussion.Url || `${origin}/discussion/${discussion.DiscussionID}`,
+      content: Utils.htmlToText(discussion.Body),
+      links: Utils.extractLinks(discussion.Body),
+      publishTime: this.parseDate(discussion.DateInserted),
+      author: discussion.InsertName || '',
+      externalId: String(discussion.DiscussionID),
+      category: categoryName || discussion.Category || '',
+      authorId: discussion.InsertUserID !== undefined ? String(discussion.InsertUserID) : '',
+      commentCount: parseInt(discussion.CountComments) || 0,
+      closed: parseInt(discussion.Closed) ? 1 : 0,
+      sink: parseInt(discussion.Sink) ? 1 : 0
+    };
+  }
+
+  // 旧版接口返回的时间为不带时区的UTC时间（2025-01-01 10:00:00）
+  parseDate(value) {
+    if (!value) return Utils.getCurrentTimestamp();
+    const normalized = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? value.replace(' ', 'T') + 'Z' : value;
+    const date = new Date(normalized);
+    return isNaN(date.getTime()) ? Utils.getCurrentTimestamp() : date.toISOString();
+  }
+}
+
+// ==================== XML解析器 ====================
+
+// 轻量XML解析器：Workers环境没有DOMParser，这里只实现解析订阅源所需的子集
+// 元素节点结构：{ name, attributes, children }，children中的字符串为文本节点
+class XMLParser {
+  static parse(xml) {
+    const document = { name: '#document', attributes: {}, children: [] };
+    const stack = [document];
+    const length = xml.length;
+    let pos = 0;
+
+    const current = () => stack[stack.length - 1];
+
+    while (pos < length) {
+      const lt = xml.indexOf('<', pos);
+      if (lt === -1) {
+        current().children.push(Utils.decodeEntities(xml.slice(pos)));
+        break;
+      }
+      if (lt > pos) {
+        current().children.push(Utils.decodeEntities(xml.slice(pos, lt)));
+      }
+
+      // 注释
+      if (xml.startsWith('<!--', lt)) {
+        const end = xml.indexOf('-->', lt + 4);
+        pos = end === -1 ? length : end + 3;
+        continue;
+      }
+
+      // CDATA原样保留，相邻的多个CDATA段会自然拼接
+      if (xml.startsWith('<![CDATA[', lt)) {
+        const end = xml.indexOf(']]>', lt + 9);
+        current().children.push(xml.slice(lt + 9, end === -1 ? length : end));
+        pos = end === -1 ? length : end + 3;
+        continue;
+      }
+
+      // XML声明和处理指令
+      if (xml.startsWith('<?', lt)) {
+        const end = xml.indexOf('?>', lt + 2);
+        pos = end === -1 ? length : end + 2;
+        continue;
+      }
+
+      // DOCTYPE，可能包含 [...] 内部子集
+      if (xml.startsWith('<!', lt)) {
+        let depth = 0;
+        let end = lt + 2;
+        while (end < length) {
+          const char = xml[end];
+          if (char === '[') depth++;
+          else if (char === ']') depth--;
+          else if (char === '>' && depth <= 0) break;
+          end++;
+        }
+        pos = end + 1;
+        continue;
+      }
+
+      // 结束标签：容错处理未闭合的元素
+      if (xml[lt + 1] === '/') {
+        const end = xml.indexOf('>', lt + 2);
+        const name = xml.slice(lt + 2, end === -1 ? length : end).trim();
+        for (let i = stack.length - 1; i > 0; i--) {
+          if (stack[i].name === name) {
+            stack.length = i;
+            break;
+          }
+        }
+        pos = end === -1 ? length : end + 1;
+        continue;
+      }
+
+      // 开始标签，属性值中可能出现 '>'
+      let end = lt + 1;
+      let quote = null;
+      while (end < length) {
+        const char = xml[end];
+        if (quote) {
+          if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+          quote = char;
+        } else if (char === '>') {
+          break;
+        }
+        end++;
+      }
+
+      let tagContent = xml.slice(lt + 1, end);
+      const selfClosing = tagContent.endsWith('/');
+      if (selfClosing) tagContent = tagContent.slice(0, -1);
+
+      const nameMatch = tagContent.match(/^\s*([^\s/>]+)/);
+      if (!nameMatch) {
+        current().children.push('<');
+        pos = lt + 1;
+        continue;
+      }
+
+      const element = {
+        name: nameMatch[1],
+        attributes: XMLParser.parseAttributes(tagContent.slice(nameMatch[0].length)),
+        children: []
+      };
+      current().children.push(element);
+      if (!selfClosing) stack.push(element);
+      pos = end + 1;
+    }
+
+    return document;
+  }
+
+  static parseAttributes(source) {
+    const attributes = {};
+    const attrRegex = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = attrRegex.exec(source)) !== null) {
+      attributes[match[1]] = Utils.decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attributes;
+  }
+
+  static elements(node) {
+    return node ? node.children.filter(child => typeof child === 'object') : [];
+  }
+
+  // 按限定名（如 content:encoded）查找子元素，不区分大小写
+  static child(node, ...names) {
+    const wanted = names.map(name => name.toLowerCase());
+    for (const name of wanted) {
+      const found = XMLParser.elements(node).find(element => element.name.toLowerCase() === name);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  static childrenNamed(node, name) {
+    const wanted = name.toLowerCase();
+    return XMLParser.elements(node).filter(element => element.name.toLowerCase() === wanted);
+  }
+
+  static text(node) {
+    if (!node) return '';
+    return node.children.map(child => typeof child === 'string' ? child : XMLParser.text(child)).join('');
+  }
+
+  static localName(name) {
+    const index = name.indexOf(':');
+    return index === -1 ? name : name.slice(index + 1);
+  }
+}
+
+// ==================== RSS解析器 ====================
+
+class RSSParser {
+  constructor(networkManager, sourceManager, configManager, vanillaAdapter) {
+    this.networkManager = networkManager;
+    this.sourceManager = sourceManager;
+    this.configManager = configManager;
+    this.vanillaAdapter = vanillaAdapter;
+  }
+
+  // 支持RSS 2.0、RSS 1.0/RDF和Atom，统一输出 { title, link, content, publishTime, author }
+  async parseRSSContent(rssContent) {
+    return Utils.withErrorHandling(async () => {
+      const document = XMLParser.parse(rssContent);
+      const root = XMLParser.elements(document)[0];
+      if (!root) {
+        throw new Error('Invalid feed: no root element');
+      }
+
+      const rootName = XMLParser.localName(root.name).toLowerCase();
+      let items;
+      if (rootName === 'feed') {
+        // Atom可能带命名空间前缀，如 <atom:feed>
+        const prefix = root.name.includes(':') ? root.name.split(':')[0] + ':' : '';
+        items = XMLParser.childrenNamed(root, `${prefix}entry`).map(entry => this.parseAtomEntry(entry, prefix));
+      } else if (rootName === 'rdf') {
+        items = XMLParser.elements(root)
+          .filter(element => XMLParser.localName(element.name).toLowerCase() === 'item')
+          .map(item => this.parseRSSItem(item));
+      } else if (rootName === 'rss') {
+        const channel = XMLParser.child(root, 'channel');
+        items = XMLParser.childrenNamed(channel, 'item').map(item => this.parseRSSItem(item));
+      } else {
+        throw new Error(`Unsupported feed format: <${root.name}>`);
+      }
+
+      return items.filter(item => item.title && item.link);
+    }, 'RSSParser.parseRSSContent');
+  }
+
+  parseRSSItem(item) {
+    const textOf = (...names) => XMLParser.text(XMLParser.child(item, ...names));
+
+    let link = textOf('link').trim();
+    if (!link) {
+      // 没有<link>时退回到永久链接形式的guid或RDF的rdf:about
+      const guid = XMLParser.child(item, 'guid');
+      if (guid && guid.attributes.isPermaLink !== 'false') {
+        link = XMLParser.text(guid).trim();
+      }
+      link = link || item.attributes['rdf:about'] || '';
+    }
+
+    return {
+      title: Utils.cleanText(textOf('title')),
+      link: link,
+      content: Utils.cleanText(textOf('content:encoded') || textOf('description')),
+      links: Utils.extractLinks(textOf('content:encoded') || textOf('description')),
+      publishTime: this.parseFeedDate(textOf('pubDate', 'dc:date')),
+      author: Utils.cleanText(textOf('dc:creator', 'author'))
+    };
+  }
+
+  parseAtomEntry(entry, prefix = '') {
+    const textOf = name => XMLParser.text(XMLParser.child(entry, `${prefix}${name}`));
+
+    const links = XMLParser.childrenNamed(entry, `${prefix}link`);
+    const link = links.find(element => !element.attributes.rel || element.attributes.rel === 'alternate') || links[0];
+
+    const author = XMLParser.child(entry, `${prefix}author`);
+
+    return {
+      title: Utils.cleanText(textOf('title')),
+      link: link ? (link.attributes.href || XMLParser.text(link)).trim() : '',
+      content: Utils.cleanText(textOf('content') || textOf('summary')),
+      links: Utils.extractLinks(textOf('content') || textOf('summary')),
+      publishTime: this.parseFeedDate(textOf('published') || textOf('updated')),
+      author: Utils.cleanText(XMLParser.text(XMLParser.child(author, `${prefix}name`)))
+    };
+  }
+
+  parseFeedDate(dateString) {
+    const date = new Date((dateString || '').trim());
+    return isNaN(date.getTime()) ? Utils.getCurrentTimestamp() : date.toISOString();
+  }
+
+  // options.force 为true时忽略轮询计划，同步所有启用的数据源（手动同步）
+  async syncAllRSS(env, dbManager, options = {}) {
+    return Utils.withErrorHandling(async () => {
+      const allPosts = [];
+      const fetchedSources = [];
+      const sources = options.force
+        ? await this.sourceManager.getEnabledSources()
+        : await this.sourceManager.getDueSources();
+
+      if (sources.length === 0) {
+        Utils.log('INFO', 'No sources due for polling');
+        return;
+      }
+      const syncConfig = await this.configManager.getSyncConfig();
+
+      // 按主机分组：同一主机的数据源串行抓取并保持礼貌间隔，不同主机之间并发
+      const hostGroups = new Map();
+      for (const source of sources) {
+        let host;
+        try {
+          host = new URL(source.url).host;
+        } catch (error) {
+          host = source.url;
+        }
+        if (!hostGroups.has(host)) hostGroups.set(host, []);
+        hostGroups.get(host).push(source);
+      }
+
+      await Utils.runWithConcurrency([...hostGroups.values()], syncConfig.concurrency, async (group) => {
+        for (let i = 0; i < group.length; i++) {
+          if (i > 0) {
+            await Utils.delay(syncConfig.hostDelayMs);
+          }
+
+          const result = await this.syncSource(group[i]);
+          if (result) {
+            allPosts.push(...result.posts);
+            fetchedSources.push({ source: group[i], feed: result.feed });
+          }
+        }
+      });
+
+      // 批量插入所有帖子（过滤7天内的帖子）
+      if (allPosts.length > 0) {
+        const sevenDaysAgo = new Date();
+        sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+
+        const recentPosts = allPosts.filter(post => {
+          if (!post.publishTime) return true;
+
+          try {
+            const publishDate = new Date(post.publishTime);
+            const isRecent = publishDate >= sevenDaysAgo;
+
+            if (!isRecent) {
+              Utils.log('DEBUG', `Filtered out old post: ${post.title}`, {
+                publishTime: post.publishTime,
+                daysOld: Math.floor((new Date() - publishDate) / (1000 * 60 * 60 * 24))
+              });
+            }
+
+            return isRecent;
+          } catch (error) {
+            Utils.log('WARN', `Invalid publish time format: ${post.publishTime}`, { title: post.title });
+            return true;
+          }
+        });
+
+        if (recentPosts.length > 0) {
+          const records = recentPosts.map(post => ({
+            forum: post.forum,
+            title: post.title,
+            author: post.author || '',
+            publish_time: post.publishTime || '',
+            content: post.content || '',
+            link: post.link,
+            links: JSON.stringify(post.links || []),
+            external_id: post.externalId || null,
+            category: post.category || null,
+            author_id: post.authorId || null,
+            comment_count: post.commentCount ?? null,
+            closed: post.closed || 0,
+            sink: post.sink || 0,
+            created_at: Utils.getCurrentTimestamp()
+          }));
+
+          await dbManager.batchInsert('posts', records, 'IGNORE');
+        }
+
+        Utils.log('INFO', `RSS sync completed, processed ${recentPosts.length} recent posts from ${allPosts.length} total posts`);
+      }
+
+      // 帖子入库成功后再保存ETag/Last-Modified，避免入库失败后因304丢失新帖
+      for (const { source, feed } of fetchedSources) {
+        await this.sourceManager.recordFetchSuccess(source.id, feed);
+      }
+    }, 'RSSParser.syncAllRSS');
+  }
+
+  // 抓取并解析单个数据源，失败时记录健康状态并返回null，不影响其他数据源
+  async syncSource(source) {
+    const forumName = source.name;
+    const rssUrl = source.url;
+    try {
+      Utils.log('INFO', `Syncing RSS for ${forumName}`, { url: rssUrl, type: source.type });
+
+      // 无论成功失败都推进下次轮询时间，失败的数据源不会在每个cron周期反复重试
+      await this.sourceManager.scheduleNextPoll(source);
+
+      if (source.type === 'vanilla') {
+        const result = await this.vanillaAdapter.fetchDiscussions(source);
+        Utils.log('INFO', `Fetched ${result.posts.length} discussions from ${forumName} via Vanilla API`);
+        return {
+          posts: result.posts.map(post => ({ ...post, forum: forumName })),
+          feed: result.feed
+        };
+      }
+
+      const feed = await this.networkManager.fetchRSS(rssUrl, {
+        etag: source.etag,
+        lastModified: source.last_modified
+      });
+
+      if (feed.notModified) {
+        Utils.log('INFO', `RSS for ${forumName} not modified, skipping`);
+        return { posts: [], feed };
+      }
+
+      const posts = await this.parseRSSContent(feed.content);
+      Utils.log('INFO', `Fetched ${posts.length} posts from ${forumName}`);
+
+      // 为每个帖子添加论坛标识
+      return {
+        posts: posts.map(post => ({ ...post, forum: forumName })),
+        feed
+      };
+    } catch (error) {
+      Utils.log('ERROR', `Failed to sync RSS for ${forumName}`, {
+        url: rssUrl,
+        error: error.message
+      });
+      await this.sourceManager.recordFetchFailure(source.id, error.message);
+      return null;
+    }
+  }
+
+  // 测试数据源是否可用，返回条目数量和前几条标题
+  async testFeed(url, type = 'rss') {
+    return Utils.withErrorHandling(async () => {
+      if (type === 'vanilla') {
+        const result = await this.vanillaAdapter.fetchDiscussions({ name: 'test', url });
+        return {
+          latencyMs: result.feed.latencyMs,
+          itemCount: result.posts.length,
+          sampleTitles: result.posts.slice(0, 3).map(post => post.title)
+        };
+      }
+
+      const feed = await this.networkManager.fetchRSS(url);
+      const posts = await this.parseRSSContent(feed.content);
+
+      return {
+        latencyMs: feed.latencyMs,
+        itemCount: posts.length,
+        sampleTitles: posts.slice(0, 3).map(post => post.title)
+      };
+    }, `RSSParser.testFeed(${url})`);
+  }
+}
+
+// ==================== 推送目标管理器 ====================
+
+// 每条总结在每个推送目标最多尝试发送的次数，全部目标发送成功或用完次数后总结记为已推送
+const TELEGRAM_MAX_DELIVERY_ATTEMPTS = 3;
+
+// 推送目标：chat_id 为频道或群组，thread_id 为论坛群组的话题ID；
+// forums（数据源名称或论坛分组）和 post_types 为空时不限
+class TelegramDestinationManager {
+  constructor(env) {
+    this.env = env;
+    this.db = env.DB;
+  }
+
+  async listDestinations() {
+    const result = await this.db.prepare(`
+      SELECT * FROM telegram_destinations ORDER BY id ASC
+    `).all();
+    return (result.results || []).map(row => this.deserializeDestination(row));
+  }
+
+  async getActiveDestinations() {
+    const destinations = await this.listDestinations();
+    return destinations.filter(destination => destination.enabled);
+  }
+
+  async getDestination(id) {
+    const row = await this.db.prepare(`
+      SELECT * FROM telegram_destinations WHERE id = ?
+    `).bind(id).first();
+    return row ? this.deserializeDestination(row) : null;
+  }
+
+  deserializeDestination(row) {
+    const parseList = value => {
+      try {
+        const list = JSON.parse(value || '[]');
+        return Array.isArray(list) ? list : [];
+      } catch (error) {
+        return [];
+      }
+    };
+    return { ...row, enabled: !!row.enabled, forums: parseList(row.forums), post_types: parseList(row.post_types) };
+  }
+
+  validateDestination(data, partial = false) {
+    if (!partial || data.name !== undefined) {
+      if (!data.name || data.name.length > 50) {
+        throw new Error('目标名称不能为空且不超过50个字符');
+      }
+    }
+    if (!partial || data.chat_id !== undefined) {
+      if (!/^(?:@\w{4,}|-?\d+)$/.test(data.chat_id || '')) {
+        throw new Error('Chat ID格式无效，应为@频道用户名或数字ID');
+      }
+    }
+    if (data.thread_id !== undefined && data.thread_id !== null && !(Number.isInteger(data.thread_id) && data.thread_id > 0)) {
+      throw new Error('话题ID必须为正整数');
+    }
+    for (const postType of data.post_types || []) {
+      if (!POST_TYPES.includes(postType)) {
+        throw new Error(`不支持的帖子类型: ${postType}`);
+      }
+    }
+  }
+
+  async createDestination(data) {
+    this.validateDestination(data);
+
+    return Utils.withErrorHandling(async () => {
+      const now = Utils.getCurrentTimestamp();
+      const result = await this.db.prepare(`
+        INSERT INTO telegram_destinations (name, chat_id, thread_id, forums, post_types, enabled, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        data.name,
+        data.chat_id,
+        data.thread_id ?? null,
+        JSON.stringify(data.forums || []),
+        JSON.stringify(data.post_types || []),
+        data.enabled === false ? 0 : 1,
+        now,
+        now
+      ).run();
+
+      Utils.log('INFO', `Telegram destination created: ${data.name}`, { chatId: data.chat_id });
+      return result.meta?.last_row_id;
+    }, 'TelegramDestinationManager.createDestination');
+  }
+
+  async updateDestination(id, data) {
+    this.validateDestination(data, true);
+
+    return Utils.withErrorHandling(async () => {
+      const fields = ['name', 'chat_id', 'thread_id', 'forums', 'post_types', 'enabled']
+        .filter(field => data[field] !== undefined);
+      if (fields.length === 0) return false;
+
+      const values = fields.map(field => {
+        if (field === 'enabled') return data.enabled ? 1 : 0;
+        if (field === 'forums' || field === 'post_types') return JSON.stringify(data[field]);
+        return data[field];
+      });
+      const result = await this.db.prepare(`
+        UPDATE telegram_destinations SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = ?
+        WHERE id = ?
+      `).bind(...values, Utils.getCurrentTimestamp(), id).run();
+
+      Utils.log('INFO', `Telegram destination ${id} updated`, { fields });
+      return result.meta?.changes > 0;
+    }, `TelegramDestinationManager.updateDestination(${id})`);
+  }
+
+  // 同时删除投递记录，之后的提醒和讨论更新不再发到该目标
+  async deleteDestination(id) {
+    return Utils.withErrorHandling(async () => {
+      const results = await this.db.batch([
+        this.db.prepare(`
+          DELETE FROM telegram_destinations WHERE id = ?
+        `).bind(id),
+        this.db.prepare(`
+          DELETE FROM telegram_deliveries WHERE destination_id = ?
+        `).bind(id)
+      ]);
+
+      Utils.log('INFO', `Telegram destination ${id} deleted`);
+      return results[0].meta?.changes > 0;
+    }, `TelegramDestinationManager.deleteDestination(${id})`);
+  }
+
+  matches(destination, summary) {
+    if (destination.forums.length > 0) {
+      const forum = summary.forum || '';
+      if (!destination.forums.some(name => forum === name || forum.startsWith(`${name}_`))) return false;
+    }
+
+    if (destination.post_types.length > 0 && !destination.post_types.includes(summary.post_type || '其他')) {
+      return false;
+    }
+
+    return true;
+  }
+
+  // 按 destination_id 索引的投递记录
+  async getDeliveries(summaryId) {
+    const result = await this.db.prepare(`
+      SELECT * FROM telegram_deliveries WHERE summary_id = ?
+    `).bind(summaryId).all();
+    return Object.fromEntries((result.results || []).map(delivery => [delivery.destination_id, delivery]));
+  }
+
+  // 帖子最新总结在各个启用目标中已发送的消息，用于编辑消息、提醒和讨论更新
+  async getSentDeliveries(postId) {
+    const result = await this.db.prepare(`
+      SELECT d.*, t.name AS destination_name
+      FROM telegram_deliveries d
+      JOIN telegram_destinations t ON d.destination_id = t.id
+      WHERE d.summary_id = (SELECT id FROM summaries WHERE post_id = ? ORDER BY created_at DESC LIMIT 1)
+        AND d.status = 'sent' AND d.message_id IS NOT NULL AND t.enabled = 1
+      ORDER BY d.destination_id ASC
+    `).bind(postId).all();
+    return result.results || [];
+  }
+
+  async recordDelivery(summaryId, destination, messageId, error = null) {
+    const now = Utils.getCurrentTimestamp();
+    await this.db.batch([
+      this.db.prepare(`
+        INSERT INTO telegram_deliveries (summary_id, destination_id, chat_id, thread_id, message_id, status, attempts, last_error, sent_at, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, 1, ?, ?, ?)
+        ON CONFLICT(summary_id, destination_id) DO UPDATE SET
+          chat_id = excluded.chat_id,
+          thread_id = excluded.thread_id,
+          message_id = excluded.message_id,
+          status = excluded.status,
+          attempts = attempts + 1,
+          last_error = excluded.last_error,
+          sent_at = excluded.sent_at
+      `).bind(
+        summaryId,
+        destination.id,
+        destination.chat_id,
+        destination.thread_id ?? null,
+        messageId,
+        messageId ? 'sent' : 'failed',
+        error,
+        messageId ? now : null,
+        now
+      ),
+      this.db.prepare(`
+        UPDATE telegram_destinations SET last_error = ?, last_error_at = ? WHERE id = ?
+      `).bind(messageId ? null : error, messageId ? null : now, destination.id)
+    ]);
+  }
+
+  async clearDeliveries(summaryId) {
+    await this.db.prepare(`
+      DELETE FROM telegram_deliveries WHERE summary_id = ?
+    `).bind(summaryId).run();
+  }
+
+  // 各目标的投递统计，按 destination_id 索引
+  async getDeliveryStats() {
+    const result = await this.db.prepare(`
+      SELECT destination_id,
+             SUM(CASE WHEN status = 'sent' THEN 1 ELSE 0 END) AS sent,
+             SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) AS failed,
+             MAX(sent_at) AS last_sent_at
+      FROM telegram_deliveries
+      GROUP BY destination_id
+    `).all();
+    return Object.fromEntries((result.results || []).map(row => [row.destination_id, row]));
+  }
+}
+
+// ==================== Telegram管理器 ====================
+
+class TelegramManager {
+  constructor(configManager, sourceManager, ruleEngine, duplicateDetector, destinationManager) {
+    this.configManager = configManager;
+    this.sourceManager = sourceManager;
+    this.ruleEngine = ruleEngine;
+    this.duplicateDetector = duplicateDetector;
+    this.destinationManager = destinationManager;
+    this.forumEmoji = {};
+    this.lastError = null;
+  }
+
+  // 从sources表加载论坛emoji，发送前调用
+  async loadForumEmoji() {
+    try {
+      this.forumEmoji = await this.sourceManager.getEmojiMap();
+    } catch (error) {
+      Utils.log('WARN', 'Failed to load forum emoji from sources', { error: error.message });
+    }
+  }
+
+  // options.extraTags 为规则追加的话题标签，options.alsoOn 为同一cluster中的其他帖子
+  formatTelegramMessage(summary, options = {}) {
+    const emoji = this.forumEmoji[summary.forum] || '📢';
+    const postType = summary.post_type || '其他';
+
+    // 生成标签，基于论坛来源和帖子类型
+    const tag = [this.generateHashTag(summary.forum, postType), ...(options.extraTags || []).map(extra => `#${extra}`)].join(' ');
+
+    // HTML转义函数
+    const escapeHtml = (text) => {
+      if (!text) return '';
+      return text.replace(/&/g, '&amp;')
+                 .replace(/</g, '&lt;')
+                 .replace(/>/g, '&gt;');
+    };
+
+    const couponCodes = this.parseJSONList(summary.coupon_codes)
+      .map(code => `<code>${escapeHtml(code)}</code>`)
+      .join(' ');
+
+    const alsoOn = (options.alsoOn || [])
+      .map(post => `<a href="${post.link}">${escapeHtml(post.forum)}</a>`)
+      .join('、');
+
+    return `${emoji} ${summary.forum} ${postType}
+📝 标题：${escapeHtml(summary.title)}
+👤 作者：${escapeHtml(summary.author || '未知')}
+⏰ 发布时间：${Utils.formatDateTime(summary.publish_time)}
+📋 总结：${escapeHtml(summary.summary)}${summary.monthly_usd !== null && summary.monthly_usd !== undefined ? `
+💰 价格：${PriceNormalizer.formatMonthlyUsd(summary.monthly_usd)}（${escapeHtml(summary.price_text || '')}）` : ''}${summary.expires_at ? `
+⏳ 截止：${Utils.formatDateTime(summary.expires_at)}` : ''}${summary.stock_limit ? `
+📦 限量：${summary.stock_limit}` : ''}${couponCodes ? `
+🎟️ 优惠码：${couponCodes}` : ''}${alsoOn ? `
+🔁 同时发布于：${alsoOn}` : ''}
+🔗 <a href="${summary.link}">查看原文</a>
+
+${tag}`;
+  }
+
+  parseJSONList(value) {
+    try {
+      const list = JSON.parse(value || '[]');
+      return Array.isArray(list) ? list : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // 下单链接生成内联按钮，每行两个，最多6个
+  // 任意一个按钮地址无效都会导致Telegram拒绝整条消息，只保留能解析的http(s)地址
+  buildOrderButtons(summary) {
+    const links = this.parseJSONList(summary.order_links).filter(url => this.isValidButtonUrl(url)).slice(0, 6);
+    if (links.length === 0) return null;
+
+    const buttons = links.map((url, index) => ({
+      text: links.length === 1 ? '🛒 立即下单' : `🛒 下单 ${index + 1}`,
+      url
+    }));
+
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 2) {
+      rows.push(buttons.slice(i, i + 2));
+    }
+    return { inline_keyboard: rows };
+  }
+
+  isValidButtonUrl(url) {
+    try {
+      return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  generateHashTag(forum, postType) {
+    // 根据论坛来源生成对应的标签，保持完整的RSS名称
+    let tags = [];
+
+    if (forum) {
+      tags.push(`#${forum}`);
+    } else {
+      tags.push('#Unknown');
+    }
+
+    // 根据帖子类型添加标签
+    if (postType) {
+      tags.push(`#${postType}`);
+    }
+
+    return tags.join(' ');
+  }
+
+  // 调用Telegram Bot API，成功时返回result字段，失败返回null并把错误描述保存在lastError
+  async callAPI(config, method, payload) {
+    const url = `https://api.telegram.org/bot${config.botToken}/${method}`;
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.ok) {
+      Utils.log('ERROR', 'Telegram API error', {
+        method,
+        status: response.status,
+        data: data
+      });
+      this.lastError = data.description || `HTTP ${response.status}`;
+      return null;
+    }
+
+    this.lastError = null;
+    return data.result;
+  }
+
+  // 发送成功时返回Telegram消息对象（包含message_id），失败返回false
+  // replyMarkup 为可选的内联键盘，replyToMessageId 为要回复的消息（原消息已删除时仍正常发送）
+  // config.threadId 为论坛群组的话题ID
+  async sendMessage(config, message, replyMarkup = null, replyToMessageId = null) {
+    return Utils.withErrorHandling(async () => {
+      const result = await this.callAPI(config, 'sendMessage', {
+        chat_id: config.channelId,
+        ...(config.threadId ? { message_thread_id: config.threadId } : {}),
+        text: message,
+        parse_mode: 'HTML',
+        disable_web_page_preview: true,
+        ...(replyMarkup ? { reply_markup: replyMarkup } : {}),
+        ...(replyToMessageId ? { reply_parameters: { message_id: replyToMessageId, allow_sending_without_reply: true } } : {})
+      });
+
+      return result || false;
+    }, 'TelegramManager.sendMessage');
+  }
+
+  // 编辑时不带reply_markup会清除原有按钮，需要重新传入
+  async editMessage(config, messageId, message, replyMarkup = null) {
+    return Utils.withErrorHandling(async () => {
+      const result = await this.callAPI(config, 'editMessageText', {
+        chat_id: config.channelId,
+        message_id: messageId,
+        text: message,
+        parse_mode: 'HTML',
+        disable_web_page_preview: true,
+        ...(replyMarkup ? { reply_markup: replyMarkup } : {})
+      });
+
+      return !!result;
+    }, 'TelegramManager.editMessage');
+  }
+
+  async pinMessage(config, messageId) {
+    return Utils.withErrorHandling(async () => {
+      const result = await this.callAPI(config, 'pinChatMessage', {
+        chat_id: config.channelId,
+        message_id: messageId,
+        disable_notification: true
+      });
+
+      return !!result;
+    }, 'TelegramManager.pinMessage');
+  }
+
+  async testConnection(config) {
+    return Utils.withErrorHandling(async () => {
+      const testMessage = `🤖 TripleLE监控系统测试消息
+
+⏰ 测试时间：${Utils.formatDateTime(Utils.getCurrentTimestamp())}
+
+✅ 如果您看到这条消息，说明Telegram配置正确！`;
+
+      return !!(await this.sendMessage(config, testMessage));
+    }, 'TelegramManager.testConnection');
+  }
+
+  // 推送目标或投递记录对应的发送配置
+  destinationConfig(tgConfig, target) {
+    return { ...tgConfig, channelId: target.chat_id, threadId: target.thread_id };
+  }
+
+  // 发送到所有启用的推送目标，用于预算告警等系统通知，返回发送成功的数量
+  async broadcast(message) {
+    const tgConfig = await this.configManager.getTelegramConfig();
+    if (!tgConfig.botToken) return 0;
+
+    let sentCount = 0;
+    for (const destination of await this.destinationManager.getActiveDestinations()) {
+      if (await this.sendMessage(this.destinationConfig(tgConfig, destination), message)) {
+        sentCount++;
+      }
+    }
+    return sentCount;
+  }
+
+  // 每条总结发送到所有匹配的推送目标，按目标记录投递结果；
+  // 失败的目标在之后的执行中重试，全部目标成功或用完重试次数后总结记为已推送
+  async sendPendingMessages(env, dbManager) {
+    return Utils.withErrorHandling(async () => {
+      // 获取未发送的帖子总结
+      const unsentSummaries = await this.getUnsentSummaries(env.DB, 3);
+
+      if (unsentSummaries.length === 0) {
+        Utils.log('INFO', 'No unsent summaries found');
+        return;
+      }
+
+      const tgConfig = await this.configManager.getTelegramConfig();
+      const destinations = await this.destinationManager.getActiveDestinations();
+
+      if (!tgConfig.botToken || destinations.length === 0) {
+        Utils.log('WARN', 'Telegram configuration incomplete');
+        return;
+      }
+
+      await this.loadForumEmoji();
+      const rules = await this.ruleEngine.getActiveRules();
+
+      // 发送帖子总结
+      for (const summary of unsentSummaries) {
+        try {
+          const decision = this.ruleEngine.evaluate(summary, rules);
+          if (decision.matchedRules.length > 0) {
+            Utils.log('INFO', `Summary ${summary.id} matched rules`, decision);
+          }
+
+          if (decision.suppress) {
+            await this.markSummaryAsSuppressed(env.DB, summary.id);
+            Utils.log('INFO', `Post summary ${summary.id} suppressed by rules`);
+            continue;
+          }
+
+          const targets = destinations.filter(destination => this.destinationManager.matches(destination, summary));
+          if (targets.length === 0) {
+            await this.markSummaryAsUnrouted(env.DB, summary.id);
+            Utils.log('INFO', `Post summary ${summary.id} matched no Telegram destination`);
+            continue;
+          }
+
+          Utils.log('INFO', `Sending post summary ${summary.id} to ${targets.length} Telegram destinations`);
+
+          const alsoOn = summary.cluster_id ? await this.duplicateDetector.getClusterMembers(summary.cluster_id, summary.post_id) : [];
+          const message = this.formatTelegramMessage(summary, { extraTags: decision.tags, alsoOn });
+          const orderButtons = this.buildOrderButtons(summary);
+          const deliveries = await this.destinationManager.getDeliveries(summary.id);
+
+          let sentCount = 0;
+          let pendingCount = 0;
+          for (const destination of targets) {
+            const delivery = deliveries[destination.id];
+            if (delivery?.status === 'sent') {
+              sentCount++;
+              continue;
+            }
+            if (delivery && delivery.attempts >= TELEGRAM_MAX_DELIVERY_ATTEMPTS) {
+              continue;
+            }
+
+            if (await this.deliverSummary(tgConfig, summary, destination, message, orderButtons, decision.pin)) {
+              sentCount++;
+            } else if ((delivery?.attempts || 0) + 1 < TELEGRAM_MAX_DELIVERY_ATTEMPTS) {
+              pendingCount++;
+            }
+          }
+
+          if (pendingCount > 0) {
+            Utils.log('WARN', `Post summary ${summary.id} has ${pendingCount} destinations to retry`);
+            continue;
+          }
+
+          if (sentCount === 0) {
+            await this.markSummaryAsFailed(env.DB, summary.id);
+            Utils.log('WARN', `Post summary ${summary.id} failed on all ${targets.length} destinations`);
+            continue;
+          }
+
+          await this.markSummaryAsSent(env.DB, summary.id);
+          Utils.log('INFO', `Finished sending post summary ${summary.id}`, { sent: sentCount, destinations: targets.length });
+
+          // 规则指定的额外推送目标只发送一次，不记录投递
+          if (sentCount > 0) {
+            for (const chatId of decision.chatIds) {
+              if (targets.some(destination => destination.chat_id === chatId)) continue;
+              const extraSent = await this.sendMessage({ ...tgConfig, channelId: chatId }, message, orderButtons);
+              if (!extraSent) {
+                Utils.log('WARN', `Failed to push summary ${summary.id} to rule chat ${chatId}`);
+              }
+            }
+          }
+
+          await Utils.delay(2000);
+
+        } catch (error) {
+          Utils.log('ERROR', `Error sending post summary ${summary.id}`, {
+            error: error.message
+          });
+        }
+      }
+    }, 'TelegramManager.sendPendingMessages');
+  }
+
+  // 发送到单个推送目标并记录投递结果，返回是否成功
+  async deliverSummary(tgConfig, summary, destination, message, orderButtons, pin) {
+    let sentMessage = false;
+    let error = null;
+    try {
+      sentMessage = await this.sendMessage(this.destinationConfig(tgConfig, destination), message, orderButtons);
+      error = sentMessage ? null : (this.lastError || '发送失败');
+    } catch (sendError) {
+      error = sendError.message;
+    }
+
+    await this.destinationManager.recordDelivery(summary.id, destination, sentMessage ? sentMessage.message_id : null, error);
+
+    if (!sentMessage) {
+      Utils.log('WARN', `Failed to send post summary ${summary.id} to ${destination.name}`, { error });
+      return false;
+    }
+
+    if (pin) {
+      await this.pinMessage(this.destinationConfig(tgConfig, destination), sentMessage.message_id);
+    }
+    return true;
+  }
+
+  async getUnsentSummaries(db, limit = 5) {
+    const result = await db.prepare(`
+      SELECT s.*, p.forum, p.title, p.author, p.publish_time, p.link, p.content, p.monthly_usd, p.price_text, p.expires_at, p.stock_limit, p.cluster_id, p.coupon_codes, p.order_links
+      FROM summaries s
+      JOIN posts p ON s.post_id = p.id
+      WHERE s.sent_to_telegram = 0
+      ORDER BY s.created_at ASC
+      LIMIT ?
+    `).bind(limit).all();
+
+    return result.results || [];
+  }
+
+  // 各目标的消息ID保存在telegram_deliveries，之后出现重复帖时编辑这些消息补充"同时发布于"
+  async markSummaryAsSent(db, summaryId) {
+    await db.prepare(`
+      UPDATE summaries SET sent_to_telegram = 1 WHERE id = ?
+    `).bind(summaryId).run();
+  }
+
+  // 重复帖加入cluster后更新首帖已发送的频道消息；首帖尚未发送时，发送时会自动带上
+  async refreshClusterMessage(env, clusterId) {
+    return this.refreshPostMessage(env, clusterId);
+  }
+
+  // 按最新的总结重新生成各目标中已推送的消息，帖子尚未推送时返回false
+  async refreshPostMessage(env, postId) {
+    return Utils.withErrorHandling(async () => {
+      const summary = await env.DB.prepare(`
+        SELECT s.*, p.forum, p.title, p.author, p.publish_time, p.link, p.content, p.monthly_usd, p.price_text, p.expires_at, p.stock_limit, p.cluster_id, p.coupon_codes, p.order_links
+        FROM summaries s
+        JOIN posts p ON s.post_id = p.id
+        WHERE s.post_id = ? AND s.sent_to_telegram = 1
+        ORDER BY s.created_at DESC
+        LIMIT 1
+      `).bind(postId).first();
+
+      if (!summary) return false;
+
+      const deliveries = await this.destinationManager.getSentDeliveries(postId);
+      const tgConfig = await this.configManager.getTelegramConfig();
+      if (deliveries.length === 0 || !tgConfig.botToken) return false;
+
+      await this.loadForumEmoji();
+      const decision = this.ruleEngine.evaluate(summary, await this.ruleEngine.getActiveRules());
+      const alsoOn = summary.cluster_id ? await this.duplicateDetector.getClusterMembers(summary.cluster_id, summary.post_id) : [];
+      const message = this.formatTelegramMessage(summary, { extraTags: decision.tags, alsoOn });
+      const orderButtons = this.buildOrderButtons(summary);
+
+      // 只编辑推送目标中的消息，规则额外推送的副本保持不变
+      let edited = 0;
+      for (const delivery of deliveries) {
+        if (await this.editMessage(this.destinationConfig(tgConfig, delivery), delivery.message_id, message, orderButtons)) {
+          edited++;
+        }
+      }
+      return edited > 0;
+    }, `TelegramManager.refreshPostMessage(${postId})`);
+  }
+
+  // sent_to_telegram = 2 表示被规则屏蔽，不再推送
+  async markSummaryAsSuppressed(db, summaryId) {
+    await db.prepare(`
+      UPDATE summaries SET sent_to_telegram = 2 WHERE id = ?
+    `).bind(summaryId).run();
+  }
+
+  // sent_to_telegram = 3 表示没有匹配的推送目标，不再推送
+  async markSummaryAsUnrouted(db, summaryId) {
+    await db.prepare(`
+      UPDATE summaries SET sent_to_telegram = 3 WHERE id = ?
+    `).bind(summaryId).run();
+  }
+
+  // sent_to_telegram = 4 表示所有目标都用完重试次数仍未送达，可在管理面板重新生成并重新推送
+  async markSummaryAsFailed(db, summaryId) {
+    await db.prepare(`
+      UPDATE summaries SET sent_to_telegram = 4 WHERE id = ?
+    `).bind(summaryId).run();
+  }
+}
+
+// ==================== 促销提醒管理器 ====================
+
+// 提醒状态：pending 待发送，sent 已发送，cancelled 已取消，missed 截止前未能发送
+class ReminderManager {
+  constructor(env, configManager, telegramManager) {
+    this.env = env;
+    this.db = env.DB;
+    this.configManager = configManager;
+    this.telegramManager = telegramManager;
+  }
+
+  // 在截止时间前 reminder_lead_minutes 分钟提醒，提醒时间已过则不再安排
+  async scheduleReminder(postId, deadlineAt) {
+    const { leadMinutes } = await this.configManager.getReminderConfig();
+    const remindAt = new Date(new Date(deadlineAt).getTime() - leadMinutes * 60 * 1000);
+    if (remindAt.getTime() <= Date.now()) {
+      return null;
+    }
+
+    // 重新处理同一帖子时，同一截止时间已发送过的提醒不再重复安排
+    const sent = await this.db.prepare(`
+      SELECT id FROM reminders WHERE post_id = ? AND deadline_at = ? AND status = 'sent' LIMIT 1
+    `).bind(postId, deadlineAt).first();
+    if (sent) {
+      return null;
+    }
+
+    const now = Utils.getCurrentTimestamp();
+    const results = await this.db.batch([
+      this.db.prepare(`
+        DELETE FROM reminders WHERE post_id = ? AND status = 'pending'
+      `).bind(postId),
+      this.db.prepare(`
+        INSERT INTO reminders (post_id, deadline_at, remind_at, created_at)
+        VALUES (?, ?, ?, ?)
+      `).bind(postId, deadlineAt, remindAt.toISOString(), now)
+    ]);
+
+    return results[1].meta.last_row_id;
+  }
+
+  async listReminders(status = 'pending', limit = 50) {
+    const result = await this.db.prepare(`
+      SELECT r.*, p.title, p.link, p.forum, p.stock_limit
+      FROM reminders r
+      JOIN posts p ON r.post_id = p.id
+      WHERE r.status = ?
+      ORDER BY r.remind_at ASC
+      LIMIT ?
+    `).bind(status, limit).all();
+    return result.results || [];
+  }
+
+  async cancelReminder(id) {
+    const result = await this.db.prepare(`
+      UPDATE reminders SET status = 'cancelled' WHERE id = ? AND status = 'pending'
+    `).bind(id).run();
+    return result.meta.changes > 0;
+  }
+
+  async setStatus(id, status) {
+    await this.db.prepare(`
+      UPDATE reminders SET status = ?, sent_at = ? WHERE id = ?
+    `).bind(status, status === 'sent' ? Utils.getCurrentTimestamp() : null, id).run();
+  }
+
+  formatRemaining(deadlineAt) {
+    const minutes = Math.max(1, Math.round((new Date(deadlineAt).getTime() - Date.now()) / 60000));
+    return minutes < 60 ? `${minutes}分钟` : `${Math.round(minutes / 60)}小时`;
+  }
+
+  formatReminderMessage(reminder) {
+    return `⏳ 还剩约${this.formatRemaining(reminder.deadline_at)}结束
+📝 标题：${Utils.escapeHtml(reminder.title)}
+⌛ 截止时间：${Utils.formatDateTime(reminder.deadline_at)}${reminder.stock_limit ? `
+📦 限量：${reminder.stock_limit}` : ''}
+🔗 <a href="${reminder.link}">查看原文</a>
+
+#${reminder.forum} #促销提醒`;
+  }
+
+  // 只提醒已推送过的帖子，发到总结已送达的各个目标：总结被规则屏蔽或没有送达任何目标时取消提醒，
+  // 尚未推送时留到下次执行
+  async sendDueReminders() {
+    return Utils.withErrorHandling(async () => {
+      const now = Utils.getCurrentTimestamp();
+      const result = await this.db.prepare(`
+        SELECT r.*, p.title, p.link, p.forum, p.stock_limit, p.order_links, s.sent_to_telegram
+        FROM reminders r
+        JOIN posts p ON r.post_id = p.id
+        LEFT JOIN summaries s ON s.post_id = r.post_id
+        WHERE r.status = 'pending' AND r.remind_at <= ?
+        ORDER BY r.remind_at ASC
+        LIMIT 10
+      `).bind(now).all();
+      const dueReminders = result.results || [];
+
+      if (dueReminders.length === 0) {
+        return;
+      }
+
+      const tgConfig = await this.configManager.getTelegramConfig();
+      if (!tgConfig.botToken) {
+        Utils.log('WARN', 'Telegram configuration incomplete, reminders not sent');
+        return;
+      }
+
+      for (const reminder of dueReminders) {
+        if (reminder.deadline_at <= now) {
+          await this.setStatus(reminder.id, 'missed');
+          Utils.log('WARN', `Reminder ${reminder.id} missed its deadline`);
+          continue;
+        }
+
+        if ([2, 3, 4].includes(reminder.sent_to_telegram)) {
+          await this.setStatus(reminder.id, 'cancelled');
+          continue;
+        }
+
+        if (reminder.sent_to_telegram !== 1) {
+          continue;
+        }
+
+        const deliveries = await this.telegramManager.destinationManager.getSentDeliveries(reminder.post_id);
+        if (deliveries.length === 0) {
+          await this.setStatus(reminder.id, 'cancelled');
+          continue;
+        }
+
+        let sent = false;
+        for (const delivery of deliveries) {
+          if (await this.telegramManager.sendMessage(
+            this.telegramManager.destinationConfig(tgConfig, delivery),
+            this.formatReminderMessage(reminder),
+            this.telegramManager.buildOrderButtons(reminder)
+          )) {
+            sent = true;
+          }
+        }
+        if (sent) {
+          await this.setStatus(reminder.id, 'sent');
+          Utils.log('INFO', `Sent deadline reminder ${reminder.id} for post ${reminder.post_id}`);
+        } else {
+          Utils.log('WARN', `Failed to send deadline reminder ${reminder.id}`);
+        }
+
+        await Utils.delay(2000);
+      }
+    }, 'ReminderManager.sendDueReminders');
+  }
+}
+
+// ==================== 讨论跟踪 ====================
+
+const FOLLOW_DEFAULT_INTERVAL_MINUTES = 30;
+const FOLLOW_DEFAULT_DAYS = 3;
+const FOLLOW_POLL_BATCH = 3;
+const FOLLOW_MAX_COMMENT_PAGES = 3;
+// 没有商家回复和关键事件时，至少有这么多条新回复才推送社区动态
+const FOLLOW_MIN_COMMUNITY_COMMENTS = 5;
+
+// from 为 provider 时只匹配商家回复，避免用户的"sold out?"之类提问被误判
+const THREAD_EVENTS = [
+  { key: 'restock', label: '🔄 补货', from: 'provider', regex: /\b(?:re-?stock(?:ed)?|back in stock|added (?:more|\d+) (?:units|slots|servers)|more stock)\b|补货/i },
+  { key: 'sold_out', label: '❌ 售罄', from: 'provider', regex: /\b(?:sold\s*out|out of stock|no (?:more )?stock)\b|售罄|卖完/i },
+  { key: 'price_change', label: '💲 价格调整', from: 'provider', regex: /\b(?:price (?:increase|change|hike|drop)d?|prices? (?:will )?(?:go|going|went) (?:up|down)|new pricing)\b|涨价|降价|调价/i },
+  { key: 'downtime', label: '⚠️ 故障反馈', from: 'any', regex: /\b(?:downtime|outage|offline|unreachable|not responding|packet loss|(?:is|went|been|are) down)\b|宕机|故障|掉线/i }
+];
+
+const SENTIMENTS = ['positive', 'neutral', 'negative', 'mixed'];
+const SENTIMENT_LABELS = { positive: '👍 正面', neutral: '😐 中性', negative: '👎 负面', mixed: '🤔 褒贬不一' };
+const POSITIVE_WORDS_REGEX = /\b(?:thanks|thank you|great|excellent|awesome|fast|stable|recommend(?:ed)?|happy|love|nice|ordered|grabbed|got one|smooth)\b|不错|好评|稳定|已入/gi;
+const NEGATIVE_WORDS_REGEX = /\b(?:bad|slow|terrible|awful|scam|refund|unstable|disappointed|avoid|issues?|problems?|worst|down|outage|oversold)\b|垃圾|跑路|不稳定|退款/gi;
+
+const THREAD_UPDATE_PROMPT = `以下是论坛帖子"{title}"的新回复，标记为[商家]的是商家本人的回复。请用中文输出一个JSON对象，字段如下：
+- provider_update：商家回复的要点（如补货、售罄、涨价、维护通知），没有商家回复时为空字符串
+- sentiment：其他用户的整体态度，只能是 positive、neutral、negative、mixed 之一
+- summary：用1-2句话总结其他用户的讨论（如故障反馈、测评、购买情况）
+只输出JSON，不要包含其他内容。
+
+{comments}`;
+
+const THREAD_UPDATE_SCHEMA = {
+  type: 'object',
+  properties: {
+    provider_update: { type: 'string' },
+    sentiment: { type: 'string', enum: SENTIMENTS },
+    summary: { type: 'string' }
+  },
+  required: ['provider_update', 'sentiment', 'summary'],
+  additionalProperties: false
+};
+
+// 关注Vanilla讨论帖，定期检查新回复，把商家回复和社区动态以回复的形式推送到原频道消息下
+// 状态：active 跟踪中，expired 已到期，closed 讨论已关闭
+class ThreadFollower {
+  constructor(env, configManager, vanillaAdapter, aiManager, usageTracker, telegramManager, providerDirectory) {
+    this.env = env;
+    this.db = env.DB;
+    this.configManager = configManager;
+    this.vanillaAdapter = vanillaAdapter;
+    this.aiManager = aiManager;
+    this.usageTracker = usageTracker;
+    this.telegramManager = telegramManager;
+    this.providerDirectory = providerDirectory;
+  }
+
+  // 自动关注从发帖时间开始计算新回复；手动关注只计算关注之后的回复。重复关注时延长跟踪时间
+  async follow(postId, options = {}) {
+    const post = await this.db.prepare(`
+      SELECT id, link, publish_time, comment_count FROM posts WHERE id = ?
+    `).bind(postId).first();
+    if (!post) {
+      throw new Error('帖子不存在');
+    }
+    if (!this.vanillaAdapter.isDiscussionUrl(post.link)) {
+      throw new Error('只能关注Vanilla论坛（LET/LES）的讨论帖');
+    }
+
+    const { days } = await this.configManager.getFollowConfig();
+    const now = Utils.getCurrentTimestamp();
+    const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+    if (options.auto) {
+      const result = await this.db.prepare(`
+        INSERT OR IGNORE INTO followed_threads (post_id, auto, since_at, comment_count, next_check_at, expires_at, created_at)
+        VALUES (?, 1, ?, 0, ?, ?, ?)
+      `).bind(post.id, post.publish_time || now, now, expiresAt, now).run();
+      return result.meta?.changes > 0;
+    }
+
+    await this.db.prepare(`
+      INSERT INTO followed_threads (post_id, auto, since_at, comment_count, next_check_at, expires_at, created_at)
+      VALUES (?, 0, ?, ?, ?, ?, ?)
+      ON CONFLICT(post_id) DO UPDATE SET status = 'active', next_check_at = excluded.next_check_at, expires_at = excluded.expires_at
+    `).bind(post.id, now, post.comment_count || 0, now, expiresAt, now).run();
+
+    Utils.log('INFO', `Following discussion for post ${post.id}`);
+    return true;
+  }
+
+  async unfollow(id) {
+    const result = await this.db.prepare(`
+      DELETE FROM followed_threads WHERE id = ?
+    `).bind(id).run();
+    await this.db.prepare(`
+      DELETE FROM thread_updates WHERE thread_id = ?
+    `).bind(id).run();
+    return result.meta?.changes > 0;
+  }
+
+  async getThread(id) {
+    return await this.db.prepare(`
+      SELECT t.*, p.title, p.link, p.forum, p.author, p.author_id, p.provider_id
+      FROM followed_threads t
+      JOIN posts p ON t.post_id = p.id
+      WHERE t.id = ?
+    `).bind(id).first();
+  }
+
+  // 附带最近一次推送的更新内容
+  async listThreads(limit = 50) {
+    const result = await this.db.prepare(`
+      SELECT t.*, p.title, p.link, p.forum,
+        (SELECT COALESCE(NULLIF(u.provider_update, ''), u.summary) FROM thread_updates u
+         WHERE u.thread_id = t.id ORDER BY u.created_at DESC LIMIT 1) AS last_update
+      FROM followed_threads t
+      JOIN posts p ON t.post_id = p.id
+      ORDER BY t.status = 'active' DESC, t.created_at DESC
+      LIMIT ?
+    `).bind(limit).all();
+    return result.results || [];
+  }
+
+  async pollDueThreads() {
+    return Utils.withErrorHandling(async () => {
+      const now = Utils.getCurrentTimestamp();
+      await this.db.prepare(`
+        UPDATE followed_threads SET status = 'expired' WHERE status = 'active' AND expires_at <= ?
+      `).bind(now).run();
+
+      const result = await this.db.prepare(`
+        SELECT t.*, p.title, p.link, p.forum, p.author, p.author_id, p.provider_id
+        FROM followed_threads t
+        JOIN posts p ON t.post_id = p.id
+        WHERE t.status = 'active' AND (t.next_check_at IS NULL OR t.next_check_at <= ?)
+        ORDER BY t.next_check_at ASC
+        LIMIT ?
+      `).bind(now, FOLLOW_POLL_BATCH).all();
+
+      for (const thread of result.results || []) {
+        await this.checkThread(thread);
+      }
+    }, 'ThreadFollower.pollDueThreads');
+  }
+
+  // 检查失败只记录错误，下个周期重试；返回本次推送的更新，没有值得推送的内容时返回null
+  // 新回复不足以推送时不移动已读位置，留到之后和更多回复一起推送
+  async checkThread(thread) {
+    const { intervalMinutes } = await this.configManager.getFollowConfig();
+    const now = Utils.getCurrentTimestamp();
+    const nextCheckAt = new Date(Date.now() + intervalMinutes * 60 * 1000).toISOString();
+
+    try {
+      const discussion = await this.vanillaAdapter.fetchDiscussion(thread.link);
+      await this.db.prepare(`
+        UPDATE posts SET comment_count = ?, closed = ? WHERE id = ?
+      `).bind(discussion.commentCount, discussion.closed, thread.post_id).run();
+
+      let comments = [];
+      if (discussion.commentCount > (thread.comment_count || 0)) {
+        comments = (await this.vanillaAdapter.fetchCommentsSince(thread.link, thread.comment_count || 0))
+          .filter(comment => thread.last_comment_id ? comment.id > thread.last_comment_id : comment.publishTime > thread.since_at);
+      }
+
+      const classified = await this.classifyComments(thread, comments);
+      const notable = classified.providerComments.length > 0
+        || classified.events.length > 0
+        || comments.length >= FOLLOW_MIN_COMMUNITY_COMMENTS;
+      const advance = notable || comments.length === 0;
+
+      // 推送成功后才保存已读位置，推送失败时抛出异常，下次检查重新汇总这些回复
+      let result = null;
+      if (notable) {
+        const update = await this.summarizeComments(thread, comments, classified);
+        result = await this.publishUpdate(thread, update, comments[comments.length - 1].url);
+      }
+
+      await this.db.prepare(`
+        UPDATE followed_threads SET
+          comment_count = ?, last_comment_id = ?, status = ?, last_checked_at = ?, next_check_at = ?, last_error = NULL
+        WHERE id = ?
+      `).bind(
+        advance ? Math.max(discussion.commentCount, thread.comment_count || 0) : thread.comment_count,
+        advance ? (Math.max(thread.last_comment_id || 0, ...comments.map(comment => comment.id)) || null) : thread.last_comment_id,
+        discussion.closed ? 'closed' : 'active',
+        now,
+        nextCheckAt,
+        thread.id
+      ).run();
+
+      return result;
+    } catch (error) {
+      Utils.log('WARN', `Failed to check followed thread ${thread.id}`, { error: error.message });
+      await this.db.prepare(`
+        UPDATE followed_threads SET last_checked_at = ?, next_check_at = ?, last_error = ? WHERE id = ?
+      `).bind(now, nextCheckAt, error.message.substring(0, 500), thread.id).run();
+      return null;
+    }
+  }
+
+  // 发帖人本人或商家目录中该商家的论坛用户名视为商家回复
+  async getProviderUsernames(thread) {
+    const usernames = new Set([(thread.author || '').toLowerCase()]);
+    if (thread.provider_id) {
+      const provider = await this.providerDirectory.getProvider(thread.provider_id);
+      for (const username of provider?.usernames || []) {
+        usernames.add(username.toLowerCase());
+      }
+    }
+    usernames.delete('');
+    return usernames;
+  }
+
+  // 区分商家回复和社区回复并识别关键事件，不调用AI
+  async classifyComments(thread, comments) {
+    const usernames = await this.getProviderUsernames(thread);
+    const isProvider = comment => (thread.author_id && comment.authorId === thread.author_id)
+      || usernames.has(comment.author.toLowerCase());
+
+    const providerComments = comments.filter(isProvider);
+    const events = THREAD_EVENTS
+      .filter(event => (event.from === 'provider' ? providerComments : comments).some(comment => event.regex.test(comment.body)))
+      .map(event => event.key);
+
+    return {
+      providerComments,
+      communityComments: comments.filter(comment => !isProvider(comment)),
+      events
+    };
+  }
+
+  async summarizeComments(thread, comments, classified) {
+    const base = {
+      newComments: comments.length,
+      providerReplies: classified.providerComments.length,
+      events: classified.events
+    };
+
+    const { mode } = await this.configManager.getAIConfig();
+    if (mode !== 'heuristic' && await this.aiManager.isAvailable() && !(await this.usageTracker.getBudgetStatus()).exceeded) {
+      try {
+        return { ...base, ...(await this.summarizeWithAI(thread, comments, classified.providerComments)) };
+      } catch (error) {
+        Utils.log('WARN', `AI summary failed for followed thread ${thread.id}, using heuristic`, { error: error.message });
+      }
+    }
+
+    return { ...base, ...this.summarizeHeuristic(classified.providerComments, classified.communityComments) };
+  }
+
+  async summarizeWithAI(thread, comments, providerComments) {
+    const commentText = comments
+      .map(comment => `[${providerComments.includes(comment) ? '商家' : '用户'}] ${comment.author}: ${comment.body.replace(/\s+/g, ' ').substring(0, 500)}`)
+      .join('\n')
+      .substring(0, 6000);
+    const prompt = THREAD_UPDATE_PROMPT
+      .replace('{title}', thread.title)
+      .replace('{comments}', commentText);
+
+    const result = await this.aiManager.generateWithFailover(prompt, { schema: THREAD_UPDATE_SCHEMA, maxTokens: 300, purpose: 'followup' });
+    const start = result.text.indexOf('{');
+    const end = result.text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error('未找到JSON对象');
+    }
+
+    const parsed = JSON.parse(result.text.slice(start, end + 1));
+    return {
+      providerUpdate: String(parsed.provider_update || '').trim(),
+      sentiment: SENTIMENTS.includes(parsed.sentiment) ? parsed.sentiment : 'neutral',
+      summary: String(parsed.summary || '').trim(),
+      profile: result.profile
+    };
+  }
+
+  // 商家回复取每条的第一句，社区态度按正负面关键词计数
+  summarizeHeuristic(providerComments, communityComments) {
+    const providerUpdate = providerComments
+      .map(comment => this.excerpt(comment.body))
+      .filter(Boolean)
+      .join(' / ')
+      .substring(0, 300);
+
+    let positive = 0;
+    let negative = 0;
+    for (const comment of communityComments) {
+      positive += (comment.body.match(POSITIVE_WORDS_REGEX) || []).length;
+      negative += (comment.body.match(NEGATIVE_WORDS_REGEX) || []).length;
+    }
+
+    let sentiment = 'neutral';
+    if (positive > 0 && negative > 0 && Math.min(positive, negative) / Math.max(positive, negative) >= 0.5) {
+      sentiment = 'mixed';
+    } else if (positive > negative) {
+      sentiment = 'positive';
+    } else if (negative > positive) {
+      sentiment = 'negative';
+    }
+
+    return {
+      providerUpdate,
+      sentiment: communityComments.length > 0 ? sentiment : null,
+      summary: communityComments.length > 0 ? `${communityComments.length}条用户回复` : '',
+      profile: 'heuristic'
+    };
+  }
+
+  excerpt(text, maxLength = 150) {
+    const sentence = (text || '').replace(/\s+/g, ' ').trim().split(/(?<=[.!?。！？])\s/)[0];
+    return sentence.length > maxLength ? `${sentence.substring(0, maxLength)}…` : sentence;
+  }
+
+  formatUpdateMessage(thread, update, latestUrl) {
+    const events = update.events
+      .map(key => THREAD_EVENTS.find(event => event.key === key)?.label)
+      .filter(Boolean);
+
+    return `💬 讨论更新：${Utils.escapeHtml(thread.title)}
+🆕 新回复 ${update.newComments} 条${update.providerReplies > 0 ? `（商家 ${update.providerReplies} 条）` : ''}${events.length > 0 ? `
+📌 ${events.join('、')}` : ''}${update.providerUpdate ? `
+🏢 商家：${Utils.escapeHtml(update.providerUpdate)}` : ''}${update.sentiment || update.summary ? `
+🗣️ 社区：${update.sentiment ? SENTIMENT_LABELS[update.sentiment] : ''}${update.summary ? ` ${Utils.escapeHtml(update.summary)}` : ''}` : ''}
+🔗 <a href="${latestUrl || thread.link}">查看最新回复</a>
+
+#${thread.forum} #讨论更新`;
+  }
+
+  // 以回复的形式发到原帖在各个推送目标中的消息下；原帖尚未推送或被规则屏蔽时只记录不推送
+  // thread_updates.telegram_message_id 记录第一个发送成功的消息
+  async publishUpdate(thread, update, latestUrl) {
+    const deliveries = await this.telegramManager.destinationManager.getSentDeliveries(thread.post_id);
+
+    let messageId = null;
+    const tgConfig = await this.configManager.getTelegramConfig();
+    if (tgConfig.botToken) {
+      const message = this.formatUpdateMessage(thread, update, latestUrl);
+      for (const delivery of deliveries) {
+        const sent = await this.telegramManager.sendMessage(
+          this.telegramManager.destinationConfig(tgConfig, delivery),
+          message,
+          null,
+          delivery.message_id
+        );
+        if (sent) {
+          messageId = messageId || sent.message_id;
+        } else {
+          Utils.log('WARN', `Failed to send update for followed thread ${thread.id} to ${delivery.destination_name}`);
+        }
+      }
+      if (deliveries.length > 0 && !messageId) {
+        throw new Error('讨论更新推送失败，下次检查时重试');
+      }
+    }
+
+    await this.db.batch([
+      this.db.prepare(`
+        INSERT INTO thread_updates (thread_id, new_comments, provider_replies, events, provider_update, sentiment, summary, ai_profile, telegram_message_id, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        thread.id,
+        update.newComments,
+        update.providerReplies,
+        JSON.stringify(update.events),
+        update.providerUpdate || null,
+        update.sentiment || null,
+        update.summary || null,
+        update.profile || null,
+        messageId,
+        Utils.getCurrentTimestamp()
+      ),
+      this.db.prepare(`
+        UPDATE followed_threads SET update_count = COALESCE(update_count, 0) + 1 WHERE id = ?
+      `).bind(thread.id)
+    ]);
+
+    Utils.log('INFO', `Followed thread ${thread.id} update recorded`, { events: update.events, providerReplies: update.providerReplies, sent: !!messageId });
+    return { ...update, telegramMessageId: messageId };
+  }
+}
+
+// ==================== Telegram机器人 ====================
+
+const BOT_RESULT_LIMIT = 5;
+const BOT_OFFER_LIMIT = 10;
+const BOT_SEARCH_MAX_KEYWORDS = 5;
+const BOT_SUMMARY_MAX_LENGTH = 200;
+
+// 命令列表，用于/help回复和设置Webhook时注册命令菜单
+const BOT_COMMANDS = [
+  { command: 'latest', usage: '/latest [论坛]', description: '最新的帖子总结，可按论坛或分组过滤' },
+  { command: 'search', usage: '/search <关键词>', description: '按标题和总结搜索帖子' },
+  { command: 'offers', usage: '/offers <最高月付美元>', description: '月付价格不超过指定金额的促销' },
+  { command: 'status', usage: '/status', description: '系统状态' },
+  { command: 'sync', usage: '/sync', description: '立即同步并处理帖子（仅管理员）', admin: true }
+];
+
+// 通过Webhook接收消息并回复命令，只处理普通消息（私聊和群组），不处理频道消息
+class TelegramBot {
+  // onSync 执行一次完整的同步和处理流程，由业务逻辑管理器提供
+  constructor(env, configManager, telegramManager, onSync) {
+    this.env = env;
+    this.db = env.DB;
+    this.configManager = configManager;
+    this.telegramManager = telegramManager;
+    this.onSync = onSync;
+  }
+
+  // 校验Telegram在请求头中带上的secret_token，未配置密钥时拒绝所有请求
+  async verifySecret(request) {
+    const { webhookSecret } = await this.configManager.getBotConfig();
+    const token = request.headers.get('X-Telegram-Bot-Api-Secret-Token') || '';
+    if (!webhookSecret || token.length !== webhookSecret.length) return false;
+
+    let diff = 0;
+    for (let i = 0; i < token.length; i++) {
+      diff |= token.charCodeAt(i) ^ webhookSecret.charCodeAt(i);
+    }
+    return diff === 0;
+  }
+
+  // "/latest@MyBot LET" 解析为 { command: 'latest', args: 'LET' }，不是命令时返回null
+  parseCommand(text) {
+    const match = /^\/([a-z_]+)(?:@\w+)?(?:\s+([\s\S]*))?$/i.exec((text || '').trim());
+    return match ? { command: match[1].toLowerCase(), args: (match[2] || '').trim() } : null;
+  }
+
+  async isAdmin(user) {
+    const { adminIds } = await this.configManager.getBotConfig();
+    return !!user && adminIds.includes(String(user.id));
+  }
+
+  // 回复命令并返回回复内容，不是命令或不需要回复时返回null；ctx.waitUntil 用于回复后继续执行同步
+  async handleUpdate(update, ctx) {
+    const message = update.message;
+    const parsed = this.parseCommand(message?.text);
+    if (!parsed) return null;
+
+    const tgConfig = await this.configManager.getTelegramConfig();
+    const replyConfig = {
+      ...tgConfig,
+      channelId: message.chat.id,
+      threadId: message.is_topic_message ? message.message_thread_id : null
+    };
+    const reply = text => this.telegramManager.sendMessage(replyConfig, text, null, message.message_id);
+
+    let text;
+    try {
+      text = await this.runCommand(parsed, message, reply, ctx);
+    } catch (error) {
+      Utils.log('ERROR', `Bot command /${parsed.command} failed`, { error: error.message });
+      text = `❌ 命令执行失败: ${Utils.escapeHtml(error.message)}`;
+    }
+
+    if (text) {
+      await reply(text);
+    }
+    return text || null;
+  }
+
+  async runCommand({ command, args }, message, reply, ctx) {
+    Utils.log('INFO', `Bot command /${command}`, { chatId: message.chat.id, userId: message.from?.id });
+
+    switch (command) {
+      case 'start':
+      case 'help':
+        return this.formatHelp();
+      case 'latest':
+        return this.latest(args);
+      case 'search':
+        return args ? this.search(args) : '用法：/search &lt;关键词&gt;，如 /search ryzen nvme';
+      case 'offers': {
+        const maxPrice = parseFloat(args.replace(/^\$/, ''));
+        if (!(maxPrice > 0)) {
+          return '用法：/offers &lt;最高月付美元&gt;，如 /offers 5';
+        }
+        return this.offers(maxPrice);
+      }
+      case 'status':
+        return this.status();
+      case 'sync':
+        if (!(await this.isAdmin(message.from))) {
+          return '⛔ 该命令仅限管理员使用';
+        }
+        if (ctx?.waitUntil) {
+          ctx.waitUntil(this.runSync(reply));
+        } else {
+          await this.runSync(reply);
+        }
+        return '🔄 已开始同步，完成后会通知';
+      default:
+        // 群组中可能有其他机器人的命令，只在私聊中提示
+        return message.chat.type === 'private' ? `未知命令 /${Utils.escapeHtml(command)}\n\n${this.formatHelp()}` : null;
+    }
+  }
+
+  async runSync(reply) {
+    try {
+      await this.onSync();
+      await reply('✅ 同步和处理已完成');
+    } catch (error) {
+      await reply(`❌ 同步失败: ${Utils.escapeHtml(error.message)}`);
+    }
+  }
+
+  formatHelp() {
+    return `🤖 TripleLE监控机器人
+
+${BOT_COMMANDS.map(item => `${Utils.escapeHtml(item.usage)} - ${item.description}`).join('\n')}`;
+  }
+
+  // 被规则屏蔽的总结不出现在命令结果中
+  async latest(forum) {
+    const key = forum.toLowerCase();
+    const result = await this.db.prepare(`
+      SELECT s.summary, s.post_type, p.forum, p.title, p.link, p.publish_time, p.monthly_usd
+      FROM summaries s
+      JOIN posts p ON s.post_id = p.id
+      WHERE s.sent_to_telegram != 2
+        AND (? = '' OR LOWER(p.forum) = ? OR LOWER(SUBSTR(p.forum, 1, ?)) = ?)
+      ORDER BY COALESCE(NULLIF(p.publish_time, ''), p.created_at) DESC
+      LIMIT ?
+    `).bind(key, key, key.length + 1, `${key}_`, BOT_RESULT_LIMIT).all();
+
+    const rows = result.results || [];
+    if (rows.length === 0) {
+      return forum ? `没有找到 ${Utils.escapeHtml(forum)} 的帖子` : '暂无帖子总结';
+    }
+    return this.formatResults(`🆕 最新${forum ? ` ${Utils.escapeHtml(forum)} ` : ''}帖子`, rows);
+  }
+
+  // 多个关键词需要同时匹配标题或总结
+  async search(query) {
+    const keywords = query.toLowerCase().split(/\s+/).filter(Boolean).slice(0, BOT_SEARCH_MAX_KEYWORDS);
+    const conditions = keywords.map(() => `(LOWER(p.title) LIKE ? ESCAPE '\\' OR LOWER(s.summary) LIKE ? ESCAPE '\\')`);
+    const values = keywords.flatMap(keyword => {
+      const pattern = `%${keyword.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+      return [pattern, pattern];
+    });
+
+    const result = await this.db.prepare(`
+      SELECT s.summary, s.post_type, p.forum, p.title, p.link, p.publish_time, p.monthly_usd
+      FROM summaries s
+      JOIN posts p ON s.post_id = p.id
+      WHERE s.sent_to_telegram != 2 AND ${conditions.join(' AND ')}
+      ORDER BY COALESCE(NULLIF(p.publish_time, ''), p.created_at) DESC
+      LIMIT ?
+    `).bind(...values, BOT_RESULT_LIMIT).all();
+
+    const rows = result.results || [];
+    if (rows.length === 0) {
+      return `没有找到包含"${Utils.escapeHtml(keywords.join(' '))}"的帖子`;
+    }
+    return this.formatResults(`🔍 "${Utils.escapeHtml(keywords.join(' '))}"的搜索结果`, rows);
+  }
+
+  // 按归一化的月付美元价格筛选，从低到高排列
+  async offers(maxPrice) {
+    const result = await this.db.prepare(`
+      SELECT s.summary, s.post_type, p.forum, p.title, p.link, p.publish_time, p.monthly_usd
+      FROM summaries s
+      JOIN posts p ON s.post_id = p.id
+      WHERE s.sent_to_telegram != 2 AND s.post_type = '促销'
+        AND p.monthly_usd IS NOT NULL AND p.monthly_usd <= ?
+      ORDER BY p.monthly_usd ASC, COALESCE(NULLIF(p.publish_time, ''), p.created_at) DESC
+      LIMIT ?
+    `).bind(maxPrice, BOT_OFFER_LIMIT).all();
+
+    const rows = result.results || [];
+    if (rows.length === 0) {
+      return `最近没有月付 $${maxPrice} 以内的促销`;
+    }
+    return this.formatResults(`💰 月付 $${maxPrice} 以内的促销`, rows);
+  }
+
+  async status() {
+    const stats = await getSystemStatus(this.db);
+    return `📊 系统状态
+
+总帖子数：${stats.totalPosts}
+未处理帖子：${stats.unprocessedPosts}
+AI总结数：${stats.totalSummaries}
+未发送消息：${stats.unsentSummaries}
+推送失败：${stats.failedSummaries}
+套餐记录：${stats.totalOffers}
+合并的重复帖：${stats.duplicatePosts}
+⏰ ${Utils.formatDateTime(stats.lastUpdate)}`;
+  }
+
+  async formatResults(title, rows) {
+    await this.telegramManager.loadForumEmoji();
+    const items = rows.map(row => {
+      const emoji = this.telegramManager.forumEmoji[row.forum] || '📢';
+      const summary = (row.summary || '').length > BOT_SUMMARY_MAX_LENGTH
+        ? `${row.summary.substring(0, BOT_SUMMARY_MAX_LENGTH)}…`
+        : (row.summary || '');
+      return `${emoji} ${Utils.escapeHtml(row.forum)} · ${Utils.formatDateTime(row.publish_time)}
+📝 <b>${Utils.escapeHtml(row.title)}</b>
+📋 ${Utils.escapeHtml(summary)}${row.monthly_usd !== null && row.monthly_usd !== undefined ? `
+💰 ${PriceNormalizer.formatMonthlyUsd(row.monthly_usd)}` : ''}
+🔗 <a href="${Utils.escapeHtml(row.link)}">查看原文</a>`;
+    });
+    return `${title}\n\n${items.join('\n\n')}`;
+  }
+
+  // 注册Webhook地址、密钥和命令菜单，只接收普通消息
+  async setupWebhook(webhookUrl) {
+    const tgConfig = await this.configManager.getTelegramConfig();
+    if (!tgConfig.botToken) {
+      throw new Error('请先配置Bot Token');
+    }
+
+    let { webhookSecret } = await this.configManager.getBotConfig();
+    if (!webhookSecret) {
+      webhookSecret = crypto.randomUUID().replace(/-/g, '');
+      await this.configManager.set('tg_webhook_secret', webhookSecret);
+    }
+
+    const registered = await this.telegramManager.callAPI(tgConfig, 'setWebhook', {
+      url: webhookUrl,
+      secret_token: webhookSecret,
+      allowed_updates: ['message']
+    });
+    if (!registered) {
+      throw new Error(`设置Webhook失败: ${this.telegramManager.lastError || '未知错误'}`);
+    }
+
+    await this.telegramManager.callAPI(tgConfig, 'setMyCommands', {
+      commands: BOT_COMMANDS.map(item => ({ command: item.command, description: item.description }))
+    });
+
+    Utils.log('INFO', 'Telegram webhook registered', { url: webhookUrl });
+    return true;
+  }
+}
+
+// ==================== 业务逻辑管理器 ====================
+
+// 重新生成总结后对频道消息的处理：none 不处理，edit 编辑原消息，resend 重新推送
+const REGENERATE_TELEGRAM_ACTIONS = ['none', 'edit', 'resend'];
+
+class BusinessLogicManager {
+  constructor(env) {
+    this.env = env;
+    this.dbManager = new DatabaseManager(env);
+    this.configManager = new ConfigManager(env);
+    this.aiProfileManager = new AIProfileManager(env);
+    this.usageTracker = new AIUsageTracker(env, this.configManager);
+    this.aiManager = new AIServiceManager(env, this.configManager, this.aiProfileManager, this.usageTracker);
+    this.offerExtractor = new OfferExtractor(env, this.aiManager);
+    this.priceNormalizer = new PriceNormalizer(env);
+    this.heuristicClassifier = new HeuristicClassifier(this.priceNormalizer);
+    this.sourceManager = new SourceManager(env);
+    this.networkManager = new NetworkManager();
+    this.vanillaAdapter = new VanillaForumAdapter(this.networkManager);
+    this.rssParser = new RSSParser(this.networkManager, this.sourceManager, this.configManager, this.vanillaAdapter);
+    this.ruleEngine = new RuleEngine(env);
+    this.providerDirectory = new ProviderDirectory(env);
+    this.duplicateDetector = new DuplicateDetector(env, this.providerDirectory);
+    this.aiCache = new AIResultCache(env, this.configManager);
+    this.promptLibrary = new PromptLibrary(env, this.configManager);
+    this.playground = new AIPlayground(env, this.aiManager, this.aiProfileManager, this.promptLibrary, this.usageTracker);
+    this.destinationManager = new TelegramDestinationManager(env);
+    this.telegramManager = new TelegramManager(this.configManager, this.sourceManager, this.ruleEngine, this.duplicateDetector, this.destinationManager);
+    this.deadlineDetector = new DealDeadlineDetector();
+    this.dealLinkExtractor = new DealLinkExtractor();
+    this.reminderManager = new ReminderManager(env, this.configManager, this.telegramManager);
+    this.threadFollower = new ThreadFollower(env, this.configManager, this.vanillaAdapter, this.aiManager, this.usageTracker, this.telegramManager, this.providerDirectory);
+    this.telegramBot = new TelegramBot(env, this.configManager, this.telegramManager, () => this.processRSSAndAI({ forceSync: true }));
+  }
+
+  async init() {
+    await this.dbManager.init();
+  }
+
+  // RSS同步和AI处理，options.forceSync 为true时同步全部数据源
+  async processRSSAndAI(options = {}) {
+    return Utils.withErrorHandling(async () => {
+      // 1. 同步到期的RSS数据源
+      await this.rssParser.syncAllRSS(this.env, this.dbManager, { force: options.forceSync });
+
+      // 2. 处理未处理的帖子
+      await this.processUnprocessedPosts();
+
+      // 3. 发送Telegram消息
+      await this.telegramManager.sendPendingMessages(this.env, this.dbManager);
+
+      // 4. 发送到期的促销截止提醒
+      await this.reminderManager.sendDueReminders();
+
+      // 5. 检查关注的讨论，推送商家回复和社区动态
+      await this.threadFollower.pollDueThreads();
+
+      // 6. 清理过期数据（每次都检查，但只在需要时执行）
+      const lastCleanup = await this.configManager.get('last_cleanup');
+      const now = Date.now();
+      const twoDaysMs = 2 * 24 * 60 * 60 * 1000;
+
+      if (!lastCleanup || (now - parseInt(lastCleanup)) > twoDaysMs) {
+        await this.dbManager.cleanupOldData();
+        await this.configManager.set('last_cleanup', now.toString());
+      }
+
+    }, 'BusinessLogicManager.processRSSAndAI');
+  }
+
+  async processUnprocessedPosts() {
+    return Utils.withErrorHandling(async () => {
+      const { mode } = await this.configManager.getAIConfig();
+      if (mode === 'ai' && !(await this.aiManager.isAvailable())) {
+        Utils.log('WARN', 'No AI profile is configured or available, skipping post processing');
+        return;
+      }
+
+      const unprocessedPosts = await this.getUnprocessedPosts(5);
+
+      for (const post of unprocessedPosts) {
+        if (mode === 'ai' && !(await this.checkAIBudget())) {
+          break;
+        }
+
+        try {
+          Utils.log('INFO', `Processing post ${post.id}: ${post.title}`);
+
+          // 获取帖子内容
+          let content = post.content || '';
+          if (!content || content.length < 50) {
+            content = await this.fetchPostContent(post);
+          }
+
+          if (!content) {
+            Utils.log('WARN', `No content found for post ${post.id}, marking as processed`);
+            await this.dbManager.markAsProcessed('posts', 'id', post.id);
+            continue;
+          }
+
+          // 重复帖子不再调用AI和单独推送，只更新首帖的频道消息；重新排队的帖子已有总结，不再判重
+          const duplicate = (await this.getSummaryId(post.id)) ? null : await this.checkDuplicate(post, content);
+          if (duplicate) {
+            Utils.log('INFO', `Post ${post.id} is a duplicate of post ${duplicate.matchedPostId}, skipping AI`, duplicate);
+            await this.dbManager.markAsProcessed('posts', 'id', post.id);
+            try {
+              await this.telegramManager.refreshClusterMessage(this.env, duplicate.clusterId);
+            } catch (error) {
+              Utils.log('WARN', `Failed to update Telegram message for cluster ${duplicate.clusterId}`, { error: error.message });
+            }
+            continue;
+          }
+
+          // 价格识别，失败不影响AI分析
+          try {
+            await this.priceNormalizer.normalizePost(post, content);
+          } catch (error) {
+            Utils.log('WARN', `Failed to normalize price for post ${post.id}`, { error: error.message });
+          }
+
+          // 截止时间和库存限制识别
+          const deadline = await this.saveDeadline(post, content);
+
+          // 优惠码和下单链接
+          await this.saveDealLinks(post, content);
+
+          // AI分析
+          const aiResult = await this.analyzePost(post, content, mode);
+          let offers = [];
+
+          if (aiResult) {
+            // 保存AI总结
+            await this.saveSummary(post.id, aiResult.summary, aiResult.postType, aiResult.profile, aiResult.promptVersion);
+            Utils.log('INFO', `AI analysis completed for post ${post.id}`, {
+              profile: aiResult.profile,
+              cached: !!aiResult.cached,
+              postType: aiResult.postType,
+              summaryLength: aiResult.summary.length
+            });
+
+            if (aiResult.postType === '促销') {
+              // 套餐提取依赖AI，启发式结果不提取
+              if (!aiResult.heuristic) {
+                offers = await this.extractAndSaveOffers(post, content);
+              }
+
+              if (deadline?.expiresAt) {
+                await this.reminderManager.scheduleReminder(post.id, deadline.expiresAt);
+              }
+
+              await this.autoFollow(post);
+            }
+          }
+
+          // 关联商家，失败不影响帖子处理
+          try {
+            await this.providerDirectory.linkPost(post, content, {
+              postType: aiResult?.postType,
+              summary: aiResult?.summary,
+              nameHint: offers.find(offer => offer.provider)?.provider,
+              isForumPost: this.vanillaAdapter.isDiscussionUrl(post.link)
+            });
+          } catch (error) {
+            Utils.log('WARN', `Failed to link provider for post ${post.id}`, { error: error.message });
+          }
+
+          // 标记为已处理
+          await this.dbManager.markAsProcessed('posts', 'id', post.id);
+
+          // 避免请求过于频繁
+          await Utils.delay(3000);
+
+        } catch (error) {
+          Utils.log('ERROR', `Failed to process post ${post.id}`, {
+            error: error.message,
+            title: post.title
+          });
+
+          // 增加重试计数
+          const retryResult = await this.dbManager.incrementRetryCount('posts', 'id', post.id);
+          if (retryResult.reachedMaxRetries) {
+            Utils.log('WARN', `Post ${post.id} reached max retries, marked as processed`);
+          }
+        }
+      }
+    }, 'BusinessLogicManager.processUnprocessedPosts');
+  }
+
+  // 超出预算时暂停AI处理，帖子留在队列中等下个周期；每个周期只发送一次提醒
+  async checkAIBudget() {
+    const budget = await this.usageTracker.getBudgetStatus();
+    if (!budget.exceeded) {
+      return true;
+    }
+
+    Utils.log('WARN', 'AI budget exceeded, pausing AI processing', budget);
+
+    const alertedPeriod = await this.configManager.get('ai_budget_alerted_period');
+    if (alertedPeriod !== budget.periodKey) {
+      const periodName = budget.period === 'monthly' ? '本月' : '今日';
+      await this.telegramManager.broadcast(
+        `⚠️ <b>AI预算已用完</b>\n${periodName}已花费 $${budget.spentUsd.toFixed(4)}，预算 $${budget.limitUsd.toFixed(2)}\nAI处理已暂停，下个周期自动恢复。`);
+      await this.configManager.set('ai_budget_alerted_period', budget.periodKey);
+    }
+
+    return false;
+  }
+
+  // 按分析模式选择AI或启发式分类，ai_fallback 模式下AI不可用、超出预算或调用失败时改用启发式
+  // options.skipCache 为true时不读取缓存，用于手动重新生成
+  async analyzePost(post, content, mode, options = {}) {
+    if (mode === 'heuristic') {
+      return this.heuristicClassifier.classify(post, content);
+    }
+
+    if (mode === 'ai_fallback' && !(await this.aiManager.isAvailable() && await this.checkAIBudget())) {
+      Utils.log('INFO', `AI unavailable, using heuristic classifier for post ${post.id}`);
+      return this.heuristicClassifier.classify(post, content);
+    }
+
+    try {
+      return await this.analyzeWithAI(post, content, options);
+    } catch (error) {
+      if (mode !== 'ai_fallback') throw error;
+
+      Utils.log('WARN', `AI failed for post ${post.id}, using heuristic classifier`, { error: error.message });
+      return this.heuristicClassifier.classify(post, content);
+    }
+  }
+
+  // 相同提示词和模型的总结命中缓存时不再调用AI
+  async analyzeWithAI(post, content, options = {}) {
+    const aiConfig = await this.configManager.getAIConfig();
+    const template = await this.promptLibrary.resolve(post.forum);
+    const prompt = this.promptLibrary.render(template.content, post, content.substring(0, 1000));
+    const input = { prompt, outputMode: aiConfig.outputMode };
+
+    const nextProfile = options.skipCache ? null : await this.aiManager.getNextProfile();
+    const cached = nextProfile ? await this.aiCache.lookup(input, nextProfile.model) : null;
+    if (cached) return { ...cached, promptVersion: template.label };
+
+    const aiResult = await this.aiManager.callAI(prompt);
+    if (aiResult) {
+      await this.aiCache.store(input, aiResult);
+      return { ...aiResult, promptVersion: template.label };
+    }
+    return aiResult;
+  }
+
+  // 促销讨论自动关注，跟踪商家的补货、售罄等回复；失败不影响帖子处理
+  async autoFollow(post) {
+    try {
+      const { autoFollow } = await this.configManager.getFollowConfig();
+      if (autoFollow && this.vanillaAdapter.isDiscussionUrl(post.link)) {
+        await this.threadFollower.follow(post.id, { auto: true });
+      }
+    } catch (error) {
+      Utils.log('WARN', `Failed to follow discussion for post ${post.id}`, { error: error.message });
+    }
+  }
+
+  // 套餐提取失败不影响总结的保存和推送，返回提取到的套餐
+  async extractAndSaveOffers(post, content) {
+    try {
+      const offers = await this.offerExtractor.extractOffers(post, content);
+      if (offers.length > 0) {
+        await this.offerExtractor.saveOffers(post.id, offers);
+      }
+      return offers;
+    } catch (error) {
+      Utils.log('WARN', `Failed to extract offers for post ${post.id}`, { error: error.message });
+      return [];
+    }
+  }
+
+  async saveDealLinks(post, content) {
+    try {
+      const result = this.dealLinkExtractor.extract(post, content);
+      await this.env.DB.prepare(`
+        UPDATE posts SET coupon_codes = ?, order_links = ? WHERE id = ?
+      `).bind(JSON.stringify(result.couponCodes), JSON.stringify(result.orderLinks), post.id).run();
+      return result;
+    } catch (error) {
+      Utils.log('WARN', `Failed to extract coupons and order links for post ${post.id}`, { error: error.message });
+      return null;
+    }
+  }
+
+  // 重复识别失败时按新帖处理
+  async checkDuplicate(post, content) {
+    try {
+      return await this.duplicateDetector.checkPost(post, content);
+    } catch (error) {
+      Utils.log('WARN', `Failed to check duplicates for post ${post.id}`, { error: error.message });
+      return null;
+    }
+  }
+
+  // 以发布时间为基准推算"周五"、"48小时内"等截止时间，识别失败不影响AI分析
+  async saveDeadline(post, content) {
+    try {
+      const result = this.deadlineDetector.detect(`${post.title}\n${content}`, post.publish_time || Utils.getCurrentTimestamp());
+      await this.env.DB.prepare(`
+        UPDATE posts SET expires_at = ?, stock_limit = ? WHERE id = ?
+      `).bind(result.expiresAt, result.stockLimit, post.id).run();
+      return result;
+    } catch (error) {
+      Utils.log('WARN', `Failed to detect deadline for post ${post.id}`, { error: error.message });
+      return null;
+    }
+  }
+
+  // 数据库查询方法
+  async getUnprocessedPosts(limit = 5) {
+    const result = await this.env.DB.prepare(`
+      SELECT * FROM posts
+      WHERE processed = 0 AND retry_count < 3
+      ORDER BY created_at ASC
+      LIMIT ?
+    `).bind(limit).all();
+
+    return result.results || [];
+  }
+
+  // 获取帖子正文：Vanilla论坛优先读取JSON接口，失败时再抓取网页
+  async fetchPostContent(post) {
+    if (this.vanillaAdapter.isDiscussionUrl(post.link)) {
+      try {
+        const discussion = await this.vanillaAdapter.fetchDiscussion(post.link);
+        if (discussion.content) {
+          await this.saveDiscussionMeta(post.id, discussion);
+          post.links = JSON.stringify(discussion.links || []);
+          return discussion.content;
+        }
+      } catch (error) {
+        Utils.log('WARN', `Vanilla API failed for ${post.link}, falling back to scraping`, { error: error.message });
+      }
+    }
+
+    try {
+      const htmlContent = await this.networkManager.fetchLETPage(post.link);
+      const links = this.networkManager.extractPostLinks(htmlContent);
+      if (links.length > 0) {
+        post.links = JSON.stringify(links);
+        await this.env.DB.prepare(`
+          UPDATE posts SET links = ? WHERE id = ?
+        `).bind(post.links, post.id).run();
+      }
+      return this.networkManager.extractPostContent(htmlContent);
+    } catch (error) {
+      Utils.log('WARN', `Failed to fetch post content from ${post.link}`, { error: error.message });
+      return null;
+    }
+  }
+
+  async saveDiscussionMeta(postId, discussion) {
+    await this.env.DB.prepare(`
+      UPDATE posts SET
+        content = ?,
+        links = ?,
+        external_id = ?,
+        category = ?,
+        author_id = ?,
+        comment_count = ?,
+        closed = ?,
+        sink = ?
+      WHERE id = ?
+    `).bind(
+      discussion.content,
+      JSON.stringify(discussion.links || []),
+      discussion.externalId,
+      discussion.category || null,
+      discussion.authorId || null,
+      discussion.commentCount,
+      discussion.closed,
+      discussion.sink,
+      postId
+    ).run();
+  }
+
+  async getSummaryId(postId) {
+    const row = await this.env.DB.prepare(`
+      SELECT id FROM summaries WHERE post_id = ? ORDER BY created_at DESC LIMIT 1
+    `).bind(postId).first();
+    return row?.id || null;
+  }
+
+  // 重新处理的帖子更新原有总结，保留推送状态和频道消息ID，避免重复推送
+  async saveSummary(postId, summary, postType, aiProfile = null, promptVersion = null) {
+    const existingId = await this.getSummaryId(postId);
+    if (existingId) {
+      await this.env.DB.prepare(`
+        UPDATE summaries SET summary = ?, post_type = ?, ai_profile = ?, prompt_version = ? WHERE id = ?
+      `).bind(summary, postType, aiProfile, promptVersion || null, existingId).run();
+      return existingId;
+    }
+
+    const result = await this.env.DB.prepare(`
+      INSERT INTO summaries (post_id, summary, post_type, ai_profile, prompt_version, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(postId, summary, postType, aiProfile, promptVersion || null, Utils.getCurrentTimestamp()).run();
+    return result.meta?.last_row_id;
+  }
+
+  // 失败的帖子：重试次数用完，或已处理但没有总结（获取正文失败等），重复帖除外
+  failedPostCondition() {
+    return `(p.retry_count >= 3 OR (p.processed = 1
+      AND NOT EXISTS (SELECT 1 FROM summaries s WHERE s.post_id = p.id)
+      AND (p.cluster_id IS NULL OR p.cluster_id = p.id)))`;
+  }
+
+  async listFailedPosts(limit = 20) {
+    const result = await this.env.DB.prepare(`
+      SELECT p.id, p.forum, p.title, p.link, p.retry_count, p.created_at FROM posts p
+      WHERE ${this.failedPostCondition()}
+      ORDER BY p.created_at DESC
+      LIMIT ?
+    `).bind(limit).all();
+    return result.results || [];
+  }
+
+  async listRecentSummaries(limit = 20) {
+    const result = await this.env.DB.prepare(`
+      SELECT s.id, s.post_id, s.summary, s.post_type, s.sent_to_telegram, s.ai_profile, s.prompt_version,
+             p.forum, p.title, p.link,
+             (SELECT COUNT(*) FROM telegram_deliveries d WHERE d.summary_id = s.id AND d.status = 'sent') AS delivered_count
+      FROM summaries s
+      JOIN posts p ON s.post_id = p.id
+      ORDER BY s.created_at DESC
+      LIMIT ?
+    `).bind(limit).all();
+    return result.results || [];
+  }
+
+  // 清除处理状态和重试次数，下个周期重新走完整处理流程
+  async requeuePost(postId) {
+    const result = await this.env.DB.prepare(`
+      UPDATE posts SET processed = 0, retry_count = 0 WHERE id = ?
+    `).bind(postId).run();
+    return result.meta?.changes > 0;
+  }
+
+  // filter: forum、from/to（YYYY-MM-DD，按发布时间，含当天）、failedOnly；dryRun 时只返回匹配数量
+  async requeuePosts(filter = {}, dryRun = false) {
+    const conditions = [];
+    const params = [];
+
+    if (filter.forum) {
+      conditions.push('p.forum = ?');
+      params.push(filter.forum);
+    }
+    if (filter.from) {
+      conditions.push("COALESCE(NULLIF(p.publish_time, ''), p.created_at) >= ?");
+      params.push(new Date(`${filter.from}T00:00:00Z`).toISOString());
+    }
+    if (filter.to) {
+      conditions.push("COALESCE(NULLIF(p.publish_time, ''), p.created_at) < ?");
+      params.push(new Date(new Date(`${filter.to}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000).toISOString());
+    }
+    if (filter.failedOnly) {
+      conditions.push(this.failedPostCondition());
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    if (dryRun) {
+      const row = await this.env.DB.prepare(`
+        SELECT COUNT(*) AS count FROM posts p ${where}
+      `).bind(...params).first();
+      return row?.count || 0;
+    }
+
+    const result = await this.env.DB.prepare(`
+      UPDATE posts SET processed = 0, retry_count = 0
+      WHERE id IN (SELECT p.id FROM posts p ${where})
+    `).bind(...params).run();
+
+    Utils.log('INFO', `Requeued ${result.meta?.changes || 0} posts`, filter);
+    return result.meta?.changes || 0;
+  }
+
+  // 立即重新生成总结（不使用缓存），telegram: none 不处理，edit 编辑已推送的消息，resend 下次推送时重新发送
+  async regenerateSummary(postId, telegram = 'none') {
+    const post = await this.env.DB.prepare(`
+      SELECT * FROM posts WHERE id = ?
+    `).bind(postId).first();
+    if (!post) return null;
+
+    let content = post.content || '';
+    if (content.length < 50) {
+      content = (await this.fetchPostContent(post)) || content;
+    }
+    if (!content) {
+      throw new Error('无法获取帖子内容');
+    }
+
+    const { mode } = await this.configManager.getAIConfig();
+    if (mode === 'ai' && !(await this.checkAIBudget())) {
+      throw new Error('已超出AI预算');
+    }
+
+    const aiResult = await this.analyzePost(post, content, mode, { skipCache: true });
+    const summaryId = await this.saveSummary(post.id, aiResult.summary, aiResult.postType, aiResult.profile, aiResult.promptVersion);
+    await this.env.DB.prepare(`
+      UPDATE posts SET processed = 1, retry_count = 0 WHERE id = ?
+    `).bind(post.id).run();
+
+    if (aiResult.postType === '促销' && !aiResult.heuristic) {
+      await this.extractAndSaveOffers(post, content);
+    }
+
+    let telegramResult = null;
+    if (telegram === 'edit') {
+      telegramResult = await this.telegramManager.refreshPostMessage(this.env, post.id);
+    } else if (telegram === 'resend') {
+      await this.env.DB.prepare(`
+        UPDATE summaries SET sent_to_telegram = 0, telegram_message_id = NULL WHERE id = ?
+      `).bind(summaryId).run();
+      await this.destinationManager.clearDeliveries(summaryId);
+      telegramResult = true;
+    }
+
+    Utils.log('INFO', `Summary regenerated for post ${post.id}`, { profile: aiResult.profile, telegram });
+    return { summaryId, ...aiResult, telegramResult };
+  }
+}
+
+// ==================== 路由管理器 ====================
+
+class Router {
+  constructor() {
+    this.routes = new Map();
+    this.paramRoutes = [];
+    this.middlewares = [];
+  }
+
+  use(middleware) {
+    this.middlewares.push(middleware);
+  }
+
+  get(path, handler) {
+    this.addRoute('GET', path, handler);
+  }
+
+  post(path, handler) {
+    this.addRoute('POST', path, handler);
+  }
+
+  delete(path, handler) {
+    this.addRoute('DELETE', path, handler);
+  }
+
+  addRoute(method, path, handler) {
+    // 带参数的路由（如 /api/sources/:id）按顺序逐条匹配
+    if (path.includes('/:')) {
+      const paramNames = [];
+      const pattern = path.replace(/:([A-Za-z_]+)/g, (_, name) => {
+        paramNames.push(name);
+        return '([^/]+)';
+      });
+      this.paramRoutes.push({ method, regex: new RegExp(`^${pattern}$`), paramNames, handler });
+      return;
+    }
+
+    const key = `${method}:${path}`;
+    this.routes.set(key, handler);
+  }
+
+  matchParamRoute(method, path) {
+    for (const route of this.paramRoutes) {
+      if (route.method !== method) continue;
+      const match = path.match(route.regex);
+      if (match) {
+        const params = {};
+        route.paramNames.forEach((name, index) => {
+          params[name] = decodeURIComponent(match[index + 1]);
+        });
+        return { handler: route.handler, params };
+      }
+    }
+    return null;
+  }
+
+  async handle(request, env, ctx) {
+    const url = new URL(request.url);
+    const path = url.pathname;
+    const method = request.method;
+    const key = `${method}:${path}`;
+
+    // 执行中间件
+    for (const middleware of this.middlewares) {
+      const result = await middleware(request, env, ctx);
+      if (result) return result;
+    }
+
+    // 查找路由处理器
+    const handler = this.routes.get(key);
+    if (handler) {
+      return await handler(request, env, ctx);
+    }
+
+    const paramRoute = this.matchParamRoute(method, path);
+    if (paramRoute) {
+      return await paramRoute.handler(request, env, ctx, paramRoute.params);
+    }
+
+    return new Response('Not Found', { status: 404 });
+  }
+}
+
+// ==================== 主要处理函数 ====================
+
+// 管理员密码可以通过 ?password= 或 Authorization 请求头提供
+function getAdminCredential(request) {
+  return new URL(request.url).searchParams.get('password') || request.headers.get('Authorization') || '';
+}
+
+// 认证中间件
+async function authMiddleware(request, env, ctx) {
+  const url = new URL(request.url);
+  const path = url.pathname;
+
+  // 跳过API路由的认证检查，Telegram Webhook使用secret_token单独校验
+  if (path.startsWith('/api/') || path === '/telegram/webhook') {
+    return null;
+  }
+
+  const adminPassword = env.ADMIN_PASSWORD || 'admin123';
+
+  if (getAdminCredential(request) !== adminPassword) {
+    // /admin/ 下都是页面脚本调用的JSON接口，返回401而不是登录页
+    if (path.startsWith('/admin/')) {
+      return Utils.jsonResponse({ success: false, message: '未授权，请重新登录管理面板' }, 401);
+    }
+    return new Response(getLoginPage(), {
+      headers: { 'Content-Type': 'text/html; charset=utf-8' }
+    });
+  }
+
+  return null;
+}
+
+// 主页处理
+async function handleHomePage(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const url = new URL(request.url);
+    const providerQuery = url.searchParams.get('provider_q') || '';
+
+    const prompts = await businessLogic.promptLibrary.listTemplates();
+    const promptVersions = {};
+    for (const template of prompts) {
+      promptVersions[template.id] = await businessLogic.promptLibrary.listVersions(template.id);
+    }
+
+    const stats = await getSystemStatus(env.DB);
+    const panel = {
+      sources: await businessLogic.sourceManager.listSources(),
+      syncConfig: await businessLogic.configManager.getSyncConfig(),
+      rules: await businessLogic.ruleEngine.listRules(),
+      currencyRates: await businessLogic.priceNormalizer.listRates(),
+      reminders: await businessLogic.reminderManager.listReminders(),
+      reminderConfig: await businessLogic.configManager.getReminderConfig(),
+      follows: await businessLogic.threadFollower.listThreads(),
+      followConfig: await businessLogic.configManager.getFollowConfig(),
+      botConfig: await businessLogic.configManager.getBotConfig(),
+      destinations: await businessLogic.destinationManager.listDestinations(),
+      deliveryStats: await businessLogic.destinationManager.getDeliveryStats(),
+      providers: await businessLogic.providerDirectory.listProviders(providerQuery),
+      failedPosts: await businessLogic.listFailedPosts(),
+      recentSummaries: await businessLogic.listRecentSummaries(),
+      aiCacheStats: await businessLogic.aiCache.getStats(),
+      aiUsage: await businessLogic.usageTracker.getUsageReport(),
+      aiPrices: await businessLogic.usageTracker.listPrices(),
+      aiCacheConfig: await businessLogic.configManager.getAICacheConfig(),
+      prompts,
+      promptVersions,
+      aiMode: (await businessLogic.configManager.getAIConfig()).mode,
+      aiOutputMode: (await businessLogic.configManager.getAIConfig()).outputMode,
+      aiProfiles: (await businessLogic.aiProfileManager.listProfiles()).map(profile => businessLogic.aiProfileManager.toPublic(profile)),
+      aiSummaryCounts: await businessLogic.aiProfileManager.getSummaryCounts(),
+      adminCredential: getAdminCredential(request),
+      providerQuery
+    };
+    return new Response(getAdminPage(stats, panel), {
+      headers: { 'Content-Type': 'text/html; charset=utf-8' }
+    });
+  }, 'handleHomePage');
+}
+
+// 手动同步处理
+async function handleManualSync(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    Utils.log('INFO', 'Manual sync triggered');
+    await businessLogic.processRSSAndAI({ forceSync: true });
+
+    return new Response(JSON.stringify({
+      success: true,
+      message: 'RSS同步和AI处理已完成'
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }, 'handleManualSync');
+}
+
+// 系统状态处理
+async function handleStatus(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const stats = await getSystemStatus(env.DB);
+    return new Response(JSON.stringify(stats), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }, 'handleStatus');
+}
+
+// 配置处理函数
+async function handleAISettings(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    if (request.method === 'POST') {
+      const formData = await request.formData();
+      const settings = {
+        ai_provider: formData.get('ai_provider'),
+        ai_url: formData.get('ai_url'),
+        ai_api_key: formData.get('ai_api_key'),
+        ai_model: formData.get('ai_model'),
+        ai_prompt: formData.get('ai_prompt'),
+        ai_mode: formData.get('ai_mode'),
+        ai_output_mode: formData.get('ai_output_mode'),
+        ai_temperature: formData.get('ai_temperature'),
+        ai_max_tokens: formData.get('ai_max_tokens'),
+        ai_timeout_ms: formData.get('ai_timeout_ms')
+      };
+
+      if (settings.ai_provider && !AI_PROVIDERS[settings.ai_provider]) {
+        return Utils.jsonResponse({ success: false, message: `不支持的AI提供商: ${settings.ai_provider}` }, 400);
+      }
+      // 只修改提供商或温度之一时，用已保存的另一项校验温度范围
+      const currentAI = await businessLogic.configManager.getAIConfig();
+      const maxTemperature = AI_PROVIDERS[settings.ai_provider || currentAI.provider]?.maxTemperature ?? AI_MAX_TEMPERATURE;
+      const temperature = settings.ai_temperature ? parseFloat(settings.ai_temperature) : currentAI.temperature;
+      if (!(temperature >= 0 && temperature <= maxTemperature)) {
+        return Utils.jsonResponse({ success: false, message: `温度必须在0到${maxTemperature}之间` }, 400);
+      }
+      for (const key of ['ai_max_tokens', 'ai_timeout_ms']) {
+        if (settings[key] && !(/^\d+$/.test(settings[key]) && parseInt(settings[key]) > 0)) {
+          return Utils.jsonResponse({ success: false, message: '最大token数和超时时间必须为正整数' }, 400);
+        }
+      }
+
+      if (settings.ai_mode && !AI_MODES.includes(settings.ai_mode)) {
+        return Utils.jsonResponse({ success: false, message: '不支持的分析模式' }, 400);
+      }
+      if (settings.ai_output_mode && !AI_OUTPUT_MODES.includes(settings.ai_output_mode)) {
+        return Utils.jsonResponse({ success: false, message: '不支持的输出模式' }, 400);
+      }
+
+      for (const [key, value] of Object.entries(settings)) {
+        if (value) {
+          await businessLogic.configManager.set(key, value);
+        }
+      }
+
+      return new Response(JSON.stringify({ success: true, message: 'AI配置已保存' }), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const config = await businessLogic.configManager.getAIConfig();
+    return new Response(JSON.stringify(config), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }, 'handleAISettings');
+}
+
+async function handleTelegramSettings(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    if (request.method === 'POST') {
+      const formData = await request.formData();
+      const settings = {
+        tg_bot_token: formData.get('tg_bot_token')
+      };
+
+      for (const [key, value] of Object.entries(settings)) {
+        if (value) {
+          await businessLogic.configManager.set(key, value);
+        }
+      }
+
+      return new Response(JSON.stringify({ success: true, message: 'Telegram配置已保存' }), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const config = await businessLogic.configManager.getTelegramConfig();
+    return new Response(JSON.stringify(config), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }, 'handleTelegramSettings');
+}
+
+async function handleSyncSettings(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    if (request.method === 'POST') {
+      const formData = await request.formData();
+      const settings = {
+        rss_concurrency: formData.get('rss_concurrency'),
+        rss_host_delay_ms: formData.get('rss_host_delay_ms')
+      };
+
+      for (const [key, value] of Object.entries(settings)) {
+        if (value && !/^\d+$/.test(value)) {
+          return Utils.jsonResponse({ success: false, message: '抓取设置必须为非负整数' }, 400);
+        }
+      }
+
+      for (const [key, value] of Object.entries(settings)) {
+        if (value) {
+          await businessLogic.configManager.set(key, value);
+        }
+      }
+
+      return Utils.jsonResponse({ success: true, message: '抓取设置已保存' });
+    }
+
+    const config = await businessLogic.configManager.getSyncConfig();
+    return Utils.jsonResponse(config);
+  }, 'handleSyncSettings');
+}
+
+async function handleReminderSettings(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    if (request.method === 'POST') {
+      const formData = await request.formData();
+      const leadMinutes = formData.get('reminder_lead_minutes');
+      if (!/^\d+$/.test(leadMinutes || '') || parseInt(leadMinutes) <= 0) {
+        return Utils.jsonResponse({ success: false, message: '提前提醒时间必须为正整数（分钟）' }, 400);
+      }
+
+      await businessLogic.configManager.set('reminder_lead_minutes', leadMinutes);
+      return Utils.jsonResponse({ success: true, message: '提醒设置已保存' });
+    }
+
+    const config = await businessLogic.configManager.getReminderConfig();
+    return Utils.jsonResponse(config);
+  }, 'handleReminderSettings');
+}
+
+async function handleAICacheSettings(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    if (request.method === 'POST') {
+      const formData = await request.formData();
+      const ttlHours = formData.get('ai_cache_ttl_hours');
+      if (!/^\d+$/.test(ttlHours || '')) {
+        return Utils.jsonResponse({ success: false, message: '缓存有效期必须为非负整数（小时）' }, 400);
+      }
+
+      await businessLogic.configManager.set('ai_cache_ttl_hours', ttlHours);
+      return Utils.jsonResponse({ success: true, message: '缓存设置已保存' });
+    }
+
+    const config = await businessLogic.configManager.getAICacheConfig();
+    const stats = await businessLogic.aiCache.getStats();
+    return Utils.jsonResponse({ ...config, ...stats });
+  }, 'handleAICacheSettings');
+}
+
+async function handleAICachePurge(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const purged = await businessLogic.aiCache.purge();
+    return Utils.jsonResponse({ success: true, message: `已清空 ${purged} 条缓存`, purged });
+  }, 'handleAICachePurge');
+}
+
+// AI用量和预算
+async function handleAIUsage(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const report = await businessLogic.usageTracker.getUsageReport();
+    return Utils.jsonResponse(report);
+  }, 'handleAIUsage');
+}
+
+async function handleAIBudgetSettings(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    if (request.method === 'POST') {
+      const formData = await request.formData();
+      const period = formData.get('ai_budget_period');
+      const limitUsd = formData.get('ai_budget_usd');
+      if (!AI_BUDGET_PERIODS.includes(period)) {
+        return Utils.jsonResponse({ success: false, message: '预算周期必须为daily或monthly' }, 400);
+      }
+      if (!(parseFloat(limitUsd) >= 0)) {
+        return Utils.jsonResponse({ success: false, message: '预算必须为非负数（美元）' }, 400);
+      }
+
+      await businessLogic.configManager.set('ai_budget_period', period);
+      await businessLogic.configManager.set('ai_budget_usd', String(parseFloat(limitUsd)));
+      return Utils.jsonResponse({ success: true, message: '预算设置已保存' });
+    }
+
+    const budget = await businessLogic.usageTracker.getBudgetStatus();
+    return Utils.jsonResponse(budget);
+  }, 'handleAIBudgetSettings');
+}
+
+async function handleAIPrices(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    if (request.method === 'POST') {
+      const formData = await request.formData();
+      const model = (formData.get('model') || '').trim();
+      try {
+        await businessLogic.usageTracker.setPrice(
+          model,
+          parseFloat(formData.get('input_per_1k')),
+          parseFloat(formData.get('output_per_1k'))
+        );
+        return Utils.jsonResponse({ success: true, message: `${model}价格已保存` });
+      } catch (error) {
+        return Utils.jsonResponse({ success: false, message: error.message }, 400);
+      }
+    }
+
+    const prices = await businessLogic.usageTracker.listPrices();
+    return Utils.jsonResponse(prices);
+  }, 'handleAIPrices');
+}
+
+async function handleAIPriceDelete(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const deleted = await businessLogic.usageTracker.deletePrice(parseInt(params.id));
+    return Utils.jsonResponse({
+      success: deleted,
+      message: deleted ? '价格已删除' : '价格不存在'
+    }, deleted ? 200 : 404);
+  }, 'handleAIPriceDelete');
+}
+
+// 测试函数
+async function handleAITest(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    // 使用实际生效的提示词，?forum= 可指定数据源以测试分配给它的模板
+    const forum = new URL(request.url).searchParams.get('forum') || '';
+    const template = await businessLogic.promptLibrary.resolve(forum);
+    const testPost = {
+      title: '[VPS] 测试促销 - 2核4G内存',
+      forum,
+      author: 'test',
+      publish_time: Utils.getCurrentTimestamp(),
+      link: 'https://example.com/discussion/1'
+    };
+    let result;
+    try {
+      result = await businessLogic.aiManager.callAI(
+        businessLogic.promptLibrary.render(template.content, testPost, '测试内容：VPS促销，2核4G内存，月付$5，年付$50')
+      );
+    } catch (error) {
+      // 所有配置都失败时返回每个配置的失败原因
+      return Utils.jsonResponse({
+        success: false,
+        prompt: template.label || 'AI配置',
+        error: error.message,
+        attempts: error.attempts || []
+      });
+    }
+
+    return new Response(JSON.stringify({
+      success: !!result,
+      prompt: template.label || 'AI配置',
+      result: result || '测试失败'
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }, 'handleAITest');
+}
+
+// 向所有启用的推送目标发送测试消息
+async function handleTelegramTest(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const config = await businessLogic.configManager.getTelegramConfig();
+    const destinations = await businessLogic.destinationManager.getActiveDestinations();
+    if (destinations.length === 0) {
+      return Utils.jsonResponse({ success: false, message: '没有启用的推送目标' });
+    }
+
+    const failed = [];
+    for (const destination of destinations) {
+      const success = await businessLogic.telegramManager.testConnection(businessLogic.telegramManager.destinationConfig(config, destination));
+      if (!success) failed.push(destination.name);
+    }
+
+    return Utils.jsonResponse({
+      success: failed.length === 0,
+      message: failed.length === 0
+        ? `Telegram连接测试成功（${destinations.length}个推送目标）`
+        : `Telegram连接测试失败：${failed.join('、')}`
+    });
+  }, 'handleTelegramTest');
+}
+
+// Telegram机器人
+async function handleBotSettings(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    if (request.method === 'POST') {
+      const formData = await request.formData();
+      const adminIds = (formData.get('tg_admin_ids') || '').split(',').map(id => id.trim()).filter(Boolean);
+      const webhookSecret = (formData.get('tg_webhook_secret') || '').trim();
+      if (adminIds.some(id => !/^\d+$/.test(id))) {
+        return Utils.jsonResponse({ success: false, message: '管理员ID必须为数字Telegram用户ID，多个用逗号分隔' }, 400);
+      }
+      if (webhookSecret && !/^[A-Za-z0-9_-]{1,256}$/.test(webhookSecret)) {
+        return Utils.jsonResponse({ success: false, message: 'Webhook密钥只能包含字母、数字、下划线和连字符，最长256个字符' }, 400);
+      }
+
+      await businessLogic.configManager.set('tg_admin_ids', adminIds.join(','));
+      // 密钥留空时保留原密钥
+      if (webhookSecret) {
+        await businessLogic.configManager.set('tg_webhook_secret', webhookSecret);
+      }
+      return Utils.jsonResponse({
+        success: true,
+        message: webhookSecret ? '机器人设置已保存，修改密钥后需要重新设置Webhook' : '机器人设置已保存'
+      });
+    }
+
+    const config = await businessLogic.configManager.getBotConfig();
+    return Utils.jsonResponse({ adminIds: config.adminIds, hasWebhookSecret: !!config.webhookSecret });
+  }, 'handleBotSettings');
+}
+
+// 把当前Worker地址注册为机器人的Webhook
+async function handleTelegramWebhookSetup(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const webhookUrl = `${new URL(request.url).origin}/telegram/webhook`;
+    try {
+      await businessLogic.telegramBot.setupWebhook(webhookUrl);
+      return Utils.jsonResponse({ success: true, message: `Webhook已设置：${webhookUrl}` });
+    } catch (error) {
+      return Utils.jsonResponse({ success: false, message: error.message }, 400);
+    }
+  }, 'handleTelegramWebhookSetup');
+}
+
+// 命令执行出错时也返回200，避免Telegram反复重发同一条update
+async function handleTelegramWebhook(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    // 先校验密钥再初始化数据库，未通过校验的请求不触发初始化
+    const businessLogic = new BusinessLogicManager(env);
+    if (!(await businessLogic.telegramBot.verifySecret(request))) {
+      Utils.log('WARN', 'Rejected Telegram webhook request with invalid secret token');
+      return Utils.jsonResponse({ success: false, message: 'Forbidden' }, 403);
+    }
+    await businessLogic.init();
+
+    let update;
+    try {
+      update = await request.json();
+    } catch (error) {
+      return Utils.jsonResponse({ success: false, message: '无效的JSON' }, 400);
+    }
+
+    try {
+      await businessLogic.telegramBot.handleUpdate(update, ctx);
+    } catch (error) {
+      Utils.log('ERROR', 'Failed to handle Telegram update', { updateId: update.update_id, error: error.message });
+    }
+    return Utils.jsonResponse({ success: true });
+  }, 'handleTelegramWebhook');
+}
+
+// 推送目标
+function parseDestinationForm(formData) {
+  const data = {};
+  for (const field of ['name', 'chat_id']) {
+    const value = formData.get(field);
+    if (value !== null) data[field] = value.trim();
+  }
+  // 留空表示发到频道或群组的主对话
+  if (formData.has('thread_id')) {
+    data.thread_id = formData.get('thread_id').trim() === '' ? null : Number(formData.get('thread_id'));
+  }
+  if (formData.has('forums')) {
+    data.forums = formData.get('forums').split(',').map(item => item.trim()).filter(Boolean);
+  }
+  // 复选框全部未勾选时不会提交该字段，提交完整表单时视为不限
+  if (formData.has('name')) {
+    data.post_types = formData.getAll('post_types').filter(Boolean);
+  }
+  if (formData.has('enabled')) {
+    data.enabled = formData.get('enabled') === '1';
+  }
+  return data;
+}
+
+async function handleDestinations(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    if (request.method === 'POST') {
+      const formData = await request.formData();
+      try {
+        const id = await businessLogic.destinationManager.createDestination(parseDestinationForm(formData));
+        return Utils.jsonResponse({ success: true, message: '推送目标已添加', id });
+      } catch (error) {
+        return Utils.jsonResponse({ success: false, message: error.message }, 400);
+      }
+    }
+
+    const destinations = await businessLogic.destinationManager.listDestinations();
+    const stats = await businessLogic.destinationManager.getDeliveryStats();
+    return Utils.jsonResponse(destinations.map(destination => ({
+      ...destination,
+      delivered: stats[destination.id]?.sent || 0,
+      failed: stats[destination.id]?.failed || 0,
+      last_sent_at: stats[destination.id]?.last_sent_at || null
+    })));
+  }, 'handleDestinations');
+}
+
+async function handleDestinationUpdate(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const formData = await request.formData();
+    try {
+      const updated = await businessLogic.destinationManager.updateDestination(parseInt(params.id), parseDestinationForm(formData));
+      return Utils.jsonResponse({
+        success: updated,
+        message: updated ? '推送目标已更新' : '推送目标不存在或没有变更'
+      }, updated ? 200 : 404);
+    } catch (error) {
+      return Utils.jsonResponse({ success: false, message: error.message }, 400);
+    }
+  }, 'handleDestinationUpdate');
+}
+
+async function handleDestinationDelete(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const deleted = await businessLogic.destinationManager.deleteDestination(parseInt(params.id));
+    return Utils.jsonResponse({
+      success: deleted,
+      message: deleted ? '推送目标已删除' : '推送目标不存在'
+    }, deleted ? 200 : 404);
+  }, 'handleDestinationDelete');
+}
+
+// 单独测试某个推送目标，停用的目标也可以测试
+async function handleDestinationTest(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const destination = await businessLogic.destinationManager.getDestination(parseInt(params.id));
+    if (!destination) {
+      return Utils.jsonResponse({ success: false, message: '推送目标不存在' }, 404);
+    }
+
+    const config = await businessLogic.configManager.getTelegramConfig();
+    const success = await businessLogic.telegramManager.testConnection(businessLogic.telegramManager.destinationConfig(config, destination));
+    return Utils.jsonResponse({
+      success,
+      message: success
+        ? `${destination.name} 测试成功`
+        : `${destination.name} 测试失败${businessLogic.telegramManager.lastError ? `: ${businessLogic.telegramManager.lastError}` : ''}`
+    });
+  }, 'handleDestinationTest');
+}
+
+// 数据源管理
+async function handleSources(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    if (request.method === 'POST') {
+      const formData = await request.formData();
+      try {
+        const id = await businessLogic.sourceManager.createSource({
+          name: formData.get('name')?.trim(),
+          url: formData.get('url')?.trim(),
+          type: formData.get('type') || 'rss',
+          poll_interval_minutes: formData.get('poll_interval_minutes') ? parseInt(formData.get('poll_interval_minutes')) : undefined,
+          emoji: formData.get('emoji')?.trim(),
+          forum_group: formData.get('forum_group')?.trim()
+        });
+        return Utils.jsonResponse({ success: true, message: '数据源已添加', id });
+      } catch (error) {
+        return Utils.jsonResponse({ success: false, message: error.message }, 400);
+      }
+    }
+
+    const sources = await businessLogic.sourceManager.listSources();
+    return Utils.jsonResponse(sources);
+  }, 'handleSources');
+}
+
+async function handleSourceUpdate(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const formData = await request.formData();
+    const data = {};
+    for (const field of ['name', 'url', 'type', 'emoji']) {
+      const value = formData.get(field);
+      if (value) data[field] = value.trim();
+    }
+    // 论坛分组和轮询间隔提交空值时清空（轮询间隔为空表示每次定时任务都抓取）
+    if (formData.has('forum_group')) {
+      data.forum_group = formData.get('forum_group').trim() || null;
+    }
+    if (formData.has('poll_interval_minutes')) {
+      const interval = formData.get('poll_interval_minutes').trim();
+      data.poll_interval_minutes = interval ? parseInt(interval) : null;
+    }
+    if (formData.has('enabled')) {
+      data.enabled = formData.get('enabled') === '1';
+    }
+
+    try {
+      const updated = await businessLogic.sourceManager.updateSource(params.id, data);
+      return Utils.jsonResponse({
+        success: updated,
+        message: updated ? '数据源已更新' : '数据源不存在或没有变更'
+      }, updated ? 200 : 404);
+    } catch (error) {
+      return Utils.jsonResponse({ success: false, message: error.message }, 400);
+    }
+  }, 'handleSourceUpdate');
+}
+
+async function handleSourceDelete(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const deleted = await businessLogic.sourceManager.deleteSource(params.id);
+    return Utils.jsonResponse({
+      success: deleted,
+      message: deleted ? '数据源已删除' : '数据源不存在'
+    }, deleted ? 200 : 404);
+  }, 'handleSourceDelete');
+}
+
+async function handleSourceTest(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const formData = await request.formData();
+    const url = formData.get('url')?.trim();
+    const type = formData.get('type') || 'rss';
+    if (!url) {
+      return Utils.jsonResponse({ success: false, message: '缺少RSS地址' }, 400);
+    }
+    // 与保存数据源相同的校验，只允许抓取http(s)地址
+    try {
+      businessLogic.sourceManager.validateSource({ url, type }, true);
+    } catch (error) {
+      return Utils.jsonResponse({ success: false, message: error.message }, 400);
+    }
+
+    try {
+      const result = await businessLogic.rssParser.testFeed(url, type);
+      return Utils.jsonResponse({
+        success: result.itemCount > 0,
+        message: result.itemCount > 0 ? `获取到${result.itemCount}条内容` : '未解析到任何内容',
+        ...result
+      });
+    } catch (error) {
+      return Utils.jsonResponse({ success: false, message: `测试失败: ${error.message}` });
+    }
+  }, 'handleSourceTest');
+}
+
+// 推送规则管理
+function parseRuleForm(formData) {
+  const text = field => (formData.get(field) || '').trim();
+  const list = field => text(field).split(',').map(item => item.trim()).filter(Boolean);
+  const number = field => text(field) ? parseFloat(text(field)) : undefined;
+
+  const conditions = {
+    forums: list('forums'),
+    titleRegex: text('title_regex'),
+    summaryRegex: text('summary_regex'),
+    authors: list('authors'),
+    postType: text('post_type'),
+    minPrice: number('min_price'),
+    maxPrice: number('max_price'),
+    minRamGB: number('min_ram_gb'),
+    maxRamGB: number('max_ram_gb')
+  };
+
+  // 去掉未填写的条件，保持存储的JSON简洁
+  for (const [key, value] of Object.entries(conditions)) {
+    if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+      delete conditions[key];
+    }
+  }
+
+  const actions = [];
+  if (formData.get('action_suppress')) actions.push({ type: 'suppress' });
+  if (formData.get('action_pin')) actions.push({ type: 'pin' });
+  for (const tag of list('action_tags')) {
+    actions.push({ type: 'tag', tag: tag.replace(/^#/, '') });
+  }
+  for (const chatId of list('action_chat_ids')) {
+    actions.push({ type: 'push', chatId });
+  }
+
+  return {
+    name: text('name'),
+    priority: parseInt(text('priority')) || 0,
+    enabled: formData.get('enabled') !== '0',
+    conditions,
+    actions
+  };
+}
+
+async function handleRules(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    if (request.method === 'POST') {
+      const formData = await request.formData();
+      try {
+        const id = await businessLogic.ruleEngine.createRule(parseRuleForm(formData));
+        return Utils.jsonResponse({ success: true, message: '规则已添加', id });
+      } catch (error) {
+        return Utils.jsonResponse({ success: false, message: error.message }, 400);
+      }
+    }
+
+    const rules = await businessLogic.ruleEngine.listRules();
+    return Utils.jsonResponse(rules);
+  }, 'handleRules');
+}
+
+async function handleRuleUpdate(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const formData = await request.formData();
+    try {
+      // 只提交enabled字段时仅切换启用状态
+      const updated = formData.has('name')
+        ? await businessLogic.ruleEngine.updateRule(params.id, parseRuleForm(formData))
+        : await businessLogic.ruleEngine.setRuleEnabled(params.id, formData.get('enabled') === '1');
+
+      return Utils.jsonResponse({
+        success: updated,
+        message: updated ? '规则已更新' : '规则不存在'
+      }, updated ? 200 : 404);
+    } catch (error) {
+      return Utils.jsonResponse({ success: false, message: error.message }, 400);
+    }
+  }, 'handleRuleUpdate');
+}
+
+// 提示词模板
+function parsePromptForm(formData) {
+  const data = {};
+  for (const field of ['name', 'content', 'note']) {
+    const value = formData.get(field);
+    if (value !== null) data[field] = field === 'content' ? value : value.trim();
+  }
+  if (formData.has('forums')) {
+    data.forums = formData.get('forums').split(',').map(item => item.trim()).filter(Boolean);
+  }
+  if (formData.has('is_default')) {
+    data.is_default = formData.get('is_default') === '1';
+  }
+  return data;
+}
+
+async function handlePrompts(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    if (request.method === 'POST') {
+      const formData = await request.formData();
+      try {
+        const id = await businessLogic.promptLibrary.createTemplate(parsePromptForm(formData));
+        return Utils.jsonResponse({ success: true, message: '提示词模板已添加', id });
+      } catch (error) {
+        return Utils.jsonResponse({ success: false, message: error.message }, 400);
+      }
+    }
+
+    const templates = await businessLogic.promptLibrary.listTemplates();
+    return Utils.jsonResponse(templates);
+  }, 'handlePrompts');
+}
+
+async function handlePromptUpdate(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const formData = await request.formData();
+    try {
+      const updated = await businessLogic.promptLibrary.updateTemplate(parseInt(params.id), parsePromptForm(formData));
+      return Utils.jsonResponse({
+        success: updated,
+        message: updated ? '提示词模板已保存' : '提示词模板不存在'
+      }, updated ? 200 : 404);
+    } catch (error) {
+      return Utils.jsonResponse({ success: false, message: error.message }, 400);
+    }
+  }, 'handlePromptUpdate');
+}
+
+async function handlePromptDelete(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const deleted = await businessLogic.promptLibrary.deleteTemplate(parseInt(params.id));
+    return Utils.jsonResponse({
+      success: deleted,
+      message: deleted ? '提示词模板已删除' : '提示词模板不存在'
+    }, deleted ? 200 : 404);
+  }, 'handlePromptDelete');
+}
+
+async function handlePromptVersions(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const versions = await businessLogic.promptLibrary.listVersions(parseInt(params.id));
+    return Utils.jsonResponse(versions);
+  }, 'handlePromptVersions');
+}
+
+async function handlePromptRollback(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const formData = await request.formData();
+    const version = parseInt(formData.get('version'));
+    const rolledBack = await businessLogic.promptLibrary.rollback(parseInt(params.id), version);
+    return Utils.jsonResponse({
+      success: rolledBack,
+      message: rolledBack ? `已回滚到 v${version}` : '版本不存在'
+    }, rolledBack ? 200 : 404);
+  }, 'handlePromptRollback');
+}
+
+async function handleRuleDelete(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const deleted = await businessLogic.ruleEngine.deleteRule(params.id);
+    return Utils.jsonResponse({
+      success: deleted,
+      message: deleted ? '规则已删除' : '规则不存在'
+    }, deleted ? 200 : 404);
+  }, 'handleRuleDelete');
+}
+
+// 汇率管理
+async function handleCurrencyRates(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    if (request.method === 'POST') {
+      const formData = await request.formData();
+      const currency = (formData.get('currency') || '').trim().toUpperCase();
+      try {
+        await businessLogic.priceNormalizer.setRate(currency, parseFloat(formData.get('usd_rate')));
+        return Utils.jsonResponse({ success: true, message: `${currency}汇率已保存` });
+      } catch (error) {
+        return Utils.jsonResponse({ success: false, message: error.message }, 400);
+      }
+    }
+
+    const rates = await businessLogic.priceNormalizer.listRates();
+    return Utils.jsonResponse(rates);
+  }, 'handleCurrencyRates');
+}
+
+async function handleCurrencyRateDelete(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const deleted = await businessLogic.priceNormalizer.deleteRate(params.currency.toUpperCase());
+    return Utils.jsonResponse({
+      success: deleted,
+      message: deleted ? '汇率已删除' : '汇率不存在'
+    }, deleted ? 200 : 404);
+  }, 'handleCurrencyRateDelete');
+}
+
+// AI提供商链
+function parseAIProfileForm(formData) {
+  const data = {};
+  for (const field of ['name', 'provider', 'url', 'api_key', 'model']) {
+    const value = formData.get(field);
+    if (value !== null) data[field] = value.trim();
+  }
+  if (formData.get('priority')) {
+    data.priority = parseInt(formData.get('priority'));
+  }
+  if (formData.get('timeout_ms')) {
+    data.timeout_ms = parseInt(formData.get('timeout_ms'));
+  }
+  // 留空表示使用默认值
+  if (formData.has('temperature')) {
+    data.temperature = formData.get('temperature') === '' ? null : parseFloat(formData.get('temperature'));
+  }
+  if (formData.has('max_tokens')) {
+    data.max_tokens = formData.get('max_tokens') === '' ? null : parseInt(formData.get('max_tokens'));
+  }
+  if (formData.has('enabled')) {
+    data.enabled = formData.get('enabled') === '1';
+  }
+  return data;
+}
+
+async function handleAIProfiles(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    if (request.method === 'POST') {
+      const formData = await request.formData();
+      try {
+        const id = await businessLogic.aiProfileManager.createProfile(parseAIProfileForm(formData));
+        return Utils.jsonResponse({ success: true, message: 'AI配置已添加', id });
+      } catch (error) {
+        return Utils.jsonResponse({ success: false, message: error.message }, 400);
+      }
+    }
+
+    const profiles = await businessLogic.aiProfileManager.listProfiles();
+    return Utils.jsonResponse(profiles.map(profile => businessLogic.aiProfileManager.toPublic(profile)));
+  }, 'handleAIProfiles');
+}
+
+// 只提交 reset_circuit=1 时重置熔断状态，否则按表单更新配置
+async function handleAIProfileUpdate(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const formData = await request.formData();
+    if (formData.get('reset_circuit') === '1') {
+      const reset = await businessLogic.aiProfileManager.resetCircuit(parseInt(params.id));
+      return Utils.jsonResponse({
+        success: reset,
+        message: reset ? '熔断状态已重置' : 'AI配置不存在'
+      }, reset ? 200 : 404);
+    }
+
+    try {
+      const updated = await businessLogic.aiProfileManager.updateProfile(parseInt(params.id), parseAIProfileForm(formData));
+      return Utils.jsonResponse({
+        success: updated,
+        message: updated ? 'AI配置已更新' : 'AI配置不存在或没有变更'
+      }, updated ? 200 : 404);
+    } catch (error) {
+      return Utils.jsonResponse({ success: false, message: error.message }, 400);
+    }
+  }, 'handleAIProfileUpdate');
+}
+
+async function handleAIProfileDelete(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const deleted = await businessLogic.aiProfileManager.deleteProfile(parseInt(params.id));
+    return Utils.jsonResponse({
+      success: deleted,
+      message: deleted ? 'AI配置已删除' : 'AI配置不存在'
+    }, deleted ? 200 : 404);
+  }, 'handleAIProfileDelete');
+}
+
+// 单独测试某个配置，不经过熔断判断，也不影响熔断状态
+async function handleAIProfileTest(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const profile = await businessLogic.aiProfileManager.getProfile(parseInt(params.id));
+    if (!profile) {
+      return Utils.jsonResponse({ success: false, message: 'AI配置不存在' }, 404);
+    }
+
+    const testContent = '测试内容：VPS促销，2核4G内存，月付$5，年付$50';
+    const startTime = Date.now();
+    try {
+      const output = await businessLogic.aiManager.callProfile(profile, DEFAULT_PROMPT.replace('{content}', testContent));
+      await businessLogic.usageTracker.record(profile, output.usage, 'test');
+      return Utils.jsonResponse({
+        success: !!output.text,
+        message: output.text ? `${profile.name} 调用成功（${Date.now() - startTime}ms）` : `${profile.name} 返回空内容`,
+        result: output.text
+      });
+    } catch (error) {
+      return Utils.jsonResponse({ success: false, message: `${profile.name} 调用失败: ${error.message}` });
+    }
+  }, 'handleAIProfileTest');
+}
+
+// AI调试台
+async function handlePlaygroundPage(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const selectedPostId = parseInt(new URL(request.url).searchParams.get('post_id')) || null;
+    const posts = await businessLogic.playground.listRecentPosts();
+    if (selectedPostId && !posts.some(post => post.id === selectedPostId)) {
+      const selected = await businessLogic.playground.getPost(selectedPostId);
+      if (selected) posts.unshift(selected);
+    }
+
+    const templates = await businessLogic.promptLibrary.listTemplates();
+    for (const template of templates) {
+      template.versions = await businessLogic.promptLibrary.listVersions(template.id);
+    }
+
+    return new Response(getPlaygroundPage({
+      posts,
+      templates,
+      profiles: (await businessLogic.aiProfileManager.listProfiles()).map(profile => businessLogic.aiProfileManager.toPublic(profile)),
+      outputMode: (await businessLogic.configManager.getAIConfig()).outputMode,
+      selectedPostId,
+      adminCredential: getAdminCredential(request)
+    }), {
+      headers: { 'Content-Type': 'text/html; charset=utf-8' }
+    });
+  }, 'handlePlaygroundPage');
+}
+
+// 对同一帖子运行一组或两组（compare=1）提示词和AI配置，字段后缀 _a、_b 区分两组
+async function handleAIPlayground(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    // 调试调用同样计入AI花费，超出预算时与定时处理一样暂停
+    const budget = await businessLogic.usageTracker.getBudgetStatus();
+    if (budget.exceeded) {
+      const periodName = budget.period === 'monthly' ? '本月' : '今日';
+      return Utils.jsonResponse({
+        success: false,
+        message: `AI预算已用完（${periodName}已花费 $${budget.spentUsd.toFixed(4)}，预算 $${budget.limitUsd.toFixed(2)}），调试台暂停使用`
+      }, 429);
+    }
+
+    const playground = businessLogic.playground;
+    const formData = await request.formData();
+    const postId = parseInt(formData.get('post_id'));
+
+    let post;
+    let content;
+    if (postId) {
+      post = await playground.getPost(postId);
+      if (!post) {
+        return Utils.jsonResponse({ success: false, message: '帖子不存在' }, 404);
+      }
+      content = post.content || '';
+      if (content.length < 50) {
+        content = (await businessLogic.fetchPostContent(post)) || content;
+      }
+    } else {
+      content = (formData.get('text') || '').trim();
+      post = {
+        id: null,
+        title: (formData.get('title') || '').trim(),
+        forum: (formData.get('forum') || '').trim(),
+        author: '',
+        publish_time: Utils.getCurrentTimestamp(),
+        link: ''
+      };
+    }
+
+    if (!content) {
+      return Utils.jsonResponse({ success: false, message: '帖子内容为空，请选择帖子或粘贴正文' }, 400);
+    }
+
+    const outputMode = formData.get('output_mode') || (await businessLogic.configManager.getAIConfig()).outputMode;
+    if (!AI_OUTPUT_MODES.includes(outputMode)) {
+      return Utils.jsonResponse({ success: false, message: `不支持的输出格式: ${outputMode}` }, 400);
+    }
+
+    // 先解析全部方案，配置有误时不发起任何调用
+    const variants = [];
+    try {
+      for (const suffix of formData.get('compare') === '1' ? ['a', 'b'] : ['a']) {
+        variants.push({
+          prompt: await playground.resolvePrompt(formData.get(`template_${suffix}`) || '', formData.get(`prompt_${suffix}`) || '', post.forum),
+          profile: await playground.resolveProfile(parseInt(formData.get(`profile_${suffix}`)) || null)
+        });
+      }
+    } catch (error) {
+      return Utils.jsonResponse({ success: false, message: error.message }, 400);
+    }
+
+    const runs = [];
+    for (const variant of variants) {
+      runs.push(await playground.run({ post, content, outputMode, ...variant }));
+    }
+
+    return Utils.jsonResponse({
+      success: true,
+      post: { id: post.id, title: post.title, forum: post.forum },
+      runs
+    });
+  }, 'handleAIPlayground');
+}
+
+// 商家目录
+function parseProviderForm(formData) {
+  const data = {};
+  for (const field of ['name', 'usernames', 'domains', 'aliases']) {
+    const value = formData.get(field);
+    if (value !== null) data[field] = value.trim();
+  }
+  return data;
+}
+
+async function handleProviders(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    if (request.method === 'POST') {
+      const formData = await request.formData();
+      try {
+        const id = await businessLogic.providerDirectory.createProvider(parseProviderForm(formData));
+        return Utils.jsonResponse({ success: true, message: '商家已添加', id });
+      } catch (error) {
+        return Utils.jsonResponse({ success: false, message: error.message }, 400);
+      }
+    }
+
+    const url = new URL(request.url);
+    const providers = await businessLogic.providerDirectory.listProviders(url.searchParams.get('q') || '');
+    return Utils.jsonResponse(providers);
+  }, 'handleProviders');
+}
+
+async function handlePosts(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const url = new URL(request.url);
+    const limit = parseInt(url.searchParams.get('limit')) || 50;
+    const posts = await businessLogic.providerDirectory.listPosts({
+      query: url.searchParams.get('q') || '',
+      forum: url.searchParams.get('forum') || '',
+      providerId: parseInt(url.searchParams.get('provider_id')) || null,
+      limit: Math.min(Math.max(limit, 1), 200)
+    });
+    return Utils.jsonResponse(posts);
+  }, 'handlePosts');
+}
+
+async function handleProviderDetail(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const url = new URL(request.url);
+    const days = parseInt(url.searchParams.get('days')) || 30;
+    const detail = await businessLogic.providerDirectory.getProviderDetail(parseInt(params.id), days);
+    if (!detail) {
+      return Utils.jsonResponse({ success: false, message: '商家不存在' }, 404);
+    }
+    return Utils.jsonResponse(detail);
+  }, 'handleProviderDetail');
+}
+
+async function handleProviderUpdate(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const formData = await request.formData();
+    try {
+      const updated = await businessLogic.providerDirectory.updateProvider(parseInt(params.id), parseProviderForm(formData));
+      return Utils.jsonResponse({
+        success: updated,
+        message: updated ? '商家已更新' : '商家不存在或没有变更'
+      }, updated ? 200 : 404);
+    } catch (error) {
+      return Utils.jsonResponse({ success: false, message: error.message }, 400);
+    }
+  }, 'handleProviderUpdate');
+}
+
+async function handleProviderDelete(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const deleted = await businessLogic.providerDirectory.deleteProvider(parseInt(params.id));
+    return Utils.jsonResponse({
+      success: deleted,
+      message: deleted ? '商家已删除' : '商家不存在'
+    }, deleted ? 200 : 404);
+  }, 'handleProviderDelete');
+}
+
+// 商家详情页面
+async function handleProviderPage(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const detail = await businessLogic.providerDirectory.getProviderDetail(parseInt(params.id));
+    if (!detail) {
+      return new Response('Provider Not Found', { status: 404 });
+    }
+    return new Response(getProviderPage(detail), {
+      headers: { 'Content-Type': 'text/html; charset=utf-8' }
+    });
+  }, 'handleProviderPage');
+}
+
+// 促销提醒管理
+async function handleReminders(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const url = new URL(request.url);
+    const reminders = await businessLogic.reminderManager.listReminders(url.searchParams.get('status') || 'pending');
+    return Utils.jsonResponse(reminders);
+  }, 'handleReminders');
+}
+
+async function handleReminderCancel(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const cancelled = await businessLogic.reminderManager.cancelReminder(parseInt(params.id));
+    return Utils.jsonResponse({
+      success: cancelled,
+      message: cancelled ? '提醒已取消' : '提醒不存在或已处理'
+    }, cancelled ? 200 : 404);
+  }, 'handleReminderCancel');
+}
+
+// 讨论跟踪：post_id 或帖子链接二选一
+async function handleFollows(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    if (request.method === 'POST') {
+      const formData = await request.formData();
+      const target = (formData.get('post') || '').trim();
+      const post = /^\d+$/.test(target)
+        ? { id: parseInt(target) }
+        : await env.DB.prepare(`SELECT id FROM posts WHERE link = ?`).bind(target).first();
+      if (!target || !post) {
+        return Utils.jsonResponse({ success: false, message: '请输入已抓取帖子的ID或链接' }, 400);
+      }
+
+      try {
+        await businessLogic.threadFollower.follow(post.id);
+        return Utils.jsonResponse({ success: true, message: '已关注该讨论' });
+      } catch (error) {
+        return Utils.jsonResponse({ success: false, message: error.message }, 400);
+      }
+    }
+
+    const threads = await businessLogic.threadFollower.listThreads();
+    return Utils.jsonResponse({ success: true, threads });
+  }, 'handleFollows');
+}
+
+async function handleFollowDelete(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const deleted = await businessLogic.threadFollower.unfollow(parseInt(params.id));
+    return Utils.jsonResponse({
+      success: deleted,
+      message: deleted ? '已取消关注' : '关注记录不存在'
+    }, deleted ? 200 : 404);
+  }, 'handleFollowDelete');
+}
+
+// 立即检查新回复，不等下次定时任务
+async function handleFollowCheck(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const thread = await businessLogic.threadFollower.getThread(parseInt(params.id));
+    if (!thread) {
+      return Utils.jsonResponse({ success: false, message: '关注记录不存在' }, 404);
+    }
+
+    const update = await businessLogic.threadFollower.checkThread(thread);
+    const checked = await businessLogic.threadFollower.getThread(thread.id);
+    if (checked.last_error) {
+      return Utils.jsonResponse({ success: false, message: `检查失败: ${checked.last_error}` });
+    }
+
+    return Utils.jsonResponse({
+      success: true,
+      message: update
+        ? `发现 ${update.newComments} 条新回复${update.telegramMessageId ? '，已推送到频道' : '，原帖未推送，仅记录'}`
+        : '没有需要推送的新回复',
+      update
+    });
+  }, 'handleFollowCheck');
+}
+
+async function handleFollowSettings(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    if (request.method === 'POST') {
+      const formData = await request.formData();
+      const intervalMinutes = formData.get('follow_interval_minutes');
+      const days = formData.get('follow_days');
+      if (!/^\d+$/.test(intervalMinutes || '') || parseInt(intervalMinutes) <= 0) {
+        return Utils.jsonResponse({ success: false, message: '检查间隔必须为正整数（分钟）' }, 400);
+      }
+      if (!/^\d+$/.test(days || '') || parseInt(days) <= 0) {
+        return Utils.jsonResponse({ success: false, message: '跟踪天数必须为正整数' }, 400);
+      }
+
+      await businessLogic.configManager.set('follow_auto', formData.get('follow_auto') === '1' ? '1' : '0');
+      await businessLogic.configManager.set('follow_interval_minutes', intervalMinutes);
+      await businessLogic.configManager.set('follow_days', days);
+      return Utils.jsonResponse({ success: true, message: '讨论跟踪设置已保存' });
+    }
+
+    const config = await businessLogic.configManager.getFollowConfig();
+    return Utils.jsonResponse(config);
+  }, 'handleFollowSettings');
+}
+
+// 重新处理：单个帖子重新排队、按条件批量重新排队、立即重新生成总结
+async function handlePostRequeue(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const requeued = await businessLogic.requeuePost(parseInt(params.id));
+    return Utils.jsonResponse({
+      success: requeued,
+      message: requeued ? '帖子已重新排队，将在下次同步时处理' : '帖子不存在'
+    }, requeued ? 200 : 404);
+  }, 'handlePostRequeue');
+}
+
+// dry_run=1 时只返回匹配的帖子数量，便于确认
+async function handlePostsRequeue(request, env, ctx) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const formData = await request.formData();
+    const filter = {
+      forum: (formData.get('forum') || '').trim(),
+      from: (formData.get('from') || '').trim(),
+      to: (formData.get('to') || '').trim(),
+      failedOnly: formData.get('failed_only') === '1'
+    };
+
+    for (const field of ['from', 'to']) {
+      if (filter[field] && !/^\d{4}-\d{2}-\d{2}$/.test(filter[field])) {
+        return Utils.jsonResponse({ success: false, message: '日期格式必须为YYYY-MM-DD' }, 400);
+      }
+    }
+    if (!filter.forum && !filter.from && !filter.to && !filter.failedOnly) {
+      return Utils.jsonResponse({ success: false, message: '请至少指定一个筛选条件' }, 400);
+    }
+
+    const dryRun = formData.get('dry_run') === '1';
+    const count = await businessLogic.requeuePosts(filter, dryRun);
+    return Utils.jsonResponse({
+      success: true,
+      count,
+      message: dryRun ? `匹配到 ${count} 个帖子` : `已重新排队 ${count} 个帖子，将在之后的同步中依次处理`
+    });
+  }, 'handlePostsRequeue');
+}
+
+async function handlePostRegenerate(request, env, ctx, params) {
+  return Utils.withErrorHandling(async () => {
+    const businessLogic = new BusinessLogicManager(env);
+    await businessLogic.init();
+
+    const formData = await request.formData();
+    const telegram = formData.get('telegram') || 'none';
+    if (!REGENERATE_TELEGRAM_ACTIONS.includes(telegram)) {
+      return Utils.jsonResponse({ success: false, message: `不支持的Telegram处理方式: ${telegram}` }, 400);
+    }
+
+    let result;
+    try {
+      result = await businessLogic.regenerateSummary(parseInt(params.id), telegram);
+    } catch (error) {
+      return Utils.jsonResponse({ success: false, message: `重新生成失败: ${error.message}` });
+    }
+    if (!result) {
+      return Utils.jsonResponse({ success: false, message: '帖子不存在' }, 404);
+    }
+
+    const telegramMessages = {
+      edit: result.telegramResult ? '，频道消息已更新' : '，帖子尚未推送或消息编辑失败',
+      resend: '，将在下次推送时重新发送',
+      none: ''
+    };
+    return Utils.jsonResponse({
+      success: true,
+      message: `总结已重新生成（${result.postType}，${result.profile}）${telegramMessages[telegram]}`,
+      result: { postType: result.postType, summary: result.summary, profile: result.profile, promptVersion: result.promptVersion }
+    });
+  }, 'handlePostRegenerate');
+}
+
+// ==================== 系统状态和页面模板 ====================
+
+async function getSystemStatus(db) {
+  return Utils.withErrorHandling(async () => {
+    const stats = await db.prepare(`
+      SELECT
+        (SELECT COUNT(*) FROM posts) as total_posts,
+        (SELECT COUNT(*) FROM posts WHERE processed = 0) as unprocessed_posts,
+        (SELECT COUNT(*) FROM summaries) as total_summaries,
+        (SELECT COUNT(*) FROM summaries WHERE sent_to_telegram = 0) as unsent_summaries,
+        (SELECT COUNT(*) FROM summaries WHERE sent_to_telegram = 4) as failed_summaries,
+        (SELECT COUNT(*) FROM offers) as total_offers,
+        (SELECT COUNT(*) FROM posts WHERE cluster_id IS NOT NULL AND cluster_id != id) as duplicate_posts
+    `).first();
+
+    return {
+      totalPosts: stats.total_posts || 0,
+      unprocessedPosts: stats.unprocessed_posts || 0,
+      totalSummaries: stats.total_summaries || 0,
+      unsentSummaries: stats.unsent_summaries || 0,
+      failedSummaries: stats.failed_summaries || 0,
+      totalOffers: stats.total_offers || 0,
+      duplicatePosts: stats.duplicate_posts || 0,
+      lastUpdate: Utils.getCurrentTimestamp()
+    };
+  }, 'getSystemStatus');
+}
+
+// 页面脚本调用 /admin/ 接口时显式带上登录时使用的管理员密码
+function renderAdminFetchScript(credential) {
+  return `
+        const ADMIN_CREDENTIAL = ${JSON.stringify(credential || '').replace(/</g, '\\u003c')};
+        function adminFetch(url, options = {}) {
+            return fetch(url, { ...options, headers: { ...(options.headers || {}), Authorization: ADMIN_CREDENTIAL } });
+        }`;
+}
+
+function getLoginPage() {
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>TripleLE监控系统 - 登录</title>
+    <style>
+        body { font-family: Arial, sans-serif; background: #f5f5f5; margin: 0; padding: 50px; }
+        .login-container { max-width: 400px; margin: 0 auto; background: white; padding: 30px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+        .login-container h1 { text-align: center; color: #333; margin-bottom: 30px; }
+        .form-group { margin-bottom: 20px; }
+        .form-group label { display: block; margin-bottom: 5px; color: #555; }
+        .form-group input { width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; }
+        .btn { width: 100%; padding: 12px; background: #007cba; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 16px; }
+        .btn:hover { background: #005a87; }
+    </style>
+</head>
+<body>
+    <div class="login-container">
+        <h1>🔐 TripleLE监控系统</h1>
+        <form method="GET">
+            <div class="form-group">
+                <label for="password">管理员密码：</label>
+                <input type="password" id="password" name="password" required>
+            </div>
+            <button type="submit" class="btn">登录</button>
+        </form>
+    </div>
+</body>
+</html>`;
+}
+
+function renderSourceHealth(source) {
+  const latency = source.avg_latency_ms !== null && source.avg_latency_ms !== undefined
+    ? `<div class="muted">平均延迟 ${source.avg_latency_ms}ms</div>`
+    : '';
+
+  if (source.consecutive_failures > 0) {
+    return `<span class="health-bad">❌ 连续失败${source.consecutive_failures}次</span>
+                            <div class="muted">${Utils.formatDateTime(source.last_error_at)}：${Utils.escapeHtml(source.last_error)}</div>
+                            ${source.last_success_at ? `<div class="muted">上次成功：${Utils.formatDateTime(source.last_success_at)}</div>` : ''}${latency}`;
+  }
+
+  if (source.last_success_at) {
+    return `<span class="health-ok">✅ ${Utils.formatDateTime(source.last_success_at)}</span>${latency}`;
+  }
+
+  return '<span class="muted">尚未抓取</span>';
+}
+
+function renderSourcesSection(sources) {
+  const rows = sources.map(source => `
+                    <tr class="${source.enabled ? '' : 'disabled'}">
+                        <td>${Utils.escapeHtml(source.emoji)} ${Utils.escapeHtml(source.name)}</td>
+                        <td>${Utils.escapeHtml(source.forum_group || '')}</td>
+                        <td class="url-cell">${source.type === 'vanilla' ? '<span class="muted">[Vanilla API]</span> ' : ''}${Utils.escapeHtml(source.url)}</td>
+                        <td>${source.enabled ? '启用' : '停用'}</td>
+                        <td>
+                            ${source.poll_interval_minutes ? `每${source.poll_interval_minutes}分钟` : '每次定时任务'}
+                            <div class="muted">下次：${source.next_due_at ? Utils.formatDateTime(source.next_due_at) : '下个周期'}</div>
+                        </td>
+                        <td>${renderSourceHealth(source)}</td>
+                        <td>
+                            <button class="btn small secondary" data-url="${Utils.escapeHtml(source.url)}" data-type="${Utils.escapeHtml(source.type || 'rss')}" onclick="testSource(this.dataset.url, this.dataset.type)">测试</button>
+                            <button class="btn small secondary" onclick="editSourceInterval(${source.id}, '${source.poll_interval_minutes || ''}')">间隔</button>
+                            <button class="btn small secondary" onclick="toggleSource(${source.id}, ${source.enabled ? 0 : 1})">${source.enabled ? '停用' : '启用'}</button>
+                            <button class="btn small danger" onclick="deleteSource(${source.id})">删除</button>
+                        </td>
+                    </tr>`).join('');
+
+  return `
+        <div class="config-section">
+            <h2>📡 数据源管理</h2>
+            <table class="data-table">
+                <thead>
+                    <tr><th>名称</th><th>分组</th><th>RSS地址</th><th>状态</th><th>轮询</th><th>健康状况</th><th>操作</th></tr>
+                </thead>
+                <tbody>${rows || '<tr><td colspan="7">暂无数据源</td></tr>'}
+                </tbody>
+            </table>
+            <form id="sourceForm">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="source_name">名称：</label>
+                        <input type="text" id="source_name" name="name" placeholder="LET_Requests" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="source_group">论坛分组：</label>
+                        <input type="text" id="source_group" name="forum_group" placeholder="LET">
+                    </div>
+                    <div class="form-group">
+                        <label for="source_emoji">Emoji：</label>
+                        <input type="text" id="source_emoji" name="emoji" placeholder="📢">
+                    </div>
+                    <div class="form-group">
+                        <label for="source_interval">轮询间隔（分钟）：</label>
+                        <input type="number" min="1" id="source_interval" name="poll_interval_minutes" placeholder="留空则每次定时任务都抓取">
+                    </div>
+                    <div class="form-group">
+                        <label for="source_type">类型：</label>
+                        <select id="source_type" name="type">
+                            <option value="rss">RSS/Atom订阅</option>
+                            <option value="vanilla">Vanilla论坛API</option>
+                        </select>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="source_url">RSS地址（Vanilla类型填写分类页地址，如 https://lowendtalk.com/categories/offers）：</label>
+                    <input type="url" id="source_url" name="url" placeholder="https://lowendtalk.com/categories/requests/feed.rss" required>
+                </div>
+                <div class="btn-group">
+                    <button type="submit" class="btn">添加数据源</button>
+                    <button type="button" class="btn secondary" onclick="testSource(document.getElementById('source_url').value, document.getElementById('source_type').value)">测试地址</button>
+                </div>
+            </form>
+        </div>`;
+}
+
+function describeRule(rule) {
+  const c = rule.conditions;
+  const conditions = [];
+  if (c.forums?.length) conditions.push(`论坛: ${c.forums.join(', ')}`);
+  if (c.titleRegex) conditions.push(`标题 /${c.titleRegex}/`);
+  if (c.summaryRegex) conditions.push(`总结 /${c.summaryRegex}/`);
+  if (c.authors?.length) conditions.push(`作者: ${c.authors.join(', ')}`);
+  if (c.postType) conditions.push(`类型: ${c.postType}`);
+  if (c.minPrice !== undefined || c.maxPrice !== undefined) {
+    conditions.push(`价格: ${c.minPrice ?? 0} ~ ${c.maxPrice ?? '∞'} USD`);
+  }
+  if (c.minRamGB !== undefined || c.maxRamGB !== undefined) {
+    conditions.push(`内存: ${c.minRamGB ?? 0} ~ ${c.maxRamGB ?? '∞'} GB`);
+  }
+
+  const actionNames = { suppress: '不推送', pin: '置顶' };
+  const actions = rule.actions.map(action => {
+    if (action.type === 'tag') return `#${action.tag}`;
+    if (action.type === 'push') return `推送到 ${action.chatId}`;
+    return actionNames[action.type] || action.type;
+  });
+
+  return {
+    conditions: conditions.length ? conditions.join('；') : '全部帖子',
+    actions: actions.join('，')
+  };
+}
+
+function renderRulesSection(rules) {
+  const rows = rules.map(rule => {
+    const description = describeRule(rule);
+    return `
+                    <tr class="${rule.enabled ? '' : 'disabled'}">
+                        <td>${Utils.escapeHtml(rule.name)}</td>
+                        <td>${rule.priority}</td>
+                        <td>${Utils.escapeHtml(description.conditions)}</td>
+                        <td>${Utils.escapeHtml(description.actions)}</td>
+                        <td>
+                            <button class="btn small secondary" data-rule="${Utils.escapeHtml(JSON.stringify(rule))}" onclick="editRule(JSON.parse(this.dataset.rule))">编辑</button>
+                            <button class="btn small secondary" onclick="toggleRule(${rule.id}, ${rule.enabled ? 0 : 1})">${rule.enabled ? '停用' : '启用'}</button>
+                            <button class="btn small danger" onclick="deleteRule(${rule.id})">删除</button>
+                        </td>
+                    </tr>`;
+  }).join('');
+
+  return `
+        <div class="config-section">
+            <h2>🎯 推送规则</h2>
+            <p class="muted">发送前按优先级依次匹配所有启用的规则，匹配规则的动作会合并执行。数值条件从标题、总结和正文中解析。</p>
+            <table class="data-table">
+                <thead>
+                    <tr><th>名称</th><th>优先级</th><th>条件</th><th>动作</th><th>操作</th></tr>
+                </thead>
+                <tbody>${rows || '<tr><td colspan="5">暂无规则，所有总结按默认方式推送</td></tr>'}
+                </tbody>
+            </table>
+            <form id="ruleForm">
+                <input type="hidden" id="rule_id" name="rule_id">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="rule_name">规则名称：</label>
+                        <input type="text" id="rule_name" name="name" placeholder="NVMe大内存促销" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="rule_priority">优先级：</label>
+                        <input type="number" id="rule_priority" name="priority" value="0">
+                    </div>
+                    <div class="form-group">
+                        <label for="rule_post_type">帖子类型：</label>
+                        <select id="rule_post_type" name="post_type">
+                            <option value="">不限</option>
+                            <option value="促销">促销</option>
+                            <option value="其他">其他</option>
+                        </select>
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="rule_forums">论坛（逗号分隔，可填分组如LET）：</label>
+                        <input type="text" id="rule_forums" name="forums" placeholder="LET_Offers, LEB">
+                    </div>
+                    <div class="form-group">
+                        <label for="rule_authors">作者（逗号分隔）：</label>
+                        <input type="text" id="rule_authors" name="authors">
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="rule_title_regex">标题正则：</label>
+                        <input type="text" id="rule_title_regex" name="title_regex" placeholder="nvme|ryzen">
+                    </div>
+                    <div class="form-group">
+                        <label for="rule_summary_regex">总结正则：</label>
+                        <input type="text" id="rule_summary_regex" name="summary_regex">
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="rule_min_price">最低价格（USD）：</label>
+                        <input type="number" step="0.01" id="rule_min_price" name="min_price">
+                    </div>
+                    <div class="form-group">
+                        <label for="rule_max_price">最高价格（USD）：</label>
+                        <input type="number" step="0.01" id="rule_max_price" name="max_price">
+                    </div>
+                    <div class="form-group">
+                        <label for="rule_min_ram">最小内存（GB）：</label>
+                        <input type="number" step="0.25" id="rule_min_ram" name="min_ram_gb">
+                    </div>
+                    <div class="form-group">
+                        <label for="rule_max_ram">最大内存（GB）：</label>
+                        <input type="number" step="0.25" id="rule_max_ram" name="max_ram_gb">
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="rule_tags">追加标签（逗号分隔）：</label>
+                        <input type="text" id="rule_tags" name="action_tags" placeholder="NVMe">
+                    </div>
+                    <div class="form-group">
+                        <label for="rule_chat_ids">额外推送到（Chat ID，逗号分隔）：</label>
+                        <input type="text" id="rule_chat_ids" name="action_chat_ids" placeholder="-1001234567890">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label><input type="checkbox" id="rule_suppress" name="action_suppress"> 不推送（屏蔽）</label>
+                    <label><input type="checkbox" id="rule_pin" name="action_pin"> 推送后置顶</label>
+                </div>
+                <div class="btn-group">
+                    <button type="submit" class="btn">保存规则</button>
+                    <button type="button" class="btn secondary" onclick="resetRuleForm()">清空</button>
+                </div>
+            </form>
+        </div>`;
+}
+
+function renderCurrencyRatesSection(rates) {
+  const rows = rates.map(rate => `
+                    <tr>
+                        <td>${Utils.escapeHtml(rate.currency)}</td>
+                        <td>${rate.usd_rate}</td>
+                        <td>${Utils.formatDateTime(rate.updated_at)}</td>
+                        <td><button class="btn small danger" onclick="deleteCurrencyRate('${Utils.escapeHtml(rate.currency)}')">删除</button></td>
+                    </tr>`).join('');
+
+  return `
+        <div class="config-section">
+            <h2>💱 汇率</h2>
+            <p class="muted">用于将帖子中的价格折算为月付美元价格，数值为1单位货币折合的美元。</p>
+            <table class="data-table">
+                <thead>
+                    <tr><th>货币</th><th>折合美元</th><th>更新时间</th><th>操作</th></tr>
+                </thead>
+                <tbody>${rows || '<tr><td colspan="4">暂无汇率</td></tr>'}
+                </tbody>
+            </table>
+            <form id="currencyRateForm">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="rate_currency">货币代码：</label>
+                        <input type="text" id="rate_currency" name="currency" placeholder="EUR" maxlength="3" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="rate_usd">1单位折合美元：</label>
+                        <input type="number" step="any" min="0" id="rate_usd" name="usd_rate" placeholder="1.08" required>
+                    </div>
+                </div>
+                <button type="submit" class="btn">保存汇率</button>
+            </form>
+        </div>`;
+}
+
+function renderRemindersSection(reminders, reminderConfig) {
+  const rows = reminders.map(reminder => `
+                    <tr>
+                        <td><a href="${Utils.escapeHtml(reminder.link)}" target="_blank">${Utils.escapeHtml(reminder.title)}</a></td>
+                        <td>${Utils.escapeHtml(reminder.forum)}</td>
+                        <td>${Utils.formatDateTime(reminder.deadline_at)}</td>
+                        <td>${Utils.formatDateTime(reminder.remind_at)}</td>
+                        <td>${reminder.stock_limit || '-'}</td>
+                        <td><button class="btn small danger" onclick="cancelReminder(${reminder.id})">取消</button></td>
+                    </tr>`).join('');
+
+  return `
+        <div class="config-section">
+            <h2>⏳ 促销提醒</h2>
+            <p class="muted">从促销帖中识别截止时间（如"valid until Friday"、"ends in 48 hours"）和库存限制，截止前推送提醒。</p>
+            <table class="data-table">
+                <thead>
+                    <tr><th>帖子</th><th>论坛</th><th>截止时间</th><th>提醒时间</th><th>限量</th><th>操作</th></tr>
+                </thead>
+                <tbody>${rows || '<tr><td colspan="6">暂无待发送的提醒</td></tr>'}
+                </tbody>
+            </table>
+            <form id="reminderConfigForm">
+                <div class="form-group">
+                    <label for="reminder_lead_minutes">截止前提前提醒（分钟）：</label>
+                    <input type="number" min="1" id="reminder_lead_minutes" name="reminder_lead_minutes" value="${reminderConfig.leadMinutes}">
+                </div>
+                <button type="submit" class="btn">保存提醒设置</button>
+            </form>
+        </div>`;
+}
+
+function renderReprocessSection(failedPosts, recentSummaries, sources) {
+  const forumOptions = sources.map(source => `
+                            <option value="${Utils.escapeHtml(source.name)}">${Utils.escapeHtml(source.name)}</option>`).join('');
+
+  const sentLabels = { 0: '待推送', 1: '已推送', 2: '已屏蔽', 3: '无匹配目标', 4: '推送失败' };
+
+  const failedRows = failedPosts.map(post => `
+                    <tr>
+                        <td>${post.id}</td>
+                        <td>${Utils.escapeHtml(post.forum)}</td>
+                        <td><a href="${Utils.escapeHtml(post.link)}" target="_blank">${Utils.escapeHtml(post.title)}</a></td>
+                        <td>${post.retry_count || 0}</td>
+                        <td>${Utils.formatDateTime(post.created_at)}</td>
+                        <td>
+                            <button class="btn small secondary" onclick="requeuePost(${post.id})">重新排队</button>
+                            <button class="btn small" onclick="regeneratePost(${post.id})">立即生成</button>
+                        </td>
+                    </tr>`).join('');
+
+  const summaryRows = recentSummaries.map(summary => `
+                    <tr>
+                        <td>${summary.post_id}</td>
+                        <td>${Utils.escapeHtml(summary.forum)}</td>
+                        <td><a href="${Utils.escapeHtml(summary.link)}" target="_blank">${Utils.escapeHtml(summary.title)}</a><div class="muted">${Utils.escapeHtml(summary.post_type)}：${Utils.escapeHtml(summary.summary || '')}</div></td>
+                        <td>${Utils.escapeHtml(summary.prompt_version || 'AI配置')}<div class="muted">${Utils.escapeHtml(summary.ai_profile || '-')}</div></td>
+                        <td>${sentLabels[summary.sent_to_telegram] || '-'}${summary.sent_to_telegram === 1 ? `<div class="muted">${summary.delivered_count}个目标</div>` : ''}</td>
+                        <td>
+                            <button class="btn small" onclick="regeneratePost(${summary.post_id})">重新生成</button>
+                            <button class="btn small secondary" onclick="openPlayground(${summary.post_id})">调试</button>
+                            ${/\/discussion\/\d+/.test(summary.link || '') ? `<button class="btn small secondary" onclick="followPost(${summary.post_id})">关注</button>` : ''}
+                        </td>
+                    </tr>`).join('');
+
+  return `
+        <div class="config-section">
+            <h2>🔁 重新处理</h2>
+            <p class="muted">重新排队的帖子在之后的同步中按正常流程处理（每次5个），已有总结时原地更新，不会重复推送。重试3次仍失败的帖子不会自动处理，需要在这里重新排队。</p>
+            <form id="requeueForm">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="requeue_forum">论坛：</label>
+                        <select id="requeue_forum" name="forum">
+                            <option value="">全部</option>${forumOptions}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="requeue_from">发布日期从：</label>
+                        <input type="date" id="requeue_from" name="from">
+                    </div>
+                    <div class="form-group">
+                        <label for="requeue_to">到：</label>
+                        <input type="date" id="requeue_to" name="to">
+                    </div>
+                    <div class="form-group">
+                        <label for="requeue_failed_only">范围：</label>
+                        <select id="requeue_failed_only" name="failed_only">
+                            <option value="1">仅失败的帖子</option>
+                            <option value="0">全部帖子（重新生成总结）</option>
+                        </select>
+                    </div>
+                </div>
+                <button type="submit" class="btn">批量重新排队</button>
+            </form>
+
+            <div class="form-group">
+                <label for="regenerate_telegram">立即生成总结后的频道消息：</label>
+                <select id="regenerate_telegram">
+                    <option value="none">不处理</option>
+                    <option value="edit">编辑已推送的消息</option>
+                    <option value="resend">重新推送一条新消息</option>
+                </select>
+            </div>
+
+            <h3>失败的帖子</h3>
+            <table class="data-table">
+                <thead>
+                    <tr><th>ID</th><th>论坛</th><th>标题</th><th>重试次数</th><th>抓取时间</th><th>操作</th></tr>
+                </thead>
+                <tbody>${failedRows || '<tr><td colspan="6">暂无失败的帖子</td></tr>'}
+                </tbody>
+            </table>
+
+            <h3>最近的总结</h3>
+            <table class="data-table">
+                <thead>
+                    <tr><th>ID</th><th>论坛</th><th>标题 / 总结</th><th>提示词 / 配置</th><th>推送</th><th>操作</th></tr>
+                </thead>
+                <tbody>${summaryRows || '<tr><td colspan="6">暂无总结</td></tr>'}
+                </tbody>
+            </table>
+        </div>`;
+}
+
+function renderDestinationsSection(destinations, deliveryStats) {
+  const rows = destinations.map(destination => {
+    const stats = deliveryStats[destination.id] || {};
+    const filters = [
+      destination.forums.length ? `论坛: ${destination.forums.join(', ')}` : '',
+      destination.post_types.length ? `类型: ${destination.post_types.join(', ')}` : ''
+    ].filter(Boolean).join('；');
+    return `
+                    <tr class="${destination.enabled ? '' : 'disabled'}">
+                        <td>${Utils.escapeHtml(destination.name)}</td>
+                        <td>${Utils.escapeHtml(destination.chat_id)}${destination.thread_id ? `<div class="muted">话题 ${destination.thread_id}</div>` : ''}</td>
+                        <td>${Utils.escapeHtml(filters || '全部帖子')}</td>
+                        <td>
+                            ${stats.sent || 0} 条${stats.failed ? ` / <span class="health-bad">失败 ${stats.failed}</span>` : ''}
+                            <div class="muted">最近：${stats.last_sent_at ? Utils.formatDateTime(stats.last_sent_at) : '-'}</div>
+                            ${destination.last_error ? `<div class="muted" title="${Utils.escapeHtml(destination.last_error)}">最近错误：${Utils.escapeHtml(destination.last_error.substring(0, 60))}</div>` : ''}
+                        </td>
+                        <td>
+                            <button class="btn small secondary" onclick="testDestination(${destination.id})">测试</button>
+                            <button class="btn small secondary" data-destination="${Utils.escapeHtml(JSON.stringify(destination))}" onclick="editDestination(JSON.parse(this.dataset.destination))">编辑</button>
+                            <button class="btn small secondary" onclick="toggleDestination(${destination.id}, ${destination.enabled ? 0 : 1})">${destination.enabled ? '停用' : '启用'}</button>
+                            <button class="btn small danger" onclick="deleteDestination(${destination.id})">删除</button>
+                        </td>
+                    </tr>`;
+  }).join('');
+
+  const postTypeOptions = POST_TYPES.map(postType => `
+                        <label><input type="checkbox" name="post_types" value="${postType}"> ${postType}</label>`).join('');
+
+  return `
+        <div class="config-section">
+            <h2>📨 推送目标</h2>
+            <p class="muted">每条总结发送到所有启用且匹配的目标，每个目标单独记录发送结果，失败的目标最多重试${TELEGRAM_MAX_DELIVERY_ATTEMPTS}次。促销提醒和讨论更新发到原帖已送达的目标；预算告警发到所有启用的目标。</p>
+            <table class="data-table">
+                <thead>
+                    <tr><th>名称</th><th>Chat ID</th><th>过滤条件</th><th>已推送</th><th>操作</th></tr>
+                </thead>
+                <tbody>${rows || '<tr><td colspan="5">暂无推送目标，总结不会推送到Telegram</td></tr>'}
+                </tbody>
+            </table>
+            <form id="destinationForm">
+                <input type="hidden" id="destination_id" name="destination_id">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="destination_name">名称：</label>
+                        <input type="text" id="destination_name" name="name" placeholder="促销频道" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="destination_chat_id">Chat ID：</label>
+                        <input type="text" id="destination_chat_id" name="chat_id" placeholder="@your_channel 或 -1001234567890" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="destination_thread_id">话题ID（可选）：</label>
+                        <input type="number" min="1" id="destination_thread_id" name="thread_id" placeholder="论坛群组的话题">
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="destination_forums">论坛（逗号分隔，可填分组如LET，留空不限）：</label>
+                        <input type="text" id="destination_forums" name="forums" placeholder="LET_Offers, LES_Offers">
+                    </div>
+                    <div class="form-group">
+                        <label>帖子类型（都不选为不限）：</label>${postTypeOptions}
+                    </div>
+                </div>
+                <div class="btn-group">
+                    <button type="submit" class="btn">保存推送目标</button>
+                    <button type="button" class="btn secondary" onclick="resetDestinationForm()">清空</button>
+                </div>
+            </form>
+        </div>`;
+}
+
+function renderFollowsSection(threads, followConfig) {
+  const statusLabels = { active: '跟踪中', expired: '已到期', closed: '讨论已关闭' };
+
+  const rows = threads.map(thread => `
+                    <tr class="${thread.status === 'active' ? '' : 'disabled'}">
+                        <td><a href="${Utils.escapeHtml(thread.link)}" target="_blank">${Utils.escapeHtml(thread.title)}</a><div class="muted">${Utils.escapeHtml(thread.last_update || '')}</div></td>
+                        <td>${Utils.escapeHtml(thread.forum)}</td>
+                        <td>${thread.auto ? '自动' : '手动'}</td>
+                        <td>${statusLabels[thread.status] || thread.status}<div class="muted">至 ${Utils.formatDateTime(thread.expires_at)}</div></td>
+                        <td>${thread.comment_count || 0}</td>
+                        <td>${thread.update_count || 0}</td>
+                        <td>${thread.last_checked_at ? Utils.formatDateTime(thread.last_checked_at) : '-'}${thread.last_error ? `<div class="health-bad">${Utils.escapeHtml(thread.last_error)}</div>` : ''}</td>
+                        <td>
+                            ${thread.status === 'active' ? `<button class="btn small secondary" onclick="checkFollow(${thread.id})">立即检查</button>` : ''}
+                            <button class="btn small danger" onclick="unfollowThread(${thread.id})">取消关注</button>
+                        </td>
+                    </tr>`).join('');
+
+  return `
+        <div class="config-section">
+            <h2>💬 讨论跟踪</h2>
+            <p class="muted">定期检查关注的LET/LES讨论帖的新回复，把商家回复（补货、售罄、涨价等）和社区动态（故障反馈、整体评价）以回复的形式推送到原频道消息下。没有商家回复和关键事件时，至少有${FOLLOW_MIN_COMMUNITY_COMMENTS}条新回复才推送。</p>
+            <table class="data-table">
+                <thead>
+                    <tr><th>讨论 / 最近更新</th><th>论坛</th><th>方式</th><th>状态</th><th>回复数</th><th>已推送</th><th>最近检查</th><th>操作</th></tr>
+                </thead>
+                <tbody>${rows || '<tr><td colspan="8">暂无关注的讨论</td></tr>'}
+                </tbody>
+            </table>
+            <form id="followForm">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="follow_post">关注帖子（帖子ID或链接）：</label>
+                        <input type="text" id="follow_post" name="post" placeholder="123 或 https://lowendtalk.com/discussion/123456/..." required>
+                    </div>
+                </div>
+                <button type="submit" class="btn">关注</button>
+            </form>
+            <form id="followConfigForm">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="follow_auto">自动关注促销帖：</label>
+                        <select id="follow_auto" name="follow_auto">
+                            <option value="1"${followConfig.autoFollow ? ' selected' : ''}>开启</option>
+                            <option value="0"${followConfig.autoFollow ? '' : ' selected'}>关闭</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="follow_interval_minutes">检查间隔（分钟）：</label>
+                        <input type="number" min="1" id="follow_interval_minutes" name="follow_interval_minutes" value="${followConfig.intervalMinutes}">
+                    </div>
+                    <div class="form-group">
+                        <label for="follow_days">跟踪天数：</label>
+                        <input type="number" min="1" id="follow_days" name="follow_days" value="${followConfig.days}">
+                    </div>
+                </div>
+                <button type="submit" class="btn">保存跟踪设置</button>
+            </form>
+        </div>`;
+}
+
+function renderAICacheSection(stats, cacheConfig) {
+  return `
+        <div class="config-section">
+            <h2>🗄️ AI结果缓存</h2>
+            <p class="muted">按提示词模板、归一化后的标题和正文以及模型缓存总结，转帖、重发和顶帖直接复用已有总结，不再调用AI。</p>
+            <table class="data-table">
+                <thead>
+                    <tr><th>有效缓存</th><th>命中</th><th>未命中</th><th>命中率</th></tr>
+                </thead>
+                <tbody>
+                    <tr><td>${stats.entries}</td><td>${stats.hits}</td><td>${stats.misses}</td><td>${stats.hitRate}%</td></tr>
+                </tbody>
+            </table>
+            <form id="aiCacheConfigForm">
+                <div class="form-group">
+                    <label for="ai_cache_ttl_hours">缓存有效期（小时，0为关闭缓存）：</label>
+                    <input type="number" min="0" id="ai_cache_ttl_hours" name="ai_cache_ttl_hours" value="${cacheConfig.ttlHours}">
+                </div>
+                <div class="btn-group">
+                    <button type="submit" class="btn">保存缓存设置</button>
+                    <button type="button" class="btn danger" onclick="purgeAICache()">清空缓存</button>
+                </div>
+            </form>
+        </div>`;
+}
+
+function formatUsd(value) {
+  return `$${(value || 0).toFixed(4)}`;
+}
+
+function renderAIUsageSection(report, prices) {
+  const { today, month, breakdown, budget } = report;
+  const periodName = budget.period === 'monthly' ? '本月' : '今日';
+  const budgetText = budget.limitUsd > 0
+    ? `<span class="${budget.exceeded ? 'health-bad' : 'health-ok'}">${periodName} ${formatUsd(budget.spentUsd)} / $${budget.limitUsd.toFixed(2)}${budget.exceeded ? '（已暂停）' : ''}</span>`
+    : '<span class="muted">未设置</span>';
+
+  const usageRows = breakdown.map(row => `
+                    <tr>
+                        <td>${Utils.escapeHtml(row.ai_profile || '-')}</td>
+                        <td>${Utils.escapeHtml(row.provider || '-')}</td>
+                        <td>${Utils.escapeHtml(row.model || '-')}</td>
+                        <td>${row.calls}</td>
+                        <td>${row.prompt_tokens}</td>
+                        <td>${row.completion_tokens}</td>
+                        <td>${formatUsd(row.cost_usd)}</td>
+                    </tr>`).join('');
+
+  const priceRows = prices.map(price => `
+                    <tr>
+                        <td>${Utils.escapeHtml(price.model)}</td>
+                        <td>$${price.input_per_1k}</td>
+                        <td>$${price.output_per_1k}</td>
+                        <td>${Utils.formatDateTime(price.updated_at)}</td>
+                        <td><button class="btn small danger" onclick="deleteAIPrice(${price.id})">删除</button></td>
+                    </tr>`).join('');
+
+  return `
+        <div class="config-section">
+            <h2>💰 AI用量与费用</h2>
+            <p class="muted">按每次调用返回的token用量和下方模型价格计算费用，未设置价格的模型只统计token。预算周期按UTC计算，超出预算后暂停AI处理并推送一次提醒，下个周期自动恢复。</p>
+            <table class="data-table">
+                <thead>
+                    <tr><th>时间段</th><th>调用次数</th><th>输入token</th><th>输出token</th><th>费用</th></tr>
+                </thead>
+                <tbody>
+                    <tr><td>今日</td><td>${today.calls}</td><td>${today.prompt_tokens}</td><td>${today.completion_tokens}</td><td>${formatUsd(today.cost_usd)}</td></tr>
+                    <tr><td>本月</td><td>${month.calls}</td><td>${month.prompt_tokens}</td><td>${month.completion_tokens}</td><td>${formatUsd(month.cost_usd)}</td></tr>
+                    <tr><td>预算</td><td colspan="4">${budgetText}</td></tr>
+                </tbody>
+            </table>
+            <h3>本月明细</h3>
+            <table class="data-table">
+                <thead>
+                    <tr><th>配置</th><th>提供商</th><th>模型</th><th>调用次数</th><th>输入token</th><th>输出token</th><th>费用</th></tr>
+                </thead>
+                <tbody>${usageRows || '<tr><td colspan="7">本月暂无用量</td></tr>'}
+                </tbody>
+            </table>
+            <form id="aiBudgetForm">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="ai_budget_period">预算周期：</label>
+                        <select id="ai_budget_period" name="ai_budget_period">
+                            <option value="daily"${budget.period === 'daily' ? ' selected' : ''}>每日</option>
+                            <option value="monthly"${budget.period === 'monthly' ? ' selected' : ''}>每月</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="ai_budget_usd">预算（美元，0为不限制）：</label>
+                        <input type="number" step="any" min="0" id="ai_budget_usd" name="ai_budget_usd" value="${budget.limitUsd}">
+                    </div>
+                </div>
+                <button type="submit" class="btn">保存预算</button>
+            </form>
+            <h3>模型价格（每1K token，美元）</h3>
+            <table class="data-table">
+                <thead>
+                    <tr><th>模型</th><th>输入</th><th>输出</th><th>更新时间</th><th>操作</th></tr>
+                </thead>
+                <tbody>${priceRows || '<tr><td colspan="5">暂无价格</td></tr>'}
+                </tbody>
+            </table>
+            <form id="aiPriceForm">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="price_model">模型名称：</label>
+                        <input type="text" id="price_model" name="model" placeholder="gpt-4o-mini" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="price_input">输入价格：</label>
+                        <input type="number" step="any" min="0" id="price_input" name="input_per_1k" placeholder="0.00015" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="price_output">输出价格：</label>
+                        <input type="number" step="any" min="0" id="price_output" name="output_per_1k" placeholder="0.0006" required>
+                    </div>
+                </div>
+                <button type="submit" class="btn">保存价格</button>
+            </form>
+        </div>`;
 }
 
-async function handleTelegramSettings(request, env, ctx) {
-  return Utils.withErrorHandling(async () => {
-    const businessLogic = new BusinessLogicManager(env);
-    await businessLogic.init();
+function renderPromptVersions(template, versions) {
+  const items = versions.map(version => `
+                            <div class="prompt-version">
+                                <strong>v${version.version}</strong>
+                                <span class="muted">${Utils.formatDateTime(version.created_at)}${version.note ? ` · ${Utils.escapeHtml(version.note)}` : ''}</span>
+                                ${version.version === template.active_version
+                                  ? '<span class="health-ok">当前版本</span>'
+                                  : `<button class="btn small secondary" onclick="rollbackPrompt(${template.id}, ${version.version})">回滚到此版本</button>`}
+                                <pre>${Utils.escapeHtml(version.content)}</pre>
+                            </div>`).join('');
+
+  return `
+                    <tr>
+                        <td colspan="5">
+                            <details>
+                                <summary>版本历史（${versions.length}）</summary>${items}
+                            </details>
+                        </td>
+                    </tr>`;
+}
 
-    if (request.method === 'POST') {
-      const formData = await request.formData();
-      const settings = {
-        tg_bot_token: formData.get('tg_bot_token'),
-        tg_channel_id: formData.get('tg_channel_id')
-      };
+function renderPromptsSection(templates, versionsByTemplate) {
+  const rows = templates.map(template => `
+                    <tr>
+                        <td>${Utils.escapeHtml(template.name)}${template.is_default ? ' <span class="health-ok">默认</span>' : ''}</td>
+                        <td>${Utils.escapeHtml(template.forums.join(', ') || '-')}</td>
+                        <td>v${template.active_version} / 共${template.version_count}个版本</td>
+                        <td>${Utils.formatDateTime(template.updated_at)}</td>
+                        <td>
+                            <button class="btn small secondary" data-template="${Utils.escapeHtml(JSON.stringify({ id: template.id, name: template.name, forums: template.forums, is_default: template.is_default, content: template.content }))}" onclick="editPrompt(JSON.parse(this.dataset.template))">编辑</button>
+                            <button class="btn small danger" onclick="deletePrompt(${template.id})">删除</button>
+                        </td>
+                    </tr>${renderPromptVersions(template, versionsByTemplate[template.id] || [])}`).join('');
+
+  return `
+        <div class="config-section">
+            <h2>📝 提示词模板</h2>
+            <p class="muted">按数据源或论坛分组分配提示词：先匹配指定了该数据源的模板，再匹配所在分组，然后是默认模板，都没有时使用下方"AI配置"中的提示词。每次修改内容保存为新版本，可回滚到任一历史版本。可用变量：${PROMPT_VARIABLES.map(name => `{${name}}`).join(' ')}，其中{content}为标题和正文。</p>
+            <table class="data-table">
+                <thead>
+                    <tr><th>名称</th><th>数据源 / 分组</th><th>版本</th><th>更新时间</th><th>操作</th></tr>
+                </thead>
+                <tbody>${rows || '<tr><td colspan="5">暂无模板，使用AI配置中的提示词</td></tr>'}
+                </tbody>
+            </table>
+            <form id="promptForm">
+                <input type="hidden" id="prompt_id" name="prompt_id">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="prompt_name">名称：</label>
+                        <input type="text" id="prompt_name" name="name" placeholder="LET促销" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="prompt_forums">数据源 / 分组（逗号分隔）：</label>
+                        <input type="text" id="prompt_forums" name="forums" placeholder="LET_Offers, LEB">
+                    </div>
+                    <div class="form-group">
+                        <label for="prompt_default">默认模板：</label>
+                        <select id="prompt_default" name="is_default">
+                            <option value="0">否</option>
+                            <option value="1">是</option>
+                        </select>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="prompt_content">提示词：</label>
+                    <textarea id="prompt_content" name="content" placeholder="请分析以下帖子（{forum}，作者{author}）：{content}" required></textarea>
+                </div>
+                <div class="form-group">
+                    <label for="prompt_note">修改说明：</label>
+                    <input type="text" id="prompt_note" name="note" placeholder="强调年付价格">
+                </div>
+                <div class="btn-group">
+                    <button type="submit" class="btn">保存模板</button>
+                    <button type="button" class="btn secondary" onclick="resetPromptForm()">清空</button>
+                </div>
+            </form>
+        </div>`;
+}
 
-      for (const [key, value] of Object.entries(settings)) {
-        if (value) {
-          await businessLogic.configManager.set(key, value);
-        }
-      }
+function renderAIProfileState(profile) {
+  if (profile.circuit_open) {
+    return `<span class="health-bad">熔断中</span><div class="muted">至 ${Utils.formatDateTime(profile.circuit_open_until)}</div>`;
+  }
+  if (profile.consecutive_failures > 0) {
+    return `<span class="health-bad">连续失败 ${profile.consecutive_failures} 次</span>`;
+  }
+  return profile.last_success_at
+    ? `<span class="health-ok">正常</span><div class="muted">${Utils.formatDateTime(profile.last_success_at)}</div>`
+    : '<span class="muted">尚未调用</span>';
+}
 
-      return new Response(JSON.stringify({ success: true, message: 'Telegram配置已保存' }), {
-        headers: { 'Content-Type': 'application/json' }
-      });
-    }
+function renderAIProfilesSection(profiles, summaryCounts) {
+  const rows = profiles.map(profile => `
+                    <tr class="${profile.enabled ? '' : 'disabled'}">
+                        <td>${profile.priority}</td>
+                        <td>${Utils.escapeHtml(profile.name)}</td>
+                        <td>${Utils.escapeHtml(profile.provider)}</td>
+                        <td>${Utils.escapeHtml(profile.model || '-')}<div class="muted url-cell">${Utils.escapeHtml(profile.url || '')}</div></td>
+                        <td>
+                            ${profile.timeout_ms}ms
+                            <div class="muted">温度 ${profile.temperature ?? AI_DEFAULT_TEMPERATURE} / ${profile.max_tokens || AI_DEFAULT_MAX_TOKENS} tokens</div>
+                        </td>
+                        <td>
+                            ${renderAIProfileState(profile)}
+                            ${profile.last_error ? `<div class="muted" title="${Utils.escapeHtml(profile.last_error)}">最近错误：${Utils.escapeHtml(profile.last_error.substring(0, 60))}</div>` : ''}
+                        </td>
+                        <td>${summaryCounts[profile.name] || 0}</td>
+                        <td>
+                            <button class="btn small secondary" onclick="testAIProfile(${profile.id})">测试</button>
+                            <button class="btn small secondary" data-profile="${Utils.escapeHtml(JSON.stringify(profile))}" onclick="editAIProfile(JSON.parse(this.dataset.profile))">编辑</button>
+                            ${profile.consecutive_failures > 0 ? `<button class="btn small secondary" onclick="resetAIProfile(${profile.id})">重置熔断</button>` : ''}
+                            <button class="btn small secondary" onclick="toggleAIProfile(${profile.id}, ${profile.enabled ? 0 : 1})">${profile.enabled ? '停用' : '启用'}</button>
+                            <button class="btn small danger" onclick="deleteAIProfile(${profile.id})">删除</button>
+                        </td>
+                    </tr>`).join('');
+
+  return `
+        <div class="config-section">
+            <h2>🔀 AI提供商链</h2>
+            <p class="muted">按优先级从小到大依次调用，出错、超时或返回空内容时自动切换到下一个；连续失败${AI_CIRCUIT_FAILURE_THRESHOLD}次后熔断${AI_CIRCUIT_COOLDOWN_MS / 60000}分钟。未添加任何配置时使用下方"AI配置"中的提供商；提示词由"提示词模板"决定，与提供商无关。</p>
+            <table class="data-table">
+                <thead>
+                    <tr><th>优先级</th><th>名称</th><th>提供商</th><th>模型 / 地址</th><th>超时 / 参数</th><th>状态</th><th>总结数</th><th>操作</th></tr>
+                </thead>
+                <tbody>${rows || '<tr><td colspan="8">暂无配置，使用下方AI配置</td></tr>'}
+                </tbody>
+            </table>
+            <form id="aiProfileForm">
+                <input type="hidden" id="profile_id" name="profile_id">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="profile_name">名称：</label>
+                        <input type="text" id="profile_name" name="name" placeholder="openai-primary" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="profile_provider">提供商：</label>
+                        <select id="profile_provider" name="provider">
+                            <option value="openai_like">OpenAI兼容</option>
+                            <option value="openai">OpenAI</option>
+                            <option value="gemini">Google Gemini</option>
+                            <option value="anthropic">Anthropic</option>
+                            <option value="ollama">Ollama</option>
+                            <option value="cf_workers">Cloudflare Workers AI</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="profile_priority">优先级：</label>
+                        <input type="number" id="profile_priority" name="priority" value="0">
+                    </div>
+                    <div class="form-group">
+                        <label for="profile_timeout">超时（毫秒）：</label>
+                        <input type="number" min="1" id="profile_timeout" name="timeout_ms" value="${AI_DEFAULT_TIMEOUT_MS}">
+                    </div>
+                    <div class="form-group">
+                        <label for="profile_temperature">温度：</label>
+                        <input type="number" step="0.1" min="0" max="2" id="profile_temperature" name="temperature" placeholder="${AI_DEFAULT_TEMPERATURE}">
+                    </div>
+                    <div class="form-group">
+                        <label for="profile_max_tokens">最大输出token：</label>
+                        <input type="number" min="1" id="profile_max_tokens" name="max_tokens" placeholder="${AI_DEFAULT_MAX_TOKENS}">
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="profile_url">API地址：</label>
+                        <input type="url" id="profile_url" name="url" placeholder="留空使用官方地址，Ollama如 http://ollama.example.com:11434">
+                    </div>
+                    <div class="form-group">
+                        <label for="profile_model">模型名称：</label>
+                        <input type="text" id="profile_model" name="model" placeholder="gpt-4o-mini">
+                    </div>
+                    <div class="form-group">
+                        <label for="profile_api_key">API密钥（编辑时留空保留原密钥，修改API地址或提供商时需重新填写）：</label>
+                        <input type="password" id="profile_api_key" name="api_key" placeholder="your-api-key">
+                    </div>
+                </div>
+                <div class="btn-group">
+                    <button type="submit" class="btn">保存配置</button>
+                    <button type="button" class="btn secondary" onclick="resetAIProfileForm()">清空</button>
+                </div>
+            </form>
+        </div>`;
+}
 
-    const config = await businessLogic.configManager.getTelegramConfig();
-    return new Response(JSON.stringify(config), {
-      headers: { 'Content-Type': 'application/json' }
-    });
-  }, 'handleTelegramSettings');
+function renderProvidersSection(providers, query) {
+  const rows = providers.map(provider => `
+                    <tr>
+                        <td><a href="#" onclick="openProvider(${provider.id}); return false;">${Utils.escapeHtml(provider.name)}</a></td>
+                        <td>${Utils.escapeHtml(provider.usernames.join(', ') || '-')}</td>
+                        <td>${Utils.escapeHtml(provider.domains.join(', ') || '-')}</td>
+                        <td>${Utils.escapeHtml(provider.forums.join(', ') || '-')}</td>
+                        <td>${provider.recent_posts}</td>
+                        <td>${provider.last_post_at ? Utils.formatDateTime(provider.last_post_at) : '-'}</td>
+                    </tr>`).join('');
+
+  return `
+        <div class="config-section">
+            <h2>🏢 商家目录</h2>
+            <p class="muted">帖子按论坛用户名、帖子中的域名和标题中的商家名称自动关联到商家，未知商家的促销帖会自动建档。</p>
+            <div class="form-row">
+                <div class="form-group">
+                    <input type="text" id="provider_query" placeholder="按名称、用户名或域名搜索" value="${Utils.escapeHtml(query)}" onkeydown="if (event.key === 'Enter') searchProviders()">
+                </div>
+                <div><button class="btn" onclick="searchProviders()">搜索</button></div>
+            </div>
+            <table class="data-table">
+                <thead>
+                    <tr><th>商家</th><th>论坛用户名</th><th>域名</th><th>论坛</th><th>近30天帖子</th><th>最近发帖</th></tr>
+                </thead>
+                <tbody>${rows || '<tr><td colspan="6">暂无商家</td></tr>'}
+                </tbody>
+            </table>
+            <form id="providerForm">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="provider_name">商家名称：</label>
+                        <input type="text" id="provider_name" name="name" placeholder="RackNerd" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="provider_usernames">论坛用户名（逗号分隔）：</label>
+                        <input type="text" id="provider_usernames" name="usernames" placeholder="dustinc">
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="provider_domains">域名（逗号分隔）：</label>
+                        <input type="text" id="provider_domains" name="domains" placeholder="racknerd.com">
+                    </div>
+                    <div class="form-group">
+                        <label for="provider_aliases">标题中的别名（逗号分隔）：</label>
+                        <input type="text" id="provider_aliases" name="aliases" placeholder="RN">
+                    </div>
+                </div>
+                <button type="submit" class="btn">添加商家</button>
+            </form>
+        </div>`;
 }
 
-// 测试函数
-async function handleAITest(request, env, ctx) {
-  return Utils.withErrorHandling(async () => {
-    const businessLogic = new BusinessLogicManager(env);
-    await businessLogic.init();
+function getProviderPage(detail) {
+  const { provider, timeline, stats } = detail;
+  const forumList = Object.entries(stats.forums)
+    .map(([forum, count]) => `${Utils.escapeHtml(forum)} (${count})`)
+    .join('，');
+
+  const rows = timeline.map(item => `
+                <tr>
+                    <td>${Utils.formatDateTime(item.publish_time || item.created_at)}</td>
+                    <td>${Utils.escapeHtml(item.forum)}</td>
+                    <td>${Utils.escapeHtml(item.post_type || '-')}</td>
+                    <td><a href="${Utils.escapeHtml(item.link)}" target="_blank">${Utils.escapeHtml(item.title)}</a><div class="muted">${Utils.escapeHtml(item.summary || '')}</div></td>
+                    <td>${item.monthly_usd !== null && item.monthly_usd !== undefined ? PriceNormalizer.formatMonthlyUsd(item.monthly_usd) : '-'}</td>
+                </tr>`).join('');
 
-    const testContent = '测试内容：VPS促销，2核4G内存，月付$5，年付$50';
-    const result = await businessLogic.aiManager.callAI(
-      DEFAULT_PROMPT.replace('{content}', testContent)
-    );
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${Utils.escapeHtml(provider.name)} - TripleLE商家目录</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; }
+        .container { max-width: 1200px; margin: 0 auto; }
+        .header, .config-section { background: white; padding: 20px; border-radius: 8px; margin-bottom: 20px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+        .header h1, .config-section h2 { margin-top: 0; color: #333; }
+        .stats-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px; margin-bottom: 20px; }
+        .stat-card { background: white; padding: 20px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); text-align: center; }
+        .stat-card h3 { margin: 0 0 10px 0; color: #666; font-size: 14px; }
+        .stat-card .number { font-size: 32px; font-weight: bold; color: #007cba; }
+        .btn { padding: 10px 20px; background: #007cba; color: white; border: none; border-radius: 4px; cursor: pointer; text-decoration: none; display: inline-block; }
+        .btn.secondary { background: #6c757d; }
+        .btn.danger { background: #dc3545; }
+        .form-group { margin-bottom: 15px; }
+        .form-group label { display: block; margin-bottom: 5px; color: #555; }
+        .form-group input { width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; }
+        .data-table { width: 100%; border-collapse: collapse; font-size: 14px; }
+        .data-table th, .data-table td { padding: 8px; border-bottom: 1px solid #eee; text-align: left; vertical-align: top; }
+        .muted { color: #888; font-size: 12px; }
+        .status { padding: 10px; border-radius: 4px; margin: 10px 0; }
+        .status.success { background: #d4edda; color: #155724; border: 1px solid #c3e6cb; }
+        .status.error { background: #f8d7da; color: #721c24; border: 1px solid #f5c6cb; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🏢 ${Utils.escapeHtml(provider.name)}</h1>
+            <p>论坛：${forumList || '-'}</p>
+            <p class="muted">首次出现：${Utils.formatDateTime(stats.firstSeen)}，最近发帖：${Utils.formatDateTime(stats.lastSeen)}</p>
+            <a class="btn secondary" href="#" onclick="location.href = '/' + location.search; return false;">返回管理面板</a>
+        </div>
 
-    return new Response(JSON.stringify({
-      success: !!result,
-      result: result || '测试失败'
-    }), {
-      headers: { 'Content-Type': 'application/json' }
-    });
-  }, 'handleAITest');
-}
+        <div class="stats-grid">
+            <div class="stat-card">
+                <h3>近30天帖子</h3>
+                <div class="number">${stats.recentPosts}</div>
+            </div>
+            <div class="stat-card">
+                <h3>近30天促销</h3>
+                <div class="number">${stats.recentOffers}</div>
+            </div>
+            <div class="stat-card">
+                <h3>平均每周发帖</h3>
+                <div class="number">${stats.postsPerWeek}</div>
+            </div>
+            <div class="stat-card">
+                <h3>平均发帖间隔（天）</h3>
+                <div class="number">${stats.avgGapDays ?? '-'}</div>
+            </div>
+        </div>
 
-async function handleTelegramTest(request, env, ctx) {
-  return Utils.withErrorHandling(async () => {
-    const businessLogic = new BusinessLogicManager(env);
-    await businessLogic.init();
+        <div class="config-section">
+            <h2>📜 发帖时间线</h2>
+            <table class="data-table">
+                <thead>
+                    <tr><th>时间</th><th>论坛</th><th>类型</th><th>标题 / 总结</th><th>月付价格</th></tr>
+                </thead>
+                <tbody>${rows || '<tr><td colspan="5">暂无帖子</td></tr>'}
+                </tbody>
+            </table>
+        </div>
 
-    const config = await businessLogic.configManager.getTelegramConfig();
-    const success = await businessLogic.telegramManager.testConnection(config);
+        <div class="config-section">
+            <h2>✏️ 编辑商家</h2>
+            <form id="providerEditForm">
+                <div class="form-group">
+                    <label for="name">商家名称：</label>
+                    <input type="text" id="name" name="name" value="${Utils.escapeHtml(provider.name)}" required>
+                </div>
+                <div class="form-group">
+                    <label for="usernames">论坛用户名（逗号分隔）：</label>
+                    <input type="text" id="usernames" name="usernames" value="${Utils.escapeHtml(provider.usernames.join(', '))}">
+                </div>
+                <div class="form-group">
+                    <label for="domains">域名（逗号分隔）：</label>
+                    <input type="text" id="domains" name="domains" value="${Utils.escapeHtml(provider.domains.join(', '))}">
+                </div>
+                <div class="form-group">
+                    <label for="aliases">标题中的别名（逗号分隔）：</label>
+                    <input type="text" id="aliases" name="aliases" value="${Utils.escapeHtml(provider.aliases.join(', '))}">
+                </div>
+                <button type="submit" class="btn">保存</button>
+                <button type="button" class="btn danger" onclick="deleteProvider()">删除商家</button>
+            </form>
+            <div id="actionStatus"></div>
+        </div>
+    </div>
 
-    return new Response(JSON.stringify({
-      success: success,
-      message: success ? 'Telegram连接测试成功' : 'Telegram连接测试失败'
-    }), {
-      headers: { 'Content-Type': 'application/json' }
-    });
-  }, 'handleTelegramTest');
-}
+    <script>
+        function showStatus(message, type) {
+            const statusDiv = document.getElementById('actionStatus');
+            statusDiv.innerHTML = '<div class="status ' + type + '">' + message + '</div>';
+            setTimeout(() => statusDiv.innerHTML = '', 5000);
+        }
 
-// ==================== 系统状态和页面模板 ====================
+        async function deleteProvider() {
+            if (!confirm('确定删除该商家及其发帖历史？')) return;
+            const response = await fetch('/api/providers/${provider.id}', { method: 'DELETE' });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+            if (result.success) setTimeout(() => location.href = '/' + location.search, 1000);
+        }
 
-async function getSystemStatus(db) {
-  return Utils.withErrorHandling(async () => {
-    const stats = await db.prepare(`
-      SELECT
-        (SELECT COUNT(*) FROM posts) as total_posts,
-        (SELECT COUNT(*) FROM posts WHERE processed = 0) as unprocessed_posts,
-        (SELECT COUNT(*) FROM summaries) as total_summaries,
-        (SELECT COUNT(*) FROM summaries WHERE sent_to_telegram = 0) as unsent_summaries
-    `).first();
+        document.getElementById('providerEditForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            try {
+                const response = await fetch('/api/providers/${provider.id}', { method: 'POST', body: formData });
+                const result = await response.json();
+                showStatus(result.message, result.success ? 'success' : 'error');
+                if (result.success) setTimeout(() => location.reload(), 1000);
+            } catch (error) {
+                showStatus('保存失败: ' + error.message, 'error');
+            }
+        });
+    </script>
+</body>
+</html>`;
+}
 
-    return {
-      totalPosts: stats.total_posts || 0,
-      unprocessedPosts: stats.unprocessed_posts || 0,
-      totalSummaries: stats.total_summaries || 0,
-      unsentSummaries: stats.unsent_summaries || 0,
-      lastUpdate: Utils.getCurrentTimestamp()
-    };
-  }, 'getSystemStatus');
+function renderPlaygroundVariant(suffix, title, templates, profiles) {
+  const templateOptions = templates.map(template => template.versions.map(version => `
+                        <option value="${template.id}:${version.version}">${Utils.escapeHtml(template.name)} v${version.version}${version.version === template.active_version ? '（当前）' : ''}</option>`).join('')).join('');
+  const profileOptions = profiles.map(profile => `
+                        <option value="${profile.id}">${Utils.escapeHtml(profile.name)}（${Utils.escapeHtml(profile.model || profile.provider)}）${profile.enabled ? '' : '（已停用）'}</option>`).join('');
+
+  return `
+                <div class="variant" id="variant_${suffix}">
+                    <h3>${title}</h3>
+                    <div class="form-group">
+                        <label for="template_${suffix}">提示词：</label>
+                        <select id="template_${suffix}" name="template_${suffix}" onchange="toggleCustomPrompt('${suffix}')">
+                            <option value="">按论坛自动匹配</option>${templateOptions}
+                            <option value="custom">自定义提示词</option>
+                        </select>
+                    </div>
+                    <div class="form-group" id="custom_${suffix}" style="display: none;">
+                        <label for="prompt_${suffix}">自定义提示词（支持 ${PROMPT_VARIABLES.map(name => `{${name}}`).join(' ')}）：</label>
+                        <textarea id="prompt_${suffix}" name="prompt_${suffix}">${Utils.escapeHtml(DEFAULT_PROMPT)}</textarea>
+                    </div>
+                    <div class="form-group">
+                        <label for="profile_${suffix}">AI配置：</label>
+                        <select id="profile_${suffix}" name="profile_${suffix}">
+                            <option value="">AI设置（default）</option>${profileOptions}
+                        </select>
+                    </div>
+                </div>`;
 }
 
-function getLoginPage() {
+function getPlaygroundPage(data) {
+  const postOptions = data.posts.map(post => `
+                        <option value="${post.id}"${post.id === data.selectedPostId ? ' selected' : ''}>#${post.id} [${Utils.escapeHtml(post.forum)}] ${Utils.escapeHtml(post.title)}</option>`).join('');
+
   return `<!DOCTYPE html>
 <html lang="zh-CN">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>TripleLE监控系统 - 登录</title>
+    <title>AI调试台 - TripleLE监控系统</title>
     <style>
-        body { font-family: Arial, sans-serif; background: #f5f5f5; margin: 0; padding: 50px; }
-        .login-container { max-width: 400px; margin: 0 auto; background: white; padding: 30px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
-        .login-container h1 { text-align: center; color: #333; margin-bottom: 30px; }
-        .form-group { margin-bottom: 20px; }
+        body { font-family: Arial, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; }
+        .container { max-width: 1400px; margin: 0 auto; }
+        .header, .config-section { background: white; padding: 20px; border-radius: 8px; margin-bottom: 20px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+        .header h1, .config-section h2 { margin-top: 0; color: #333; }
+        .btn { padding: 10px 20px; background: #007cba; color: white; border: none; border-radius: 4px; cursor: pointer; text-decoration: none; display: inline-block; }
+        .btn.secondary { background: #6c757d; }
+        .btn:disabled { background: #999; cursor: wait; }
+        .form-group { margin-bottom: 15px; }
         .form-group label { display: block; margin-bottom: 5px; color: #555; }
-        .form-group input { width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; }
-        .btn { width: 100%; padding: 12px; background: #007cba; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 16px; }
-        .btn:hover { background: #005a87; }
+        .form-group input, .form-group select, .form-group textarea { width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; }
+        .form-group textarea { height: 120px; resize: vertical; }
+        .form-group input[type="checkbox"] { width: auto; }
+        .form-row { display: flex; gap: 10px; }
+        .form-row .form-group { flex: 1; }
+        .compare-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(400px, 1fr)); gap: 20px; }
+        .run pre { white-space: pre-wrap; word-break: break-word; background: #f8f9fa; padding: 8px; border-radius: 4px; font-size: 12px; max-height: 300px; overflow: auto; }
+        .run h4 { margin: 15px 0 5px 0; color: #555; }
+        .muted { color: #888; font-size: 12px; }
+        .status { padding: 10px; border-radius: 4px; margin: 10px 0; }
+        .status.success { background: #d4edda; color: #155724; border: 1px solid #c3e6cb; }
+        .status.error { background: #f8d7da; color: #721c24; border: 1px solid #f5c6cb; }
+        .status.info { background: #d1ecf1; color: #0c5460; border: 1px solid #bee5eb; }
     </style>
 </head>
 <body>
-    <div class="login-container">
-        <h1>🔐 TripleLE监控系统</h1>
-        <form method="GET">
-            <div class="form-group">
-                <label for="password">管理员密码：</label>
-                <input type="password" id="password" name="password" required>
+    <div class="container">
+        <div class="header">
+            <h1>🧪 AI调试台</h1>
+            <p class="muted">直接调用所选的提示词和AI配置，不使用缓存、不做JSON修复、不影响熔断状态，也不会保存总结；token用量计入AI用量统计。</p>
+            <a class="btn secondary" href="#" onclick="location.href = '/' + location.search; return false;">返回管理面板</a>
+        </div>
+
+        <form id="playgroundForm">
+            <div class="config-section">
+                <h2>📄 帖子</h2>
+                <div class="form-group">
+                    <label for="post_id">选择最近的帖子：</label>
+                    <select id="post_id" name="post_id" onchange="togglePastedPost()">
+                        <option value="">不使用已保存的帖子，粘贴正文</option>${postOptions}
+                    </select>
+                </div>
+                <div id="pastedPost">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="title">标题：</label>
+                            <input type="text" id="title" name="title" placeholder="[VPS] 2GB KVM $20/yr">
+                        </div>
+                        <div class="form-group">
+                            <label for="forum">论坛（用于匹配提示词模板）：</label>
+                            <input type="text" id="forum" name="forum" placeholder="LET_Offers">
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label for="text">正文：</label>
+                        <textarea id="text" name="text"></textarea>
+                    </div>
+                </div>
+            </div>
+
+            <div class="config-section">
+                <h2>⚙️ 运行方案</h2>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="output_mode">输出格式：</label>
+                        <select id="output_mode" name="output_mode">
+                            <option value="json"${data.outputMode === 'json' ? ' selected' : ''}>JSON结构化输出</option>
+                            <option value="text"${data.outputMode === 'text' ? ' selected' : ''}>文本格式</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label><input type="checkbox" id="compare" name="compare" value="1" onchange="toggleCompare()"> 对比两个方案</label>
+                    </div>
+                </div>
+                <div class="compare-grid">${renderPlaygroundVariant('a', '方案A', data.templates, data.profiles)}${renderPlaygroundVariant('b', '方案B', data.templates, data.profiles)}
+                </div>
+                <button type="submit" class="btn" id="runButton">运行</button>
             </div>
-            <button type="submit" class="btn">登录</button>
         </form>
+
+        <div id="actionStatus"></div>
+        <div class="compare-grid" id="results"></div>
     </div>
+
+    <script>${renderAdminFetchScript(data.adminCredential)}
+
+        function escapeHtml(value) {
+            return String(value ?? '')
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        }
+
+        function showStatus(message, type) {
+            document.getElementById('actionStatus').innerHTML = '<div class="status ' + type + '">' + escapeHtml(message) + '</div>';
+        }
+
+        function togglePastedPost() {
+            document.getElementById('pastedPost').style.display = document.getElementById('post_id').value ? 'none' : 'block';
+        }
+
+        function toggleCustomPrompt(suffix) {
+            document.getElementById('custom_' + suffix).style.display = document.getElementById('template_' + suffix).value === 'custom' ? 'block' : 'none';
+        }
+
+        function toggleCompare() {
+            document.getElementById('variant_b').style.display = document.getElementById('compare').checked ? 'block' : 'none';
+        }
+
+        function renderRun(name, run) {
+            let html = '<div class="config-section run"><h2>' + name + '</h2>';
+            html += '<p>' + escapeHtml(run.template) + ' · ' + escapeHtml(run.profile) + ' · ' + escapeHtml(run.model || run.provider) + '</p>';
+
+            const metrics = [];
+            if (run.latencyMs !== undefined) metrics.push('耗时 ' + run.latencyMs + 'ms');
+            if (run.usage) metrics.push('输入 ' + run.usage.promptTokens + ' tokens，输出 ' + run.usage.completionTokens + ' tokens');
+            if (run.costUsd) metrics.push('费用 $' + run.costUsd.toFixed(6));
+            if (metrics.length > 0) html += '<p class="muted">' + metrics.join('，') + '</p>';
+
+            if (run.error) {
+                html += '<div class="status error">' + escapeHtml(run.error) + '</div>';
+            } else {
+                html += '<p><strong>类型：</strong>' + escapeHtml(run.postType) + '</p>';
+                html += '<p><strong>总结：</strong>' + escapeHtml(run.summary) + '</p>';
+                html += '<p class="muted">解析方式：' + (run.parsedBy === 'json' ? 'JSON Schema' : '文本格式') +
+                    (run.parseError ? '（JSON无效：' + escapeHtml(run.parseError) + '）' : '') + '</p>';
+            }
+
+            if (run.raw) html += '<h4>原始输出</h4><pre>' + escapeHtml(run.raw) + '</pre>';
+            html += '<h4>实际发送的提示词</h4><pre>' + escapeHtml(run.prompt) + '</pre>';
+            return html + '</div>';
+        }
+
+        document.getElementById('playgroundForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const button = document.getElementById('runButton');
+            button.disabled = true;
+            showStatus('正在调用AI...', 'info');
+            document.getElementById('results').innerHTML = '';
+
+            try {
+                const response = await adminFetch('/admin/ai/playground', { method: 'POST', body: new FormData(e.target) });
+                const result = await response.json();
+                if (!result.success) {
+                    showStatus(result.message, 'error');
+                    return;
+                }
+
+                document.getElementById('actionStatus').innerHTML = '';
+                document.getElementById('results').innerHTML = result.runs
+                    .map((run, index) => renderRun(index === 0 ? '方案A' : '方案B', run))
+                    .join('');
+            } catch (error) {
+                showStatus('运行失败: ' + error.message, 'error');
+            } finally {
+                button.disabled = false;
+            }
+        });
+
+        togglePastedPost();
+        toggleCompare();
+    </script>
 </body>
 </html>`;
 }
 
-function getAdminPage(stats) {
+function getAdminPage(stats, panel) {
   return `<!DOCTYPE html>
 <html lang="zh-CN">
 <head>
@@ -1359,11 +9500,25 @@ function getAdminPage(stats) {
         .form-group label { display: block; margin-bottom: 5px; color: #555; }
         .form-group input, .form-group select, .form-group textarea { width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; }
         .form-group textarea { height: 100px; resize: vertical; }
+        .prompt-version { margin: 8px 0; }
+        .prompt-version pre { white-space: pre-wrap; background: #f8f9fa; padding: 8px; border-radius: 4px; font-size: 12px; }
         .status { padding: 10px; border-radius: 4px; margin: 10px 0; }
         .status.success { background: #d4edda; color: #155724; border: 1px solid #c3e6cb; }
         .status.error { background: #f8d7da; color: #721c24; border: 1px solid #f5c6cb; }
         .status.info { background: #d1ecf1; color: #0c5460; border: 1px solid #bee5eb; }
         .footer { text-align: center; color: #666; margin-top: 40px; }
+        .data-table { width: 100%; border-collapse: collapse; margin-bottom: 20px; font-size: 14px; }
+        .data-table th, .data-table td { padding: 8px; border-bottom: 1px solid #eee; text-align: left; }
+        .data-table tr.disabled { color: #999; }
+        .data-table .url-cell { word-break: break-all; }
+        .muted { color: #888; font-size: 12px; }
+        .health-ok { color: #155724; }
+        .health-bad { color: #721c24; font-weight: bold; }
+        .form-row { display: flex; gap: 10px; }
+        .form-row .form-group { flex: 1; }
+        .btn.small { padding: 4px 10px; font-size: 12px; }
+        .btn.danger { background: #dc3545; }
+        .btn.danger:hover { background: #b02a37; }
 
     </style>
 </head>
@@ -1391,6 +9546,18 @@ function getAdminPage(stats) {
                 <h3>未发送消息</h3>
                 <div class="number">${stats.unsentSummaries}</div>
             </div>
+            <div class="stat-card">
+                <h3>推送失败</h3>
+                <div class="number">${stats.failedSummaries}</div>
+            </div>
+            <div class="stat-card">
+                <h3>套餐记录</h3>
+                <div class="number">${stats.totalOffers}</div>
+            </div>
+            <div class="stat-card">
+                <h3>合并的重复帖</h3>
+                <div class="number">${stats.duplicatePosts}</div>
+            </div>
         </div>
 
         <div class="actions">
@@ -1399,20 +9566,65 @@ function getAdminPage(stats) {
                 <button class="btn" onclick="manualSync()">手动同步RSS</button>
                 <button class="btn secondary" onclick="refreshStatus()">刷新状态</button>
                 <button class="btn secondary" onclick="testAI()">测试AI</button>
+                <button class="btn secondary" onclick="openPlayground()">AI调试台</button>
                 <button class="btn secondary" onclick="testTelegram()">测试Telegram</button>
             </div>
             <div id="actionStatus"></div>
         </div>
 
+${renderSourcesSection(panel.sources)}
+
+${renderRulesSection(panel.rules)}
+
+${renderCurrencyRatesSection(panel.currencyRates)}
+
+${renderRemindersSection(panel.reminders, panel.reminderConfig)}
+
+${renderFollowsSection(panel.follows, panel.followConfig)}
+
+${renderProvidersSection(panel.providers, panel.providerQuery)}
+
+        <div class="config-section">
+            <h2>⏱️ 抓取设置</h2>
+            <form id="syncConfigForm">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="rss_concurrency">并发抓取数（按主机）：</label>
+                        <input type="number" min="1" id="rss_concurrency" name="rss_concurrency" value="${panel.syncConfig.concurrency}">
+                    </div>
+                    <div class="form-group">
+                        <label for="rss_host_delay_ms">同一主机请求间隔（毫秒）：</label>
+                        <input type="number" min="0" id="rss_host_delay_ms" name="rss_host_delay_ms" value="${panel.syncConfig.hostDelayMs}">
+                    </div>
+                </div>
+                <button type="submit" class="btn">保存抓取设置</button>
+            </form>
+        </div>
+
+${renderAIProfilesSection(panel.aiProfiles, panel.aiSummaryCounts)}
+
+${renderPromptsSection(panel.prompts, panel.promptVersions)}
+
         <div class="config-section">
             <h2>🤖 AI配置</h2>
             <form id="aiConfigForm">
+                <div class="form-group">
+                    <label for="ai_mode">分析模式：</label>
+                    <select id="ai_mode" name="ai_mode">
+                        <option value="ai"${panel.aiMode === 'ai' ? ' selected' : ''}>AI</option>
+                        <option value="ai_fallback"${panel.aiMode === 'ai_fallback' ? ' selected' : ''}>AI，失败时使用内置规则</option>
+                        <option value="heuristic"${panel.aiMode === 'heuristic' ? ' selected' : ''}>内置规则（不调用AI）</option>
+                    </select>
+                    <p class="muted">内置规则根据标题标签（如[VPS]、[Dedicated]）、价格、论坛分类判断是否促销，并从配置和价格生成模板总结，不提取套餐。</p>
+                </div>
                 <div class="form-group">
                     <label for="ai_provider">AI提供商：</label>
                     <select id="ai_provider" name="ai_provider">
                         <option value="openai_like">OpenAI兼容</option>
                         <option value="openai">OpenAI</option>
                         <option value="gemini">Google Gemini</option>
+                        <option value="anthropic">Anthropic</option>
+                        <option value="ollama">Ollama</option>
                         <option value="cf_workers">Cloudflare Workers AI</option>
                     </select>
                 </div>
@@ -1428,14 +9640,42 @@ function getAdminPage(stats) {
                     <label for="ai_model">模型名称：</label>
                     <input type="text" id="ai_model" name="ai_model" placeholder="gpt-3.5-turbo">
                 </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="ai_temperature">温度：</label>
+                        <input type="number" step="0.1" min="0" max="2" id="ai_temperature" name="ai_temperature" placeholder="${AI_DEFAULT_TEMPERATURE}">
+                    </div>
+                    <div class="form-group">
+                        <label for="ai_max_tokens">最大输出token：</label>
+                        <input type="number" min="1" id="ai_max_tokens" name="ai_max_tokens" placeholder="${AI_DEFAULT_MAX_TOKENS}">
+                    </div>
+                    <div class="form-group">
+                        <label for="ai_timeout_ms">超时（毫秒）：</label>
+                        <input type="number" min="1" id="ai_timeout_ms" name="ai_timeout_ms" placeholder="${AI_DEFAULT_TIMEOUT_MS}">
+                    </div>
+                </div>
                 <div class="form-group">
                     <label for="ai_prompt">AI提示词：</label>
                     <textarea id="ai_prompt" name="ai_prompt" placeholder="请输入AI分析提示词...">${DEFAULT_PROMPT}</textarea>
                 </div>
+                <div class="form-group">
+                    <label for="ai_output_mode">输出格式：</label>
+                    <select id="ai_output_mode" name="ai_output_mode">
+                        <option value="json"${panel.aiOutputMode === 'json' ? ' selected' : ''}>JSON结构化输出（推荐）</option>
+                        <option value="text"${panel.aiOutputMode === 'text' ? ' selected' : ''}>文本格式（模型不支持JSON时使用）</option>
+                    </select>
+                    <p class="muted">JSON模式下按Schema校验模型输出，无效时自动修复一次，仍无效才按"类型：/总结："文本格式解析。</p>
+                </div>
                 <button type="submit" class="btn">保存AI配置</button>
             </form>
         </div>
 
+${renderAICacheSection(panel.aiCacheStats, panel.aiCacheConfig)}
+
+${renderAIUsageSection(panel.aiUsage, panel.aiPrices)}
+
+${renderReprocessSection(panel.failedPosts, panel.recentSummaries, panel.sources)}
+
         <div class="config-section">
             <h2>📱 Telegram配置</h2>
             <form id="telegramConfigForm">
@@ -1443,14 +9683,31 @@ function getAdminPage(stats) {
                     <label for="tg_bot_token">Bot Token：</label>
                     <input type="password" id="tg_bot_token" name="tg_bot_token" placeholder="123456789:ABCdefGHIjklMNOpqrsTUVwxyz">
                 </div>
-                <div class="form-group">
-                    <label for="tg_channel_id">频道ID：</label>
-                    <input type="text" id="tg_channel_id" name="tg_channel_id" placeholder="@your_channel 或 -1001234567890">
-                </div>
                 <button type="submit" class="btn">保存Telegram配置</button>
             </form>
+
+            <h3>🤖 机器人命令</h3>
+            <p class="muted">设置Webhook后机器人在私聊和群组中回复 /latest、/search、/offers、/status 命令；/sync 只有下方管理员可以使用。Webhook请求通过密钥校验，未设置密钥时拒绝所有请求，点击"设置Webhook"时会自动生成。</p>
+            <form id="botConfigForm">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="tg_admin_ids">管理员Telegram用户ID（逗号分隔）：</label>
+                        <input type="text" id="tg_admin_ids" name="tg_admin_ids" value="${Utils.escapeHtml(panel.botConfig.adminIds.join(', '))}" placeholder="123456789">
+                    </div>
+                    <div class="form-group">
+                        <label for="tg_webhook_secret">Webhook密钥：</label>
+                        <input type="password" id="tg_webhook_secret" name="tg_webhook_secret" placeholder="${panel.botConfig.webhookSecret ? '已设置，留空保留原密钥' : '留空在设置Webhook时自动生成'}">
+                    </div>
+                </div>
+                <div class="btn-group">
+                    <button type="submit" class="btn">保存机器人设置</button>
+                    <button type="button" class="btn secondary" onclick="setupWebhook()">设置Webhook</button>
+                </div>
+            </form>
         </div>
 
+${renderDestinationsSection(panel.destinations, panel.deliveryStats)}
+
         <div class="footer">
             <p>TripleLE监控系统 | 监控LET/LES/LEB论坛促销信息</p>
         </div>
@@ -1458,6 +9715,16 @@ function getAdminPage(stats) {
 
     <script>
         // JavaScript代码
+        ${renderAdminFetchScript(panel.adminCredential)}
+
+        function escapeHtml(value) {
+            return String(value ?? '')
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        }
+
         async function manualSync() {
             showStatus('正在执行手动同步...', 'info');
             try {
@@ -1479,7 +9746,12 @@ function getAdminPage(stats) {
             try {
                 const response = await fetch('/api/test-ai', { method: 'POST' });
                 const result = await response.json();
-                showStatus('AI测试: ' + (result.success ? '成功' : '失败'), result.success ? 'success' : 'error');
+                if (result.success) {
+                    showStatus('AI测试: 成功（' + escapeHtml(result.result.profile) + '，提示词：' + escapeHtml(result.prompt) + '）', 'success');
+                } else {
+                    const details = (result.attempts || []).map(item => escapeHtml(item.profile + ': ' + item.error));
+                    showStatus('AI测试: 失败' + (details.length > 0 ? '<br>' + details.join('<br>') : (result.error ? '（' + escapeHtml(result.error) + '）' : '')), 'error');
+                }
             } catch (error) {
                 showStatus('AI测试失败: ' + error.message, 'error');
             }
@@ -1488,7 +9760,7 @@ function getAdminPage(stats) {
         async function testTelegram() {
             showStatus('正在测试Telegram连接...', 'info');
             try {
-                const response = await fetch('/api/test-telegram', { method: 'POST' });
+                const response = await adminFetch('/admin/test-telegram', { method: 'POST' });
                 const result = await response.json();
                 showStatus(result.message, result.success ? 'success' : 'error');
             } catch (error) {
@@ -1496,6 +9768,326 @@ function getAdminPage(stats) {
             }
         }
 
+        async function testSource(url, type) {
+            if (!url) return showStatus('请先填写RSS地址', 'error');
+            showStatus('正在测试数据源...', 'info');
+            try {
+                const formData = new FormData();
+                formData.append('url', url);
+                formData.append('type', type || 'rss');
+                const response = await adminFetch('/admin/sources/test', { method: 'POST', body: formData });
+                const result = await response.json();
+                const samples = (result.sampleTitles || []).join(' / ');
+                showStatus(result.message + (samples ? '：' + samples : ''), result.success ? 'success' : 'error');
+            } catch (error) {
+                showStatus('数据源测试失败: ' + error.message, 'error');
+            }
+        }
+
+        async function toggleSource(id, enabled) {
+            const formData = new FormData();
+            formData.append('enabled', enabled);
+            const response = await adminFetch('/admin/sources/' + id, { method: 'POST', body: formData });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+            if (result.success) setTimeout(refreshStatus, 1000);
+        }
+
+        async function editSourceInterval(id, current) {
+            const value = prompt('轮询间隔（分钟，留空则每次定时任务都抓取）：', current);
+            if (value === null) return;
+            const formData = new FormData();
+            formData.append('poll_interval_minutes', value);
+            const response = await adminFetch('/admin/sources/' + id, { method: 'POST', body: formData });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+            if (result.success) setTimeout(refreshStatus, 1000);
+        }
+
+        async function deleteSource(id) {
+            if (!confirm('确定删除该数据源？')) return;
+            const response = await adminFetch('/admin/sources/' + id, { method: 'DELETE' });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+            if (result.success) setTimeout(refreshStatus, 1000);
+        }
+
+        function editRule(rule) {
+            const c = rule.conditions;
+            const actionsOf = type => rule.actions.filter(a => a.type === type);
+            document.getElementById('rule_id').value = rule.id;
+            document.getElementById('rule_name').value = rule.name;
+            document.getElementById('rule_priority').value = rule.priority;
+            document.getElementById('rule_post_type').value = c.postType || '';
+            document.getElementById('rule_forums').value = (c.forums || []).join(', ');
+            document.getElementById('rule_authors').value = (c.authors || []).join(', ');
+            document.getElementById('rule_title_regex').value = c.titleRegex || '';
+            document.getElementById('rule_summary_regex').value = c.summaryRegex || '';
+            document.getElementById('rule_min_price').value = c.minPrice ?? '';
+            document.getElementById('rule_max_price').value = c.maxPrice ?? '';
+            document.getElementById('rule_min_ram').value = c.minRamGB ?? '';
+            document.getElementById('rule_max_ram').value = c.maxRamGB ?? '';
+            document.getElementById('rule_tags').value = actionsOf('tag').map(a => a.tag).join(', ');
+            document.getElementById('rule_chat_ids').value = actionsOf('push').map(a => a.chatId).join(', ');
+            document.getElementById('rule_suppress').checked = actionsOf('suppress').length > 0;
+            document.getElementById('rule_pin').checked = actionsOf('pin').length > 0;
+            document.getElementById('ruleForm').scrollIntoView();
+        }
+
+        function resetRuleForm() {
+            document.getElementById('ruleForm').reset();
+            document.getElementById('rule_id').value = '';
+        }
+
+        async function toggleRule(id, enabled) {
+            const formData = new FormData();
+            formData.append('enabled', enabled);
+            const response = await fetch('/api/rules/' + id, { method: 'POST', body: formData });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+            if (result.success) setTimeout(refreshStatus, 1000);
+        }
+
+        async function deleteRule(id) {
+            if (!confirm('确定删除该规则？')) return;
+            const response = await fetch('/api/rules/' + id, { method: 'DELETE' });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+            if (result.success) setTimeout(refreshStatus, 1000);
+        }
+
+        async function setupWebhook() {
+            showStatus('正在设置Webhook...', 'info');
+            try {
+                const response = await adminFetch('/admin/telegram/webhook/setup', { method: 'POST' });
+                const result = await response.json();
+                showStatus(result.message, result.success ? 'success' : 'error');
+                if (result.success) setTimeout(refreshStatus, 1000);
+            } catch (error) {
+                showStatus('设置Webhook失败: ' + error.message, 'error');
+            }
+        }
+
+        async function testDestination(id) {
+            showStatus('正在发送测试消息...', 'info');
+            const response = await adminFetch('/admin/destinations/' + id + '/test', { method: 'POST' });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+        }
+
+        function editDestination(destination) {
+            document.getElementById('destination_id').value = destination.id;
+            document.getElementById('destination_name').value = destination.name;
+            document.getElementById('destination_chat_id').value = destination.chat_id;
+            document.getElementById('destination_thread_id').value = destination.thread_id || '';
+            document.getElementById('destination_forums').value = destination.forums.join(', ');
+            document.querySelectorAll('#destinationForm input[name="post_types"]').forEach(input => {
+                input.checked = destination.post_types.includes(input.value);
+            });
+            document.getElementById('destinationForm').scrollIntoView();
+        }
+
+        function resetDestinationForm() {
+            document.getElementById('destinationForm').reset();
+            document.getElementById('destination_id').value = '';
+        }
+
+        async function toggleDestination(id, enabled) {
+            const formData = new FormData();
+            formData.append('enabled', enabled);
+            const response = await adminFetch('/admin/destinations/' + id, { method: 'POST', body: formData });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+            if (result.success) setTimeout(refreshStatus, 1000);
+        }
+
+        async function deleteDestination(id) {
+            if (!confirm('确定删除该推送目标？已推送消息的编辑、提醒和讨论更新将不再发到该目标。')) return;
+            const response = await adminFetch('/admin/destinations/' + id, { method: 'DELETE' });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+            if (result.success) setTimeout(refreshStatus, 1000);
+        }
+
+        async function deleteCurrencyRate(currency) {
+            if (!confirm('确定删除' + currency + '汇率？')) return;
+            const response = await fetch('/api/currency-rates/' + currency, { method: 'DELETE' });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+            if (result.success) setTimeout(refreshStatus, 1000);
+        }
+
+        async function requeuePost(id) {
+            const response = await fetch('/api/posts/' + id + '/requeue', { method: 'POST' });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+            if (result.success) setTimeout(refreshStatus, 1000);
+        }
+
+        async function regeneratePost(id) {
+            const formData = new FormData();
+            formData.append('telegram', document.getElementById('regenerate_telegram').value);
+            showStatus('正在重新生成帖子 ' + id + ' 的总结...', 'info');
+            try {
+                const response = await fetch('/api/posts/' + id + '/regenerate', { method: 'POST', body: formData });
+                const result = await response.json();
+                showStatus(result.message, result.success ? 'success' : 'error');
+                if (result.success) setTimeout(refreshStatus, 1500);
+            } catch (error) {
+                showStatus('重新生成失败: ' + error.message, 'error');
+            }
+        }
+
+        async function cancelReminder(id) {
+            if (!confirm('确定取消该提醒？')) return;
+            const response = await fetch('/api/reminders/' + id + '/cancel', { method: 'POST' });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+            if (result.success) setTimeout(refreshStatus, 1000);
+        }
+
+        async function followPost(postId) {
+            const formData = new FormData();
+            formData.append('post', postId);
+            const response = await fetch('/api/follows', { method: 'POST', body: formData });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+            if (result.success) setTimeout(refreshStatus, 1000);
+        }
+
+        async function checkFollow(id) {
+            showStatus('正在检查新回复...', 'info');
+            const response = await fetch('/api/follows/' + id + '/check', { method: 'POST' });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+            if (result.success) setTimeout(refreshStatus, 1500);
+        }
+
+        async function unfollowThread(id) {
+            if (!confirm('确定取消关注该讨论？')) return;
+            const response = await fetch('/api/follows/' + id, { method: 'DELETE' });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+            if (result.success) setTimeout(refreshStatus, 1000);
+        }
+
+        async function deleteAIPrice(id) {
+            if (!confirm('确定删除该模型价格？')) return;
+            const response = await fetch('/api/ai-prices/' + id, { method: 'DELETE' });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+            if (result.success) setTimeout(refreshStatus, 1000);
+        }
+
+        function editPrompt(template) {
+            document.getElementById('prompt_id').value = template.id;
+            document.getElementById('prompt_name').value = template.name;
+            document.getElementById('prompt_forums').value = template.forums.join(', ');
+            document.getElementById('prompt_default').value = template.is_default ? '1' : '0';
+            document.getElementById('prompt_content').value = template.content || '';
+            document.getElementById('prompt_note').value = '';
+            document.getElementById('promptForm').scrollIntoView();
+        }
+
+        function resetPromptForm() {
+            document.getElementById('promptForm').reset();
+            document.getElementById('prompt_id').value = '';
+        }
+
+        async function rollbackPrompt(id, version) {
+            if (!confirm('确定回滚到 v' + version + '？')) return;
+            const formData = new FormData();
+            formData.append('version', version);
+            const response = await fetch('/api/prompts/' + id + '/rollback', { method: 'POST', body: formData });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+            if (result.success) setTimeout(refreshStatus, 1000);
+        }
+
+        async function deletePrompt(id) {
+            if (!confirm('确定删除该提示词模板及其全部版本？')) return;
+            const response = await fetch('/api/prompts/' + id, { method: 'DELETE' });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+            if (result.success) setTimeout(refreshStatus, 1000);
+        }
+
+        async function purgeAICache() {
+            if (!confirm('确定清空全部AI结果缓存？')) return;
+            const response = await fetch('/api/ai-cache/purge', { method: 'POST' });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+            if (result.success) setTimeout(refreshStatus, 1000);
+        }
+
+        async function testAIProfile(id) {
+            showStatus('正在测试AI配置...', 'info');
+            const response = await adminFetch('/admin/ai-profiles/' + id + '/test', { method: 'POST' });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+        }
+
+        function editAIProfile(profile) {
+            document.getElementById('profile_id').value = profile.id;
+            document.getElementById('profile_name').value = profile.name;
+            document.getElementById('profile_provider').value = profile.provider;
+            document.getElementById('profile_priority').value = profile.priority;
+            document.getElementById('profile_timeout').value = profile.timeout_ms;
+            document.getElementById('profile_temperature').value = profile.temperature ?? '';
+            document.getElementById('profile_max_tokens').value = profile.max_tokens || '';
+            document.getElementById('profile_url').value = profile.url || '';
+            document.getElementById('profile_model').value = profile.model || '';
+            document.getElementById('profile_api_key').value = '';
+            document.getElementById('aiProfileForm').scrollIntoView();
+        }
+
+        function resetAIProfileForm() {
+            document.getElementById('aiProfileForm').reset();
+            document.getElementById('profile_id').value = '';
+        }
+
+        async function updateAIProfile(id, field, value) {
+            const formData = new FormData();
+            formData.append(field, value);
+            const response = await adminFetch('/admin/ai-profiles/' + id, { method: 'POST', body: formData });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+            if (result.success) setTimeout(refreshStatus, 1000);
+        }
+
+        function toggleAIProfile(id, enabled) {
+            updateAIProfile(id, 'enabled', enabled);
+        }
+
+        function resetAIProfile(id) {
+            updateAIProfile(id, 'reset_circuit', '1');
+        }
+
+        async function deleteAIProfile(id) {
+            if (!confirm('确定删除该AI配置？')) return;
+            const response = await adminFetch('/admin/ai-profiles/' + id, { method: 'DELETE' });
+            const result = await response.json();
+            showStatus(result.message, result.success ? 'success' : 'error');
+            if (result.success) setTimeout(refreshStatus, 1000);
+        }
+
+        // 商家页面、调试台和搜索沿用当前地址中的登录参数
+        function openProvider(id) {
+            location.href = '/providers/' + id + location.search;
+        }
+
+        function openPlayground(postId) {
+            const params = new URLSearchParams(location.search);
+            if (postId) params.set('post_id', postId);
+            location.href = '/playground?' + params.toString();
+        }
+
+        function searchProviders() {
+            const params = new URLSearchParams(location.search);
+            params.set('provider_q', document.getElementById('provider_query').value);
+            location.search = params.toString();
+        }
+
         function showStatus(message, type) {
             const statusDiv = document.getElementById('actionStatus');
             statusDiv.innerHTML = '<div class="status ' + type + '">' + message + '</div>';
@@ -1517,11 +10109,232 @@ function getAdminPage(stats) {
             }
         });
 
+        document.getElementById('sourceForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            try {
+                const response = await adminFetch('/admin/sources', { method: 'POST', body: formData });
+                const result = await response.json();
+                showStatus(result.message, result.success ? 'success' : 'error');
+                if (result.success) setTimeout(refreshStatus, 1000);
+            } catch (error) {
+                showStatus('添加失败: ' + error.message, 'error');
+            }
+        });
+
+        document.getElementById('ruleForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            const ruleId = formData.get('rule_id');
+            try {
+                const response = await fetch(ruleId ? '/api/rules/' + ruleId : '/api/rules', { method: 'POST', body: formData });
+                const result = await response.json();
+                showStatus(result.message, result.success ? 'success' : 'error');
+                if (result.success) setTimeout(refreshStatus, 1000);
+            } catch (error) {
+                showStatus('保存失败: ' + error.message, 'error');
+            }
+        });
+
+        document.getElementById('botConfigForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            try {
+                const response = await adminFetch('/admin/settings/telegram-bot', { method: 'POST', body: formData });
+                const result = await response.json();
+                showStatus(result.message, result.success ? 'success' : 'error');
+                if (result.success) setTimeout(refreshStatus, 1000);
+            } catch (error) {
+                showStatus('保存失败: ' + error.message, 'error');
+            }
+        });
+
+        document.getElementById('destinationForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            const destinationId = formData.get('destination_id');
+            try {
+                const response = await adminFetch(destinationId ? '/admin/destinations/' + destinationId : '/admin/destinations', { method: 'POST', body: formData });
+                const result = await response.json();
+                showStatus(result.message, result.success ? 'success' : 'error');
+                if (result.success) setTimeout(refreshStatus, 1000);
+            } catch (error) {
+                showStatus('保存失败: ' + error.message, 'error');
+            }
+        });
+
+        document.getElementById('currencyRateForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            try {
+                const response = await fetch('/api/currency-rates', { method: 'POST', body: formData });
+                const result = await response.json();
+                showStatus(result.message, result.success ? 'success' : 'error');
+                if (result.success) setTimeout(refreshStatus, 1000);
+            } catch (error) {
+                showStatus('保存失败: ' + error.message, 'error');
+            }
+        });
+
+        document.getElementById('aiProfileForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            const profileId = formData.get('profile_id');
+            try {
+                const response = await adminFetch(profileId ? '/admin/ai-profiles/' + profileId : '/admin/ai-profiles', { method: 'POST', body: formData });
+                const result = await response.json();
+                showStatus(result.message, result.success ? 'success' : 'error');
+                if (result.success) setTimeout(refreshStatus, 1000);
+            } catch (error) {
+                showStatus('保存失败: ' + error.message, 'error');
+            }
+        });
+
+        document.getElementById('providerForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            try {
+                const response = await fetch('/api/providers', { method: 'POST', body: formData });
+                const result = await response.json();
+                showStatus(result.message, result.success ? 'success' : 'error');
+                if (result.success) setTimeout(refreshStatus, 1000);
+            } catch (error) {
+                showStatus('添加失败: ' + error.message, 'error');
+            }
+        });
+
+        document.getElementById('promptForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            const promptId = formData.get('prompt_id');
+            try {
+                const response = await fetch(promptId ? '/api/prompts/' + promptId : '/api/prompts', { method: 'POST', body: formData });
+                const result = await response.json();
+                showStatus(result.message, result.success ? 'success' : 'error');
+                if (result.success) setTimeout(refreshStatus, 1000);
+            } catch (error) {
+                showStatus('保存失败: ' + error.message, 'error');
+            }
+        });
+
+        document.getElementById('aiBudgetForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            try {
+                const response = await fetch('/api/settings/ai-budget', { method: 'POST', body: formData });
+                const result = await response.json();
+                showStatus(result.message, result.success ? 'success' : 'error');
+                if (result.success) setTimeout(refreshStatus, 1000);
+            } catch (error) {
+                showStatus('保存失败: ' + error.message, 'error');
+            }
+        });
+
+        document.getElementById('aiPriceForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            try {
+                const response = await fetch('/api/ai-prices', { method: 'POST', body: formData });
+                const result = await response.json();
+                showStatus(result.message, result.success ? 'success' : 'error');
+                if (result.success) setTimeout(refreshStatus, 1000);
+            } catch (error) {
+                showStatus('保存失败: ' + error.message, 'error');
+            }
+        });
+
+        document.getElementById('aiCacheConfigForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            try {
+                const response = await fetch('/api/settings/ai-cache', { method: 'POST', body: formData });
+                const result = await response.json();
+                showStatus(result.message, result.success ? 'success' : 'error');
+            } catch (error) {
+                showStatus('保存失败: ' + error.message, 'error');
+            }
+        });
+
+        document.getElementById('reminderConfigForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            try {
+                const response = await fetch('/api/settings/reminders', { method: 'POST', body: formData });
+                const result = await response.json();
+                showStatus(result.message, result.success ? 'success' : 'error');
+            } catch (error) {
+                showStatus('保存失败: ' + error.message, 'error');
+            }
+        });
+
+        // 先查询匹配数量，确认后再重新排队
+        document.getElementById('requeueForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            try {
+                formData.set('dry_run', '1');
+                const preview = await (await fetch('/api/posts/requeue', { method: 'POST', body: formData })).json();
+                if (!preview.success) {
+                    showStatus(preview.message, 'error');
+                    return;
+                }
+                if (preview.count === 0 || !confirm('将重新排队 ' + preview.count + ' 个帖子，确定继续？')) {
+                    showStatus(preview.message, 'info');
+                    return;
+                }
+
+                formData.delete('dry_run');
+                const response = await fetch('/api/posts/requeue', { method: 'POST', body: formData });
+                const result = await response.json();
+                showStatus(result.message, result.success ? 'success' : 'error');
+                if (result.success) setTimeout(refreshStatus, 1000);
+            } catch (error) {
+                showStatus('重新排队失败: ' + error.message, 'error');
+            }
+        });
+
+        document.getElementById('followForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            try {
+                const response = await fetch('/api/follows', { method: 'POST', body: formData });
+                const result = await response.json();
+                showStatus(result.message, result.success ? 'success' : 'error');
+                if (result.success) setTimeout(refreshStatus, 1000);
+            } catch (error) {
+                showStatus('关注失败: ' + error.message, 'error');
+            }
+        });
+
+        document.getElementById('followConfigForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            try {
+                const response = await fetch('/api/settings/follow', { method: 'POST', body: formData });
+                const result = await response.json();
+                showStatus(result.message, result.success ? 'success' : 'error');
+            } catch (error) {
+                showStatus('保存失败: ' + error.message, 'error');
+            }
+        });
+
+        document.getElementById('syncConfigForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            try {
+                const response = await fetch('/api/settings/sync', { method: 'POST', body: formData });
+                const result = await response.json();
+                showStatus(result.message, result.success ? 'success' : 'error');
+            } catch (error) {
+                showStatus('保存失败: ' + error.message, 'error');
+            }
+        });
+
         document.getElementById('telegramConfigForm').addEventListener('submit', async (e) => {
             e.preventDefault();
             const formData = new FormData(e.target);
             try {
-                const response = await fetch('/api/settings/telegram', { method: 'POST', body: formData });
+                const response = await adminFetch('/admin/settings/telegram', { method: 'POST', body: formData });
                 const result = await response.json();
                 showStatus(result.message, result.success ? 'success' : 'error');
             } catch (error) {
@@ -1544,16 +10357,85 @@ function setupRoutes() {
 
   // 页面路由
   router.get('/', handleHomePage);
+  router.get('/providers/:id', handleProviderPage);
+  router.get('/playground', handlePlaygroundPage);
+
+  // 需要管理员密码的接口放在/admin/下（Bot Token、机器人管理员、Webhook密钥、推送目标、数据源、AI配置和AI调试台），不走免认证的/api/
+  router.get('/admin/settings/telegram', handleTelegramSettings);
+  router.post('/admin/settings/telegram', handleTelegramSettings);
+  router.get('/admin/settings/telegram-bot', handleBotSettings);
+  router.post('/admin/settings/telegram-bot', handleBotSettings);
+  router.post('/admin/telegram/webhook/setup', handleTelegramWebhookSetup);
+  router.post('/admin/test-telegram', handleTelegramTest);
+  router.get('/admin/destinations', handleDestinations);
+  router.post('/admin/destinations', handleDestinations);
+  router.post('/admin/destinations/:id', handleDestinationUpdate);
+  router.delete('/admin/destinations/:id', handleDestinationDelete);
+  router.post('/admin/destinations/:id/test', handleDestinationTest);
+  router.get('/admin/sources', handleSources);
+  router.post('/admin/sources', handleSources);
+  router.post('/admin/sources/test', handleSourceTest);
+  router.post('/admin/sources/:id', handleSourceUpdate);
+  router.delete('/admin/sources/:id', handleSourceDelete);
+  router.get('/admin/ai-profiles', handleAIProfiles);
+  router.post('/admin/ai-profiles', handleAIProfiles);
+  router.post('/admin/ai-profiles/:id', handleAIProfileUpdate);
+  router.delete('/admin/ai-profiles/:id', handleAIProfileDelete);
+  router.post('/admin/ai-profiles/:id/test', handleAIProfileTest);
+  router.post('/admin/ai/playground', handleAIPlayground);
+
+  // Telegram机器人Webhook
+  router.post('/telegram/webhook', handleTelegramWebhook);
 
   // API路由
   router.post('/api/manual-sync', handleManualSync);
   router.get('/api/status', handleStatus);
   router.get('/api/settings/ai', handleAISettings);
   router.post('/api/settings/ai', handleAISettings);
-  router.get('/api/settings/telegram', handleTelegramSettings);
-  router.post('/api/settings/telegram', handleTelegramSettings);
+  router.get('/api/settings/sync', handleSyncSettings);
+  router.post('/api/settings/sync', handleSyncSettings);
+  router.get('/api/settings/reminders', handleReminderSettings);
+  router.post('/api/settings/reminders', handleReminderSettings);
+  router.get('/api/settings/follow', handleFollowSettings);
+  router.post('/api/settings/follow', handleFollowSettings);
+  router.get('/api/settings/ai-cache', handleAICacheSettings);
+  router.post('/api/settings/ai-cache', handleAICacheSettings);
+  router.post('/api/ai-cache/purge', handleAICachePurge);
+  router.get('/api/settings/ai-budget', handleAIBudgetSettings);
+  router.post('/api/settings/ai-budget', handleAIBudgetSettings);
+  router.get('/api/ai-usage', handleAIUsage);
+  router.get('/api/ai-prices', handleAIPrices);
+  router.post('/api/ai-prices', handleAIPrices);
+  router.delete('/api/ai-prices/:id', handleAIPriceDelete);
   router.post('/api/test-ai', handleAITest);
-  router.post('/api/test-telegram', handleTelegramTest);
+  router.get('/api/rules', handleRules);
+  router.post('/api/rules', handleRules);
+  router.post('/api/rules/:id', handleRuleUpdate);
+  router.delete('/api/rules/:id', handleRuleDelete);
+  router.get('/api/currency-rates', handleCurrencyRates);
+  router.post('/api/currency-rates', handleCurrencyRates);
+  router.delete('/api/currency-rates/:currency', handleCurrencyRateDelete);
+  router.get('/api/reminders', handleReminders);
+  router.post('/api/reminders/:id/cancel', handleReminderCancel);
+  router.get('/api/follows', handleFollows);
+  router.post('/api/follows', handleFollows);
+  router.delete('/api/follows/:id', handleFollowDelete);
+  router.post('/api/follows/:id/check', handleFollowCheck);
+  router.get('/api/posts', handlePosts);
+  router.post('/api/posts/requeue', handlePostsRequeue);
+  router.post('/api/posts/:id/requeue', handlePostRequeue);
+  router.post('/api/posts/:id/regenerate', handlePostRegenerate);
+  router.get('/api/prompts', handlePrompts);
+  router.post('/api/prompts', handlePrompts);
+  router.post('/api/prompts/:id', handlePromptUpdate);
+  router.delete('/api/prompts/:id', handlePromptDelete);
+  router.get('/api/prompts/:id/versions', handlePromptVersions);
+  router.post('/api/prompts/:id/rollback', handlePromptRollback);
+  router.get('/api/providers', handleProviders);
+  router.post('/api/providers', handleProviders);
+  router.get('/api/providers/:id', handleProviderDetail);
+  router.post('/api/providers/:id', handleProviderUpdate);
+  router.delete('/api/providers/:id', handleProviderDelete);
 
   return router;
 }